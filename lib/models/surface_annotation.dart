@@ -0,0 +1,52 @@
+/// User-labelled surface features dropped on a planet in the 3D viewers
+///
+/// Markers are placed and named in the viewer, which reports them back to
+/// the host so they can be saved, restored and collected (e.g. by the
+/// citizen-science screen). See `PlanetAnnotations` in
+/// web/planet_annotations.js.
+library;
+
+/// A named marker on a planet's surface
+class SurfaceAnnotation {
+  final String id;
+  final String name;
+  final double latitude; // Degrees, north positive
+  final double longitude; // Degrees, east positive
+  final double? elevation; // km above sea level; null on gas giants
+  final String? terrain; // Terrain class under the marker (e.g. "Upland")
+
+  const SurfaceAnnotation({
+    required this.id,
+    required this.name,
+    required this.latitude,
+    required this.longitude,
+    this.elevation,
+    this.terrain,
+  });
+
+  /// Create from JSON
+  factory SurfaceAnnotation.fromJson(Map<String, dynamic> json) {
+    return SurfaceAnnotation(
+      id: json['id'].toString(),
+      name: json['name'] as String? ?? '',
+      latitude: (json['latitude'] as num).toDouble(),
+      longitude: (json['longitude'] as num).toDouble(),
+      elevation: json['elevation'] != null
+          ? (json['elevation'] as num).toDouble()
+          : null,
+      terrain: json['terrain'] as String?,
+    );
+  }
+
+  /// Convert to JSON
+  Map<String, dynamic> toJson() {
+    return {
+      'id': id,
+      'name': name,
+      'latitude': latitude,
+      'longitude': longitude,
+      if (elevation != null) 'elevation': elevation,
+      if (terrain != null) 'terrain': terrain,
+    };
+  }
+}
@@ -798,9 +798,11 @@ class _PlanetDetailScreenState extends State<PlanetDetailScreen>
                   children: [
                     Icon(Icons.info_outline, size: 14, color: Colors.white70),
                     SizedBox(width: 8),
-                    Text(
-                      'Drag to rotate • Scroll to zoom',
-                      style: TextStyle(color: Colors.white70, fontSize: 12),
+                    Flexible(
+                      child: Text(
+                        'Drag to rotate • Pinch or scroll to zoom • Double-tap to reset',
+                        style: TextStyle(color: Colors.white70, fontSize: 12),
+                      ),
                     ),
                   ],
                 ),
@@ -836,6 +838,11 @@ class _PlanetDetailScreenState extends State<PlanetDetailScreen>
           'biome': _biome.type,
           'orbitalPeriod': widget.planet.orbitalPeriod,
           'eccentricity': widget.planet.eccentricity,
+          'semiMajorAxis': widget.planet.semiMajorAxis,
+          'stellarType': widget.planet.stellarSpectralType,
+          'stellarTemperature': widget.planet.stellarTemperature,
+          'stellarMass': widget.planet.stellarMass,
+          'stellarRadius': widget.planet.stellarRadius,
           'atmosphere': _atmosphere.dominantGas,
         };
 
@@ -17,14 +17,13 @@ class TimeEvolutionScreen extends StatefulWidget {
   State<TimeEvolutionScreen> createState() => _TimeEvolutionScreenState();
 }
 
-class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
-    with SingleTickerProviderStateMixin {
+class _TimeEvolutionScreenState extends State<TimeEvolutionScreen> {
   final PlanetEvolutionSimulator _simulator = PlanetEvolutionSimulator();
 
   late List<PlanetSnapshot> _timeline;
-  late AnimationController _animationController;
+  late List<Map<String, dynamic>> _keyframes;
+  late PlanetTimelineController _timelineController;
   int _currentStageIndex = 2; // Start at "Stable (Current)"
-  bool _isPlaying = false;
 
   @override
   void initState() {
@@ -32,45 +31,64 @@ class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
 
     // Generate timeline with 50 data points
     _timeline = _simulator.generateTimeline(widget.planet, 50);
+    _keyframes = _timeline.map(_keyframe).toList();
 
-    // Animation controller for auto-play
-    _animationController =
-        AnimationController(vsync: this, duration: const Duration(seconds: 10))
-          ..addListener(() {
-            if (_isPlaying) {
-              setState(() {
-                _currentStageIndex =
-                    (_animationController.value * (_timeline.length - 1))
-                        .round();
-              });
-            }
-          })
-          ..addStatusListener((status) {
-            if (status == AnimationStatus.completed && _isPlaying) {
-              _animationController.repeat();
-            }
-          });
+    // The 3D viewer plays the timeline and reports its time back
+    _timelineController = PlanetTimelineController(
+      duration: const Duration(seconds: 10),
+      loop: true,
+    )
+      ..seek(_currentSnapshot.age)
+      ..addListener(_onTimelineChanged);
   }
 
   @override
   void dispose() {
-    _animationController.dispose();
+    _timelineController.dispose();
     super.dispose();
   }
 
   PlanetSnapshot get _currentSnapshot => _timeline[_currentStageIndex];
 
-  void _togglePlayPause() {
-    setState(() {
-      _isPlaying = !_isPlaying;
-      if (_isPlaying) {
-        _animationController.forward(
-          from: _currentStageIndex / (_timeline.length - 1),
-        );
-      } else {
-        _animationController.stop();
+  bool get _isPlaying => _timelineController.isPlaying;
+
+  /// Viewer keyframe for a snapshot; the simulator only knows whether there
+  /// are oceans and life, so they cover an Earth-like share when present
+  static Map<String, dynamic> _keyframe(PlanetSnapshot snapshot) {
+    return {
+      'age': snapshot.age,
+      'temperature': snapshot.temperature,
+      'oceanFraction': snapshot.hasOceans ? 0.7 : 0.0,
+      'atmosphere': snapshot.atmosphere.pressure,
+      'lifeCoverage': snapshot.hasLife ? snapshot.habitability / 100 : 0.0,
+      'biome': snapshot.biome.type,
+    };
+  }
+
+  void _onTimelineChanged() {
+    final age = _timelineController.age;
+    var nearest = 0;
+    for (var i = 1; i < _timeline.length; i++) {
+      if ((_timeline[i].age - age).abs() <
+          (_timeline[nearest].age - age).abs()) {
+        nearest = i;
       }
-    });
+    }
+    setState(() => _currentStageIndex = nearest);
+  }
+
+  void _showStage(int index) {
+    _timelineController
+      ..pause()
+      ..seek(_timeline[index].age);
+  }
+
+  void _togglePlayPause() {
+    if (_isPlaying) {
+      _timelineController.pause();
+    } else {
+      _timelineController.play();
+    }
   }
 
   @override
@@ -136,11 +154,15 @@ class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
       ),
       child: ClipRRect(
         borderRadius: BorderRadius.circular(14),
+        // The viewer plays the keyframes itself, interpolating between
+        // stages; the planet and biome are only its starting point
         child: Planet3DViewer(
           planet: widget.planet,
-          biome: _currentSnapshot.biome,
+          biome: _timeline.first.biome,
           showOrbit: false,
           autoRotate: true,
+          timeline: _keyframes,
+          timelineController: _timelineController,
         ),
       ),
     );
@@ -204,13 +226,7 @@ class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
               min: 0,
               max: (_timeline.length - 1).toDouble(),
               divisions: _timeline.length - 1,
-              onChanged: (value) {
-                setState(() {
-                  _currentStageIndex = value.round();
-                  _isPlaying = false;
-                  _animationController.stop();
-                });
-              },
+              onChanged: (value) => _showStage(value.round()),
             ),
           ),
           const SizedBox(height: 8),
@@ -250,13 +266,7 @@ class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
           // Previous stage
           IconButton(
             onPressed: _currentStageIndex > 0
-                ? () {
-                    setState(() {
-                      _currentStageIndex--;
-                      _isPlaying = false;
-                      _animationController.stop();
-                    });
-                  }
+                ? () => _showStage(_currentStageIndex - 1)
                 : null,
             icon: const Icon(Icons.skip_previous, size: 32),
             color: Colors.white,
@@ -287,13 +297,7 @@ class _TimeEvolutionScreenState extends State<TimeEvolutionScreen>
           // Next stage
           IconButton(
             onPressed: _currentStageIndex < _timeline.length - 1
-                ? () {
-                    setState(() {
-                      _currentStageIndex++;
-                      _isPlaying = false;
-                      _animationController.stop();
-                    });
-                  }
+                ? () => _showStage(_currentStageIndex + 1)
                 : null,
             icon: const Icon(Icons.skip_next, size: 32),
             color: Colors.white,
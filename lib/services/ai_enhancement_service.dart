@@ -214,7 +214,7 @@ REQUIREMENTS:
 
 BIOME GUIDELINES:
 - Desert: Sandy textures, dust clouds
-- Ocean: Water shader, wave effects, mist
+- Ocean: Glossy water, wave effects, mist
 - Rocky: Craters, mountains, rough terrain
 - Ice: Frost effects, ice caps, crystalline features
 - Gas Giant: Bands, storms, swirling patterns
@@ -224,9 +224,12 @@ BIOME GUIDELINES:
 - Barren: Stark, minimal effects
 
 CODE CONSTRAINTS:
-- Use only Three.js built-in materials and geometries
+- Use only Three.js built-in materials and geometries (no ShaderMaterial or custom GLSL)
 - Keep code under 2000 characters
 - No external dependencies
+- Code runs in a sandbox: no network, no DOM except document.createElement('canvas') for textures,
+  and no animation loops or timers (the viewer animates the scene)
+- Code runs in strict mode: declare every variable with const or let; no import, eval or Function
 - Modify existing planetMesh, don't create new planet
 - Return the enhanced scene
 
@@ -127,6 +127,9 @@ REQUIREMENTS:
 5. Code structure:
    - Assume Three.js is already loaded globally
    - Scene, camera, renderer already exist (use global `scene`, `camera`, `renderer`)
+   - Code runs in a sandbox: no network, no DOM except document.createElement('canvas') for textures,
+     and no animation loops or timers (the viewer animates the scene)
+   - Code runs in strict mode: declare every variable with const or let; no import, eval or Function
    - Return only the planet generation function
    - Function name: generateAIPlanet()
 
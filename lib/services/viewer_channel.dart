@@ -0,0 +1,174 @@
+import 'dart:async';
+import 'dart:convert';
+import 'dart:html' as html;
+
+/// Message received from a viewer iframe
+class ViewerEvent {
+  final String type;
+  final String? replyTo;
+  final Map<String, dynamic> payload;
+
+  const ViewerEvent({required this.type, this.replyTo, this.payload = const {}});
+
+  /// Error code for `error` events (e.g. `INVALID_PAYLOAD`, `TIMEOUT`)
+  String? get errorCode => payload['code'] as String?;
+
+  /// Human-readable reason for `error` events
+  String? get reason => payload['reason'] as String?;
+}
+
+/// Host side of the versioned viewer message protocol
+///
+/// Protocol (see `web/planet_protocol.js` for the full reference):
+/// - Messages are JSON envelopes `{protocol, version, type, id, replyTo,
+///   channel, payload}`
+/// - Requests (`planetData`, `updatePlanet`, `enhancementCode`,
+///   `aiGeneratedCode`, `getState`, `capture`, `exportModel`, `bakeMaps`,
+///   `getAnnotations`, `setAnnotations`, `flyTo`, `playTour`,
+///   `tourControl`) carry an `id`; the viewer answers with `ack` or
+///   `error`, then `rendered` (`stateChanged` for `getState`, `captured` for
+///   `capture`, `exported` for `exportModel` and `bakeMaps`,
+///   `annotationsChanged` for the annotation requests, `flightEnded` for
+///   `flyTo`, `tourChanged` for the tour requests) using `replyTo`
+/// - The viewer also emits `ready`, `cameraChanged`, `stateChanged`,
+///   `captured`, `exported` (exports started from its controls bar),
+///   `annotationsChanged` (markers the user added or removed) and
+///   `tourChanged` (a tour moving between stops, pausing or ending)
+/// - Both sides only talk to the app's own origin; the channel name keeps
+///   several viewers on one page apart
+class ViewerChannel {
+  static const String protocol = 'astrosynth-viewer';
+  static const int version = 1;
+
+  /// How long [response] waits for the viewer, including its start-up
+  static const Duration responseTimeout = Duration(seconds: 30);
+
+  /// Unique per viewer instance; passed to the iframe as `?channel=`
+  final String name;
+
+  final _events = StreamController<ViewerEvent>.broadcast();
+  final List<String> _pending = [];
+  StreamSubscription<html.MessageEvent>? _subscription;
+  html.IFrameElement? _iframe;
+  bool _isReady = false;
+  int _nextId = 0;
+
+  ViewerChannel(this.name);
+
+  /// Events from this channel's viewer
+  Stream<ViewerEvent> get events => _events.stream;
+
+  bool get isReady => _isReady;
+
+  String get _origin => html.window.location.origin;
+
+  /// Viewer page URL tagged with this channel
+  String viewerUrl(String page) =>
+      '$page?channel=${Uri.encodeQueryComponent(name)}';
+
+  /// Starts listening to the iframe created for this channel
+  void attach(html.IFrameElement iframe) {
+    _iframe = iframe;
+    _subscription ??= html.window.onMessage.listen(_handleMessage);
+  }
+
+  /// Sends a request and returns its correlation id.
+  /// Requests made before the viewer is ready are queued.
+  String send(String type, [Map<String, dynamic> payload = const {}]) {
+    final id = '$name-${++_nextId}';
+    final message = jsonEncode({
+      'protocol': protocol,
+      'version': version,
+      'type': type,
+      'id': id,
+      'channel': name,
+      'payload': payload,
+    });
+
+    if (_isReady) {
+      _post(message);
+    } else {
+      _pending.add(message);
+    }
+    return id;
+  }
+
+  /// Completes with the event answering request [id]: the completion event,
+  /// or an `error` if the viewer rejects or fails it. A viewer that never
+  /// answers within [timeout] (it failed to load, or hung) yields an `error`
+  /// with code `TIMEOUT`.
+  Future<ViewerEvent> response(
+    String id, {
+    Duration timeout = responseTimeout,
+  }) {
+    return events
+        .firstWhere((event) => event.replyTo == id && event.type != 'ack')
+        .timeout(
+          timeout,
+          onTimeout: () => ViewerEvent(
+            type: 'error',
+            replyTo: id,
+            payload: {
+              'code': 'TIMEOUT',
+              'reason': 'No answer from the viewer in ${timeout.inSeconds} s',
+            },
+          ),
+        );
+  }
+
+  void _post(String message) {
+    _iframe?.contentWindow?.postMessage(message, _origin);
+  }
+
+  void _handleMessage(html.MessageEvent event) {
+    if (event.origin != _origin) return;
+
+    final data = event.data;
+    if (data is! String) return;
+
+    final Object? message;
+    try {
+      message = jsonDecode(data);
+    } catch (_) {
+      return;
+    }
+    if (message is! Map ||
+        message['protocol'] != protocol ||
+        message['channel'] != name) {
+      return;
+    }
+
+    if (message['version'] != version) {
+      print('[VIEWER] Ignored protocol version ${message['version']}');
+      return;
+    }
+
+    final payload = message['payload'];
+    final viewerEvent = ViewerEvent(
+      type: message['type'] as String? ?? '',
+      replyTo: message['replyTo'] as String?,
+      payload: payload is Map ? Map<String, dynamic>.from(payload) : const {},
+    );
+
+    if (viewerEvent.type == 'ready' && !_isReady) {
+      _isReady = true;
+      _pending.forEach(_post);
+      _pending.clear();
+    }
+    if (viewerEvent.type == 'error') {
+      print(
+        '[VIEWER] ${viewerEvent.errorCode}: ${viewerEvent.reason} '
+        '(request ${viewerEvent.replyTo ?? '-'})',
+      );
+    }
+
+    _events.add(viewerEvent);
+  }
+
+  void dispose() {
+    _subscription?.cancel();
+    _events.close();
+    _pending.clear();
+    _iframe = null;
+  }
+}
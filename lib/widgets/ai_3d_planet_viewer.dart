@@ -1,4 +1,3 @@
-import 'dart:convert';
 import 'dart:html' as html;
 import 'dart:ui_web' as ui_web;
 
@@ -7,6 +6,7 @@ import 'package:flutter/material.dart';
 import '../models/biome.dart';
 import '../models/planet.dart';
 import '../services/ai_planet_generator_service.dart';
+import '../services/viewer_channel.dart';
 
 /// AI-Powered 3D Planet Viewer
 ///
@@ -33,6 +33,7 @@ class _AI3DPlanetViewerState extends State<AI3DPlanetViewer> {
   bool _isGenerating = false;
   bool _hasGenerated = false;
   String? _error;
+  late final ViewerChannel _channel = ViewerChannel(viewId);
 
   @override
   void initState() {
@@ -45,15 +46,22 @@ class _AI3DPlanetViewerState extends State<AI3DPlanetViewer> {
     });
   }
 
+  @override
+  void dispose() {
+    _channel.dispose();
+    super.dispose();
+  }
+
   void _registerIframe() {
     ui_web.platformViewRegistry.registerViewFactory(viewId, (int viewId) {
       final iframe = html.IFrameElement()
-        ..src = 'ai_planet_viewer.html'
+        ..src = _channel.viewerUrl('ai_planet_viewer.html')
         ..style.border = 'none'
         ..style.width = '100%'
         ..style.height = '100%'
         ..style.pointerEvents = 'auto';
 
+      _channel.attach(iframe);
       return iframe;
     });
   }
@@ -95,9 +103,8 @@ class _AI3DPlanetViewerState extends State<AI3DPlanetViewer> {
     }
   }
 
-  void _sendAICode(String code) {
-    final message = jsonEncode({
-      'type': 'aiGeneratedCode',
+  Future<void> _sendAICode(String code) async {
+    final requestId = _channel.send('aiGeneratedCode', {
       'code': code,
       'planetData': {
         'name': widget.planet.name,
@@ -106,18 +113,22 @@ class _AI3DPlanetViewerState extends State<AI3DPlanetViewer> {
         'temperature': widget.planet.equilibriumTemperature,
       },
     });
+    print('[AI-3D] ✅ Sent AI code to viewer');
 
-    // Find iframe and send message
-    final iframes = html.document.getElementsByTagName('iframe');
-    for (var iframe in iframes) {
-      if (iframe is html.IFrameElement &&
-          iframe.src?.contains('ai_planet_viewer.html') == true) {
-        iframe.contentWindow?.postMessage(message, '*');
-        print('[AI-3D] ✅ Sent AI code to iframe');
-      }
+    // The viewer runs the code in a sandbox and reports the outcome
+    final ViewerEvent response;
+    try {
+      response = await _channel.response(requestId);
+    } catch (_) {
+      return; // Channel closed
     }
 
-    html.window.postMessage(message, '*');
+    if (response.type == 'error' && mounted) {
+      setState(() {
+        _hasGenerated = false;
+        _error = 'AI code failed: ${response.reason}';
+      });
+    }
   }
 
   @override
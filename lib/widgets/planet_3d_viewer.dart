@@ -1,12 +1,15 @@
 // ignore_for_file: avoid_web_libraries_in_flutter, depend_on_referenced_packages
+import 'dart:convert';
 import 'dart:html' as html;
 import 'dart:js' as js;
 import 'dart:ui_web' as ui_web;
 
+import 'package:flutter/foundation.dart';
 import 'package:flutter/material.dart';
 
 import '../models/biome.dart';
 import '../models/planet.dart';
+import '../models/surface_annotation.dart';
 
 /// Interactive 3D planet visualization widget using Three.js
 ///
@@ -16,6 +19,8 @@ import '../models/planet.dart';
 /// - Procedural textures based on planet data
 /// - Atmosphere and cloud layers
 /// - Data-driven surface details (temperature, composition, biome)
+/// - Surface picking: coordinates tooltip, named markers, distances (not in
+///   [pooled] viewers)
 class Planet3DViewer extends StatefulWidget {
   final Planet planet;
   final Biome biome;
@@ -23,6 +28,26 @@ class Planet3DViewer extends StatefulWidget {
   final bool showComparison;
   final bool autoRotate;
 
+  /// Draw through the shared WebGL render pool instead of a dedicated
+  /// context; use for lists and grids, where browsers would otherwise run
+  /// out of WebGL contexts
+  final bool pooled;
+
+  /// Keyframed evolution played in the viewer instead of a fixed planet
+  /// (see `PlanetTimeline` in web/planet_timeline.js): maps with `age`
+  /// (years), `temperature` (K), `oceanFraction` (0-1), `atmosphere`
+  /// (surface pressure, atm), `lifeCoverage` (0-1) and optionally `biome`
+  final List<Map<String, dynamic>>? timeline;
+
+  /// Plays, pauses and scrubs [timeline], and hears the viewer's time
+  final PlanetTimelineController? timelineController;
+
+  /// Markers restored on the planet when the viewer is created
+  final List<SurfaceAnnotation>? annotations;
+
+  /// Called with all markers whenever the user adds or removes one
+  final ValueChanged<List<SurfaceAnnotation>>? onAnnotationsChanged;
+
   const Planet3DViewer({
     super.key,
     required this.planet,
@@ -30,6 +55,11 @@ class Planet3DViewer extends StatefulWidget {
     this.showOrbit = false,
     this.showComparison = false,
     this.autoRotate = true,
+    this.pooled = false,
+    this.timeline,
+    this.timelineController,
+    this.annotations,
+    this.onAnnotationsChanged,
   });
 
   @override
@@ -38,6 +68,21 @@ class Planet3DViewer extends StatefulWidget {
 
 class _Planet3DViewerState extends State<Planet3DViewer> {
   late String _viewId;
+  bool _isRecording = false;
+  bool _isBakingMaps = false;
+
+  /// Full-detail texture generation (0-1); null once the textures are in
+  double? _textureProgress = 0;
+
+  /// Planet data the viewer shows; changes are tweened in by the viewer
+  Map<String, dynamic>? _shownPlanetData;
+
+  /// What a click on the planet does (see `PlanetAnnotations`)
+  static const List<String> _pickModes = ['inspect', 'marker', 'measure'];
+  String _pickMode = 'inspect';
+
+  /// Length of the viewer's tween when the planet or biome changes
+  static const Duration _updateDuration = Duration(milliseconds: 600);
 
   @override
   void initState() {
@@ -64,9 +109,9 @@ class _Planet3DViewerState extends State<Planet3DViewer> {
     });
   }
 
-  void _create3DViewer() {
-    // Get planet data
-    final planetData = js.JsObject.jsify({
+  /// Planet data in the shape the JS viewer expects
+  Map<String, dynamic> _planetData() {
+    return {
       'name': widget.planet.name,
       'temperature': widget.planet.equilibriumTemperature,
       'mass': widget.planet.mass,
@@ -75,21 +120,98 @@ class _Planet3DViewerState extends State<Planet3DViewer> {
       'biome': widget.biome.type,
       'atmosphere': 'Unknown',
       'gravity': 1.0,
-    });
+      'semiMajorAxis': widget.planet.semiMajorAxis,
+      'stellarType': widget.planet.stellarSpectralType,
+      'stellarTemperature': widget.planet.stellarTemperature,
+      'stellarMass': widget.planet.stellarMass,
+      'stellarRadius': widget.planet.stellarRadius,
+    };
+  }
+
+  void _create3DViewer() {
+    _shownPlanetData = _planetData();
+    final planetData = js.JsObject.jsify(_shownPlanetData!);
 
     // Call JavaScript function to create the 3D viewer
     try {
       final createFunction = js.context['create3DPlanetViewer'];
       if (createFunction != null) {
-        createFunction.apply([_viewId, planetData]);
+        createFunction.apply([
+          _viewId,
+          planetData,
+          js.JsObject.jsify({
+            'pooled': widget.pooled,
+            'onProgress': (num progress) {
+              if (!mounted) return;
+              setState(() {
+                _textureProgress = progress >= 1 ? null : progress.toDouble();
+              });
+            },
+            if (widget.annotations != null)
+              'annotations': [
+                for (final marker in widget.annotations!) marker.toJson(),
+              ],
+            'onAnnotationsChanged': (dynamic markers) {
+              if (mounted) _reportAnnotations(markers);
+            },
+          }),
+        ]);
+        _attachTimeline();
       }
     } catch (e) {
       debugPrint('Error creating 3D viewer: $e');
     }
   }
 
+  /// Hands [Planet3DViewer.timeline] to the viewer and connects the
+  /// controller to the JS timeline it returns
+  void _attachTimeline() {
+    final keyframes = widget.timeline;
+    final viewer = _jsViewer();
+    if (keyframes == null || viewer == null) return;
+
+    final controller = widget.timelineController;
+    final timeline = viewer.callMethod('setTimeline', [
+      js.JsObject.jsify(keyframes),
+      js.JsObject.jsify({
+        if (controller != null) ...{
+          'seconds': controller.duration.inMilliseconds / 1000,
+          'loop': controller.loop,
+        },
+        'onTime': (num age, bool playing) {
+          if (mounted) controller?._report(age.toDouble(), playing);
+        },
+      }),
+    ]);
+    controller?._attach(timeline as js.JsObject);
+  }
+
+  @override
+  void didUpdateWidget(Planet3DViewer oldWidget) {
+    super.didUpdateWidget(oldWidget);
+
+    // Morph the live viewer into the new data instead of recreating it
+    // (e.g. while a terraforming slider is dragged); before the viewer
+    // exists, it is created from the current data anyway
+    final viewer = _jsViewer();
+    final planetData = _planetData();
+    if (viewer == null || mapEquals(planetData, _shownPlanetData)) return;
+
+    _shownPlanetData = planetData;
+    try {
+      viewer.callMethod('update', [
+        js.JsObject.jsify(planetData),
+        js.JsObject.jsify({'duration': _updateDuration.inMilliseconds}),
+      ]);
+    } catch (e) {
+      debugPrint('Error updating 3D viewer: $e');
+    }
+  }
+
   @override
   void dispose() {
+    widget.timelineController?._attach(null);
+
     // Clean up the 3D viewer
     try {
       final destroyFunction = js.context['destroy3DPlanetViewer'];
@@ -102,11 +224,98 @@ class _Planet3DViewerState extends State<Planet3DViewer> {
     super.dispose();
   }
 
+  /// The JS viewer created for this widget, once it exists
+  js.JsObject? _jsViewer() {
+    final viewers = js.context['planet3DViewers'];
+    final viewer = viewers is js.JsObject ? viewers[_viewId] : null;
+    return viewer is js.JsObject ? viewer : null;
+  }
+
+  /// Hands the viewer's markers (a JS array) to
+  /// [Planet3DViewer.onAnnotationsChanged]
+  void _reportAnnotations(dynamic markers) {
+    final json = js.context['JSON'].callMethod('stringify', [markers]);
+    final annotations = (jsonDecode(json as String) as List)
+        .map(
+          (marker) =>
+              SurfaceAnnotation.fromJson(Map<String, dynamic>.from(marker)),
+        )
+        .toList();
+    widget.onAnnotationsChanged?.call(annotations);
+  }
+
+  /// Switches what a click on the planet does: inspect, drop a marker,
+  /// or measure a distance
+  void _cyclePickMode() {
+    final viewer = _jsViewer();
+    if (viewer == null) return;
+
+    final index = _pickModes.indexOf(_pickMode);
+    final mode = _pickModes[(index + 1) % _pickModes.length];
+    viewer.callMethod('setPickMode', [mode]);
+    setState(() => _pickMode = mode);
+  }
+
+  /// Downloads a PNG rendered offscreen at 4K
+  void _saveScreenshot() {
+    _jsViewer()?.callMethod('saveImage');
+  }
+
+  /// Records and downloads a 360° turntable (WebM)
+  void _saveTurntable() {
+    final viewer = _jsViewer();
+    if (viewer == null || _isRecording) return;
+
+    setState(() => _isRecording = true);
+    void done(dynamic _) {
+      if (mounted) setState(() => _isRecording = false);
+    }
+
+    (viewer.callMethod('saveTurntable') as js.JsObject).callMethod('then', [
+      done,
+      done,
+    ]);
+  }
+
+  /// Bakes and downloads equirectangular surface maps (PNG + JSON)
+  void _saveMaps() {
+    final viewer = _jsViewer();
+    if (viewer == null || _isBakingMaps) return;
+
+    setState(() => _isBakingMaps = true);
+    void done(dynamic _) {
+      if (mounted) setState(() => _isBakingMaps = false);
+    }
+
+    (viewer.callMethod('saveMaps') as js.JsObject).callMethod('then', [
+      done,
+      done,
+    ]);
+  }
+
   @override
   Widget build(BuildContext context) {
     return Column(
       children: [
-        Expanded(child: HtmlElementView(viewType: _viewId)),
+        Expanded(
+          child: Stack(
+            children: [
+              Positioned.fill(child: HtmlElementView(viewType: _viewId)),
+              // Placeholder textures show until the worker finishes
+              if (_textureProgress != null)
+                Positioned(
+                  top: 0,
+                  left: 0,
+                  right: 0,
+                  child: LinearProgressIndicator(
+                    value: _textureProgress,
+                    minHeight: 2,
+                    backgroundColor: Colors.transparent,
+                  ),
+                ),
+            ],
+          ),
+        ),
         _buildControls(),
       ],
     );
@@ -125,9 +334,12 @@ class _Planet3DViewerState extends State<Planet3DViewer> {
           // Instructions
           const Icon(Icons.info_outline, size: 16, color: Colors.white70),
           const SizedBox(width: 8),
-          const Text(
-            'Drag to rotate • Scroll to zoom',
-            style: TextStyle(color: Colors.white70, fontSize: 14),
+          // Wraps on narrow (phone) screens
+          const Flexible(
+            child: Text(
+              'Drag to rotate • Pinch or scroll to zoom • Double-tap to reset',
+              style: TextStyle(color: Colors.white70, fontSize: 14),
+            ),
           ),
           const SizedBox(width: 16),
           // Size comparison
@@ -154,8 +366,132 @@ class _Planet3DViewerState extends State<Planet3DViewer> {
                 ],
               ),
             ),
+          const SizedBox(width: 16),
+          // Surface picking
+          if (!widget.pooled)
+            IconButton(
+              onPressed: _cyclePickMode,
+              icon: Icon(
+                _pickMode == 'marker'
+                    ? Icons.place
+                    : _pickMode == 'measure'
+                    ? Icons.straighten
+                    : Icons.ads_click,
+                color: _pickMode == 'inspect' ? Colors.white70 : Colors.amber,
+              ),
+              tooltip: _pickMode == 'marker'
+                  ? 'Click: drop a marker'
+                  : _pickMode == 'measure'
+                  ? 'Click: measure a distance'
+                  : 'Click: inspect the surface',
+            ),
+          // Export
+          IconButton(
+            onPressed: _saveScreenshot,
+            icon: const Icon(Icons.photo_camera, color: Colors.white70),
+            tooltip: 'Save screenshot (PNG)',
+          ),
+          IconButton(
+            onPressed: _isRecording ? null : _saveTurntable,
+            icon: _isRecording
+                ? const SizedBox(
+                    width: 18,
+                    height: 18,
+                    child: CircularProgressIndicator(
+                      strokeWidth: 2,
+                      color: Colors.white70,
+                    ),
+                  )
+                : const Icon(Icons.videocam, color: Colors.white70),
+            tooltip: 'Record 360° turntable (WebM)',
+          ),
+          IconButton(
+            onPressed: _isBakingMaps ? null : _saveMaps,
+            icon: _isBakingMaps
+                ? const SizedBox(
+                    width: 18,
+                    height: 18,
+                    child: CircularProgressIndicator(
+                      strokeWidth: 2,
+                      color: Colors.white70,
+                    ),
+                  )
+                : const Icon(Icons.map, color: Colors.white70),
+            tooltip: 'Bake surface maps (albedo, height, normal, clouds)',
+          ),
         ],
       ),
     );
   }
 }
+
+/// Playback of a [Planet3DViewer.timeline]
+///
+/// The viewer runs the timeline itself and reports its time back here, so
+/// [age] follows playback; controls issued before the viewer exists apply
+/// once it does.
+class PlanetTimelineController extends ChangeNotifier {
+  /// Length of a full run
+  final Duration duration;
+
+  /// Whether playback starts over at the end
+  final bool loop;
+
+  PlanetTimelineController({
+    this.duration = const Duration(seconds: 20),
+    this.loop = false,
+  });
+
+  js.JsObject? _timeline;
+  double _age = 0;
+  double? _pendingAge;
+  bool _isPlaying = false;
+  bool _pendingPlay = false;
+
+  /// Current time of the viewer, in years
+  double get age => _age;
+
+  bool get isPlaying => _isPlaying;
+
+  void play() {
+    if (_timeline == null) {
+      _pendingPlay = true;
+    } else {
+      _timeline!.callMethod('play');
+    }
+  }
+
+  void pause() {
+    _pendingPlay = false;
+    _timeline?.callMethod('pause');
+  }
+
+  /// Jumps to [age] (years); the viewer tweens there
+  void seek(double age) {
+    _age = age;
+    if (_timeline == null) {
+      _pendingAge = age;
+      notifyListeners();
+    } else {
+      _timeline!.callMethod('seek', [age]);
+    }
+  }
+
+  void _attach(js.JsObject? timeline) {
+    _timeline = timeline;
+    if (timeline == null) {
+      _isPlaying = false;
+      return;
+    }
+    if (_pendingAge != null) timeline.callMethod('seek', [_pendingAge]);
+    if (_pendingPlay) timeline.callMethod('play');
+    _pendingAge = null;
+    _pendingPlay = false;
+  }
+
+  void _report(double age, bool playing) {
+    _age = age;
+    _isPlaying = playing;
+    notifyListeners();
+  }
+}
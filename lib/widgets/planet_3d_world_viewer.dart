@@ -1,4 +1,3 @@
-import 'dart:convert';
 import 'dart:html' as html;
 import 'dart:math' as math;
 // ignore: avoid_web_libraries_in_flutter
@@ -8,7 +7,9 @@ import 'package:flutter/material.dart';
 
 import '../models/biome.dart';
 import '../models/planet.dart';
+import '../models/surface_annotation.dart';
 import '../services/ai_enhancement_service.dart';
+import '../services/viewer_channel.dart';
 
 /// Interactive 3D planet world viewer using Three.js
 ///
@@ -19,14 +20,23 @@ import '../services/ai_enhancement_service.dart';
 /// - Day/night cycle toggle
 /// - Dynamic terrain regeneration
 /// - Planet data-driven generation (temperature, gravity, atmosphere)
+/// - Surface picking: coordinates tooltip, named markers, distances
 class Planet3DWorldViewer extends StatefulWidget {
   final Planet planet;
   final Biome biome;
 
+  /// Markers restored on the planet once it is generated
+  final List<SurfaceAnnotation>? annotations;
+
+  /// Called with all markers whenever the user adds or removes one
+  final ValueChanged<List<SurfaceAnnotation>>? onAnnotationsChanged;
+
   const Planet3DWorldViewer({
     super.key,
     required this.planet,
     required this.biome,
+    this.annotations,
+    this.onAnnotationsChanged,
   });
 
   @override
@@ -38,101 +48,154 @@ class _Planet3DWorldViewerState extends State<Planet3DWorldViewer> {
   bool _isLoading = true;
   bool _isEnhancing = false;
   String _enhancementStatus = '';
+
+  /// Fixes the viewer applied to incomplete or out-of-range planet data
+  List<String> _dataWarnings = const [];
   final _enhancementService = AIEnhancementService();
+  late final ViewerChannel _channel;
+
+  /// Length of the viewer's tween when the planet or biome changes
+  static const Duration _updateDuration = Duration(milliseconds: 600);
 
   @override
   void initState() {
     super.initState();
     viewId = 'planet-3d-viewer-${DateTime.now().millisecondsSinceEpoch}';
+    _channel = ViewerChannel(viewId);
     _registerIframe();
 
-    // Wait a bit for iframe to load, then send planet data and enhancements
-    Future.delayed(const Duration(milliseconds: 1500), () {
-      _sendPlanetData();
-      _applyAIEnhancements();
-      if (mounted) {
-        setState(() {
-          _isLoading = false;
-        });
-      }
-    });
+    // Screenshots, turntables and models exported from the viewer are
+    // saved here
+    _channel.events
+        .where((event) => event.type == 'captured' || event.type == 'exported')
+        .listen(_saveExport);
+
+    // Markers the user dropped or removed (replies to our own requests
+    // carry `replyTo`)
+    _channel.events
+        .where(
+          (event) =>
+              event.type == 'annotationsChanged' && event.replyTo == null,
+        )
+        .listen(_reportAnnotations);
+
+    // Requests are queued until the viewer reports `ready`
+    _sendPlanetData();
+    if (widget.annotations != null) {
+      _channel.send('setAnnotations', {
+        'markers': [
+          for (final marker in widget.annotations!) marker.toJson(),
+        ],
+      });
+    }
+    WidgetsBinding.instance.addPostFrameCallback((_) => _applyAIEnhancements());
+  }
+
+  @override
+  void dispose() {
+    _channel.dispose();
+    super.dispose();
   }
 
   void _registerIframe() {
     // Register the iframe view factory
     ui_web.platformViewRegistry.registerViewFactory(viewId, (int viewId) {
       final iframe = html.IFrameElement()
-        ..src = 'planet_3d_viewer.html'
+        ..src = _channel.viewerUrl('planet_3d_viewer.html')
         ..style.border = 'none'
         ..style.width = '100%'
         ..style.height = '100%'
         ..style.pointerEvents =
             'auto'; // Allow iframe to receive pointer events
 
+      _channel.attach(iframe);
       return iframe;
     });
   }
 
+  @override
+  void didUpdateWidget(Planet3DWorldViewer oldWidget) {
+    super.didUpdateWidget(oldWidget);
+
+    // Morph the planet in place rather than regenerating it
+    if (!identical(oldWidget.planet, widget.planet) ||
+        !identical(oldWidget.biome, widget.biome)) {
+      _channel.send('updatePlanet', {
+        'planetData': _planetData(),
+        'duration': _updateDuration.inMilliseconds,
+      });
+    }
+  }
+
   void _sendPlanetData() {
-    // Prepare comprehensive planet data for scientifically accurate Three.js rendering
-    final planetData = {
-      'type': 'planetData',
-      'data': {
-        // Basic properties
-        'name': widget.planet.name,
-        'biome': widget.biome.type,
-
-        // Physical characteristics
-        'temperature': widget.planet.equilibriumTemperature ?? 285,
-        'mass': widget.planet.mass ?? 1.0, // Earth masses
-        'radius': widget.planet.radius ?? 1.0, // Earth radii
-        'gravity':
-            (widget.planet.mass ?? 1.0) /
-            ((widget.planet.radius ?? 1.0) * (widget.planet.radius ?? 1.0)),
-
-        // Orbital properties (affect tidal locking, seasons)
-        'orbitalPeriod': widget.planet.orbitalPeriod ?? 365,
-        'semiMajorAxis': widget.planet.semiMajorAxis ?? 1.0, // AU
-        'eccentricity': widget.planet.eccentricity ?? 0.0,
-
-        // Stellar properties (affect lighting and atmosphere)
-        'stellarType': widget.planet.stellarSpectralType ?? 'G2V',
-        'stellarTemperature': widget.planet.stellarTemperature ?? 5778,
-        'stellarMass': widget.planet.stellarMass ?? 1.0,
-
-        // Discovery info (rough age indicator)
-        'discoveryYear': widget.planet.discoveryYear ?? 2020,
-
-        // Derived properties
-        'atmosphere': widget.biome.atmosphereComposition,
-        'lifeforms': _getLifeForms(),
-        'habitability': widget.planet.habitabilityScore ?? 0,
-
-        // Calculated features for rendering
-        'isTidallyLocked': _isTidallyLocked(),
-        'hasStrongMagneticField':
-            (widget.planet.mass ?? 1.0) > 0.5 &&
-            (widget.planet.mass ?? 1.0) < 3.0,
-        'tectonicActivity': _calculateTectonicActivity(),
-        'ageIndicator': _getRelativeAge(),
-      },
-    };
+    final requestId = _channel.send('planetData', _planetData());
+    print('[3D-VIEWER] Sent planet data to viewer: ${widget.planet.name}');
 
-    // Send message to ALL iframes on the page
-    final message = jsonEncode(planetData);
+    // Hide the loading overlay once the planet is generated (or failed)
+    _channel.response(requestId).then((event) {
+      if (event.type == 'error') {
+        print('[3D-VIEWER] ❌ Planet generation failed: ${event.reason}');
+      }
 
-    // Try to find our specific iframe and send message
-    final iframes = html.document.getElementsByTagName('iframe');
-    for (var iframe in iframes) {
-      if (iframe is html.IFrameElement &&
-          iframe.src?.contains('planet_3d_viewer.html') == true) {
-        iframe.contentWindow?.postMessage(message, '*');
-        print('[3D-VIEWER] Sent planet data to iframe: ${widget.planet.name}');
+      final warnings = (event.payload['dataWarnings'] as List? ?? const [])
+          .map((warning) => (warning as Map)['message'].toString())
+          .toList();
+      for (final warning in warnings) {
+        print('[3D-VIEWER] ⚠ Planet data: $warning');
       }
-    }
 
-    // Also send to window (fallback)
-    html.window.postMessage(message, '*');
+      if (mounted) {
+        setState(() {
+          _isLoading = false;
+          _dataWarnings = warnings;
+        });
+      }
+    }, onError: (_) {});
+  }
+
+  /// Planet data for the viewer, comprehensive for scientifically accurate
+  /// Three.js rendering
+  Map<String, dynamic> _planetData() {
+    return {
+      // Basic properties
+      'name': widget.planet.name,
+      'biome': widget.biome.type,
+
+      // Physical characteristics
+      'temperature': widget.planet.equilibriumTemperature ?? 285,
+      'mass': widget.planet.mass ?? 1.0, // Earth masses
+      'radius': widget.planet.radius ?? 1.0, // Earth radii
+      'gravity':
+          (widget.planet.mass ?? 1.0) /
+          ((widget.planet.radius ?? 1.0) * (widget.planet.radius ?? 1.0)),
+
+      // Orbital properties (affect tidal locking, seasons)
+      'orbitalPeriod': widget.planet.orbitalPeriod ?? 365,
+      'semiMajorAxis': widget.planet.semiMajorAxis ?? 1.0, // AU
+      'eccentricity': widget.planet.eccentricity ?? 0.0,
+
+      // Stellar properties (affect lighting and atmosphere)
+      'stellarType': widget.planet.stellarSpectralType ?? 'G2V',
+      'stellarTemperature': widget.planet.stellarTemperature ?? 5778,
+      'stellarMass': widget.planet.stellarMass ?? 1.0,
+      'stellarRadius': widget.planet.stellarRadius ?? 1.0,
+
+      // Discovery info (rough age indicator)
+      'discoveryYear': widget.planet.discoveryYear ?? 2020,
+
+      // Derived properties
+      'atmosphere': widget.biome.atmosphereComposition,
+      'lifeforms': _getLifeForms(),
+      'habitability': widget.planet.habitabilityScore ?? 0,
+
+      // Calculated features for rendering
+      'isTidallyLocked': _isTidallyLocked(),
+      'hasStrongMagneticField':
+          (widget.planet.mass ?? 1.0) > 0.5 &&
+          (widget.planet.mass ?? 1.0) < 3.0,
+      'tectonicActivity': _calculateTectonicActivity(),
+      'ageIndicator': _getRelativeAge(),
+    };
   }
 
   Future<void> _applyAIEnhancements() async {
@@ -154,19 +217,28 @@ class _Planet3DWorldViewerState extends State<Planet3DWorldViewer> {
 
       if (!mounted) return;
 
-      // Update status based on cache hit
-      setState(() {
-        _enhancementStatus = result.fromCache
-            ? '✓ Using cached enhancements'
-            : '✓ AI-generated enhancements applied';
-      });
-
       print(
         '[AI-ENHANCE] Got enhancement code (${result.fromCache ? "CACHED" : "GENERATED"})',
       );
 
-      // Send enhancement code to iframe
-      _sendEnhancementCode(result.code, result.fromCache);
+      // Send enhancement code to the viewer and wait for the sandbox result
+      final response = await _sendEnhancementCode(
+        result.code,
+        result.fromCache,
+      );
+
+      if (!mounted) return;
+
+      // Update status based on the result and cache hit
+      setState(() {
+        if (response.type == 'error') {
+          _enhancementStatus = '⚠ Enhancement failed: ${response.reason}';
+        } else {
+          _enhancementStatus = result.fromCache
+              ? '✓ Using cached enhancements'
+              : '✓ AI-generated enhancements applied';
+        }
+      });
 
       // Clear status after a delay
       Future.delayed(const Duration(seconds: 3), () {
@@ -198,30 +270,47 @@ class _Planet3DWorldViewerState extends State<Planet3DWorldViewer> {
     }
   }
 
-  void _sendEnhancementCode(String code, bool fromCache) {
-    final enhancementData = {
-      'type': 'enhancementCode',
+  Future<ViewerEvent> _sendEnhancementCode(String code, bool fromCache) {
+    final requestId = _channel.send('enhancementCode', {
       'code': code,
       'fromCache': fromCache,
       'planetName': widget.planet.name,
-    };
+    });
+    print(
+      '[AI-ENHANCE] Sent enhancement code to viewer (${fromCache ? "CACHED" : "GENERATED"})',
+    );
 
-    final message = jsonEncode(enhancementData);
-
-    // Send to all planet viewer iframes
-    final iframes = html.document.getElementsByTagName('iframe');
-    for (var iframe in iframes) {
-      if (iframe is html.IFrameElement &&
-          iframe.src?.contains('planet_3d_viewer.html') == true) {
-        iframe.contentWindow?.postMessage(message, '*');
-        print(
-          '[AI-ENHANCE] Sent enhancement code to iframe (${fromCache ? "CACHED" : "GENERATED"})',
-        );
-      }
+    return _channel.response(requestId);
+  }
+
+  /// Saves the files of a `captured` (PNG/WebM) or `exported` (glTF,
+  /// OBJ + MTL) event as downloads
+  void _saveExport(ViewerEvent event) {
+    final files = event.type == 'exported'
+        ? (event.payload['files'] as List? ?? const [])
+        : [event.payload];
+
+    for (final file in files.cast<Map>()) {
+      final dataUrl = file['dataUrl'] as String?;
+      if (dataUrl == null) continue;
+
+      final filename = file['filename'] as String? ?? 'planet';
+      html.AnchorElement(href: dataUrl)
+        ..download = filename
+        ..click();
+      print('[3D-VIEWER] Saved export: $filename');
     }
+  }
 
-    // Fallback
-    html.window.postMessage(message, '*');
+  void _reportAnnotations(ViewerEvent event) {
+    final markers = (event.payload['markers'] as List? ?? const [])
+        .map(
+          (marker) =>
+              SurfaceAnnotation.fromJson(Map<String, dynamic>.from(marker)),
+        )
+        .toList();
+    print('[3D-VIEWER] ${markers.length} surface marker(s)');
+    widget.onAnnotationsChanged?.call(markers);
   }
 
   String _getLifeForms() {
@@ -494,7 +583,9 @@ class _Planet3DWorldViewerState extends State<Planet3DWorldViewer> {
                     const SizedBox(height: 16),
                     _buildControlItem('🖱️ Drag', 'Rotate camera'),
                     _buildControlItem('🔍 Scroll', 'Zoom in/out'),
-                    _buildControlItem('[Cam] Free Cam', 'Enable WASD movement'),
+                    _buildControlItem('🚶 Walk', 'Explore the surface on foot'),
+                    _buildControlItem('🔍 Pick', 'Inspect, mark or measure'),
+                    _buildControlItem('🎬 Tour', 'Guided flight over landmarks'),
                     const SizedBox(height: 12),
                     Container(
                       height: 1,
@@ -509,14 +600,54 @@ class _Planet3DWorldViewerState extends State<Planet3DWorldViewer> {
                       ),
                     ),
                     const SizedBox(height: 12),
-                    _buildControlItem('W/A/S/D', 'Move (Free Cam)'),
-                    _buildControlItem('Q/E', 'Up/Down (Free Cam)'),
+                    _buildControlItem('W/A/S/D', 'Walk (Shift to run)'),
+                    _buildControlItem('Space', 'Jump'),
                   ],
                 ),
               ),
             ),
           ),
 
+          // Data quality notice (below the back button)
+          if (_dataWarnings.isNotEmpty)
+            Positioned(
+              top: 84,
+              left: 20,
+              child: Tooltip(
+                message: _dataWarnings.join('\n'),
+                child: Container(
+                  padding: const EdgeInsets.symmetric(
+                    horizontal: 12,
+                    vertical: 8,
+                  ),
+                  decoration: BoxDecoration(
+                    color: Colors.orange.withOpacity(0.85),
+                    borderRadius: BorderRadius.circular(12),
+                  ),
+                  child: Row(
+                    mainAxisSize: MainAxisSize.min,
+                    children: [
+                      const Icon(
+                        Icons.info_outline,
+                        color: Colors.white,
+                        size: 16,
+                      ),
+                      const SizedBox(width: 6),
+                      Text(
+                        '${_dataWarnings.length} planet data '
+                        '${_dataWarnings.length == 1 ? 'issue' : 'issues'} corrected',
+                        style: const TextStyle(
+                          color: Colors.white,
+                          fontSize: 12,
+                          fontWeight: FontWeight.w600,
+                        ),
+                      ),
+                    ],
+                  ),
+                ),
+              ),
+            ),
+
           // Back button (top-left) - Highest z-index
           Positioned(
             top: 20,
@@ -1,5 +1,6 @@
 import 'dart:convert';
 import 'dart:html' as html;
+import 'dart:js' as js;
 import 'dart:math' as math;
 // ignore: avoid_web_libraries_in_flutter
 import 'dart:ui_web' as ui_web;
@@ -32,12 +33,26 @@ class _PlanetCardState extends State<PlanetCard> {
   bool _isHovered = false;
   String? _canvasViewType;
 
+  String get _canvasId =>
+      'planet-canvas-${widget.planet.displayName.hashCode}';
+
   @override
   void initState() {
     super.initState();
     _registerPlanetCanvas();
   }
 
+  @override
+  void dispose() {
+    // Stop the renderer's animation loop along with the card
+    try {
+      js.context.callMethod('destroyPlanetRenderer', [_canvasId]);
+    } catch (e) {
+      debugPrint('Error destroying planet renderer: $e');
+    }
+    super.dispose();
+  }
+
   void _registerPlanetCanvas() {
     final viewType = 'planet-canvas-${widget.planet.displayName.hashCode}';
     _canvasViewType = viewType;
@@ -70,7 +85,7 @@ class _PlanetCardState extends State<PlanetCard> {
       };
 
       // Set unique canvas ID
-      final canvasId = 'planet-canvas-${widget.planet.displayName.hashCode}';
+      final canvasId = _canvasId;
       canvas.id = canvasId;
 
       // Create planet renderer using JavaScript after a brief delay
@@ -1,8 +1,25 @@
 // Animated Planet Renderer using Anime.js
 // Generates unique, real-time animated planets based on exoplanet data
+//
+// Lifecycle: renderers start on creation and can be paused, resumed and
+// destroyed. Frames and anime timelines also stop on their own while the
+// canvas is offscreen or the tab is hidden, so long planet lists only spend
+// CPU on the cards in view.
 
 class AnimatedPlanetRenderer {
   constructor(canvasId, planetData) {
+    // Lifecycle: frames run only while started, on screen and in a visible
+    // tab (set first so a renderer without a canvas can still be destroyed)
+    this.animations = [];
+    this.frameId = null;
+    this.paused = true;
+    this.destroyed = false;
+    this.onScreen = true;
+    this.renderFrame = () => {
+      this.render();
+      this.frameId = requestAnimationFrame(this.renderFrame);
+    };
+
     this.canvas = document.getElementById(canvasId);
     if (!this.canvas) {
       console.error(`Canvas with id ${canvasId} not found`);
@@ -10,7 +27,12 @@ class AnimatedPlanetRenderer {
     }
 
     this.ctx = this.canvas.getContext("2d");
-    this.planetData = planetData;
+
+    // Validated copy of the host data; warnings are kept for the host
+    const { data, warnings } = PlanetSchema.normalize(planetData);
+    PlanetSchema.logWarnings(data, warnings);
+    this.planetData = data;
+    this.dataWarnings = warnings;
     this.width = this.canvas.width;
     this.height = this.canvas.height;
     this.centerX = this.width / 2;
@@ -22,6 +44,11 @@ class AnimatedPlanetRenderer {
     this.glowIntensity = 0.5;
     this.craterOpacity = 0.7;
 
+    // Deterministic randomness derived from the planet identity
+    this.seed = SeededRandom.seedFromPlanet(this.planetData);
+    this.random = new SeededRandom(this.seed);
+    this.appearance = PlanetAppearance.resolve(this.planetData);
+
     // Planet properties derived from data
     this.radius = this.width * 0.35;
     this.colors = this.calculateColors();
@@ -29,29 +56,80 @@ class AnimatedPlanetRenderer {
 
     // Initialize animations
     this.initAnimations();
+    this.observeVisibility();
     this.render();
+    this.start();
+  }
+
+  get isRunning() {
+    return this.frameId !== null;
+  }
+
+  start() {
+    if (this.destroyed) return;
+    this.paused = false;
+    this.updatePlayback();
+  }
+
+  pause() {
+    this.paused = true;
+    this.updatePlayback();
+  }
+
+  resume() {
+    this.start();
+  }
+
+  // Stops everything for good; the renderer can't be restarted
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.updatePlayback();
+
+    anime.remove(this);
+    this.animations = [];
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    document.removeEventListener(
+      "visibilitychange",
+      this.onVisibilityChange
+    );
+  }
+
+  // Offscreen canvases and hidden tabs pause rendering without touching the
+  // caller's start/pause state
+  observeVisibility() {
+    this.onVisibilityChange = () => this.updatePlayback();
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+
+    if (typeof IntersectionObserver === "undefined") return;
+    this.intersectionObserver = new IntersectionObserver((entries) => {
+      this.onScreen = entries[entries.length - 1].isIntersecting;
+      this.updatePlayback();
+    });
+    this.intersectionObserver.observe(this.canvas);
+  }
+
+  updatePlayback() {
+    const shouldRun =
+      !this.destroyed && !this.paused && this.onScreen && !document.hidden;
+    if (shouldRun === this.isRunning) return;
+
+    if (shouldRun) {
+      this.animations.forEach((animation) => animation.play());
+      this.frameId = requestAnimationFrame(this.renderFrame);
+    } else {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+      this.animations.forEach((animation) => animation.pause());
+    }
   }
 
   calculateColors() {
-    const { temperature, mass, density, biome } = this.planetData;
-    const temp = temperature || 300;
-    const uniqueSeed = this.hashCode(this.planetData.name) % 100;
-
-    // Base colors by biome type
-    const biomeColors = {
-      "Gas Giant": { h: 270, s: 70, l: 50 },
-      "Ice Giant": { h: 200, s: 60, l: 60 },
-      "Super Earth": { h: 140, s: 50, l: 45 },
-      "Mini Neptune": { h: 180, s: 55, l: 55 },
-      "Rocky Planet": { h: 25, s: 40, l: 40 },
-      "Ice World": { h: 190, s: 50, l: 70 },
-      "Lava World": { h: 15, s: 90, l: 50 },
-      "Ocean World": { h: 210, s: 80, l: 45 },
-      "Desert World": { h: 40, s: 70, l: 55 },
-      "Barren World": { h: 0, s: 0, l: 35 },
-    };
+    const { temperature: temp, mass, density } = this.planetData;
+    const uniqueSeed = this.seed % 100;
 
-    let baseColor = biomeColors[biome] || { h: 200, s: 50, l: 50 };
+    // Base color from the shared appearance model
+    const baseColor = PlanetAppearance.toHsl(this.appearance.colors.base);
 
     // Temperature modifications
     let hueShift = 0;
@@ -97,7 +175,7 @@ class AnimatedPlanetRenderer {
     }
 
     // Density modifications
-    const dens = density || mass / Math.pow(this.planetData.radius || 1, 2);
+    const dens = density || mass / Math.pow(this.planetData.radius, 2);
     if (dens > 2) {
       satMod *= 1.15;
       lightMod *= 0.95;
@@ -124,47 +202,41 @@ class AnimatedPlanetRenderer {
   }
 
   determineFeatures() {
-    const { temperature, mass, biome } = this.planetData;
-    const temp = temperature || 300;
-    const isGasGiant =
-      mass > 0.5 && (biome === "Gas Giant" || biome === "Ice Giant");
+    const { temperature: temp, mass } = this.planetData;
+    const appearance = this.appearance;
+    const pattern = appearance.surfacePattern;
+    const isGasGiant = appearance.features.gasGiant;
 
     return {
-      hasRings: mass > 5 && Math.random() > 0.7,
+      hasRings: PlanetAppearance.hasRings(appearance, this.planetData, this.seed),
       hasBands: isGasGiant,
       hasCraters: !isGasGiant && temp > 200 && temp < 600,
-      hasLavaCracks: temp > 800,
-      hasIceCrystals: temp < 150,
-      hasOceanWaves: biome === "Ocean World",
-      hasDunes: biome === "Desert World",
-      hasStorm: isGasGiant && Math.random() > 0.6,
-      hasAtmosphere: mass > 0.3,
+      hasLavaCracks: temp > 800 || pattern === "lava",
+      hasIceCrystals: temp < 150 || pattern === "ice",
+      hasOceanWaves: pattern === "ocean",
+      hasDunes: pattern === "dunes",
+      hasStorm: PlanetAppearance.hasStorm(appearance, this.seed),
+      hasAtmosphere: PlanetAppearance.hasAtmosphere(appearance, this.planetData),
       cloudDensity: isGasGiant ? 0.8 : mass > 0.5 ? 0.4 : 0.1,
     };
   }
 
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
-  }
-
   initAnimations() {
+    // Started by updatePlayback()
+    const animate = (params) =>
+      this.animations.push(anime({ ...params, autoplay: false }));
+
     // Continuous rotation
-    anime({
+    animate({
       targets: this,
       rotation: 360,
-      duration: 20000 + (this.hashCode(this.planetData.name) % 10000),
+      duration: 20000 + (this.seed % 10000),
       easing: "linear",
       loop: true,
     });
 
     // Pulsing atmosphere
-    anime({
+    animate({
       targets: this,
       atmosphereOpacity: [0.2, 0.5],
       duration: 3000,
@@ -174,10 +246,10 @@ class AnimatedPlanetRenderer {
     });
 
     // Glow intensity variation
-    anime({
+    animate({
       targets: this,
       glowIntensity: [0.3, 0.7],
-      duration: 2000 + (this.hashCode(this.planetData.name) % 1000),
+      duration: 2000 + (this.seed % 1000),
       direction: "alternate",
       easing: "easeInOutQuad",
       loop: true,
@@ -185,7 +257,7 @@ class AnimatedPlanetRenderer {
 
     // Crater opacity (subtle breathing effect)
     if (this.features.hasCraters) {
-      anime({
+      animate({
         targets: this,
         craterOpacity: [0.5, 0.9],
         duration: 4000,
@@ -228,13 +300,10 @@ class AnimatedPlanetRenderer {
     if (this.features.hasRings) {
       this.drawRings();
     }
-
-    // Continue animation loop
-    requestAnimationFrame(() => this.render());
   }
 
   drawStars() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     for (let i = 0; i < 15; i++) {
       const x = (seed + i * 73) % this.width;
       const y = (seed + i * 97) % this.height;
@@ -310,7 +379,7 @@ class AnimatedPlanetRenderer {
   }
 
   drawBands() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     const numBands = 3 + (seed % 3);
 
     this.ctx.save();
@@ -337,16 +406,20 @@ class AnimatedPlanetRenderer {
   }
 
   drawStorm() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     const stormX = this.centerX + ((seed % 40) - 20);
     const stormY = this.centerY + (((seed * 7) % 40) - 20);
     const rotation = this.rotation * 0.5;
+    const storm = this.appearance.colors.storm || 0xc83232;
+    const stormRgb = `${(storm >> 16) & 255}, ${(storm >> 8) & 255}, ${
+      storm & 255
+    }`;
 
     this.ctx.save();
     this.ctx.translate(stormX, stormY);
     this.ctx.rotate((rotation * Math.PI) / 180);
 
-    this.ctx.fillStyle = `rgba(200, 50, 50, 0.3)`;
+    this.ctx.fillStyle = `rgba(${stormRgb}, 0.3)`;
     this.ctx.beginPath();
     this.ctx.ellipse(
       0,
@@ -359,7 +432,7 @@ class AnimatedPlanetRenderer {
     );
     this.ctx.fill();
 
-    this.ctx.fillStyle = `rgba(255, 100, 100, 0.2)`;
+    this.ctx.fillStyle = `rgba(${stormRgb}, 0.2)`;
     this.ctx.beginPath();
     this.ctx.ellipse(
       0,
@@ -376,7 +449,7 @@ class AnimatedPlanetRenderer {
   }
 
   drawCraters() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     const numCraters = 5 + (seed % 4);
 
     this.ctx.save();
@@ -406,7 +479,7 @@ class AnimatedPlanetRenderer {
   }
 
   drawLavaCracks() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     const numCracks = 5;
     const pulseIntensity =
       0.5 + Math.sin((this.rotation * Math.PI) / 180) * 0.3;
@@ -444,7 +517,7 @@ class AnimatedPlanetRenderer {
   }
 
   drawIceCrystals() {
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
     const numCrystals = 8;
 
     this.ctx.save();
@@ -518,7 +591,7 @@ class AnimatedPlanetRenderer {
 
   drawDunes() {
     const numDunes = 5;
-    const seed = this.hashCode(this.planetData.name);
+    const seed = this.seed;
 
     this.ctx.save();
     this.ctx.beginPath();
@@ -627,6 +700,7 @@ window.planetRenderers = window.planetRenderers || {};
 window.createPlanetRenderer = function (canvasId, planetData) {
   if (window.planetRenderers[canvasId]) {
     // Clean up existing renderer if any
+    window.planetRenderers[canvasId].destroy();
     delete window.planetRenderers[canvasId];
   }
 
@@ -640,6 +714,7 @@ window.createPlanetRenderer = function (canvasId, planetData) {
 // Function to destroy a planet renderer
 window.destroyPlanetRenderer = function (canvasId) {
   if (window.planetRenderers[canvasId]) {
+    window.planetRenderers[canvasId].destroy();
     delete window.planetRenderers[canvasId];
   }
 };
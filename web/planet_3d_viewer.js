@@ -1,55 +1,152 @@
 // Interactive 3D Planet Viewer using Three.js
 // Full 3D rendering with realistic surface textures based on planet data
 // Supports zoom, rotation, pan, and detailed surface visualization
+//
+// Viewers either own a WebGL renderer or, with `{ pool }`, draw into a 2D
+// canvas through a shared PlanetRenderPool (for grids of thumbnails).
+//
+// Textures open as low-detail placeholders; the full-detail layers are
+// painted in a worker (see PlanetTextureJobs) and swapped in when ready.
+// `{ onProgress }` reports that work as 0-1.
+//
+// update(partialPlanetData, { duration }) moves a live viewer to new data:
+// only the layers whose look changes are tweened (see PlanetTweens), and a
+// repainted surface crossfades in once the worker has painted it.
+//
+// setTimeline(keyframes, options) plays a planet's evolution through the
+// same updates (see PlanetTimeline) and returns the timeline to control.
+//
+// Viewers with their own renderer pick the surface (see PlanetAnnotations):
+// a tooltip under the cursor, named markers and distances. `{ annotations }`
+// restores saved markers and `{ onAnnotationsChanged(markers) }` hears
+// every marker the user adds or removes.
+//
+// Mouse, touch and pen share one set of controls (see PlanetGestures): drag
+// to rotate with momentum, pinch to zoom, two fingers to pan and twist,
+// double-tap or Home to reset, arrow keys and +/- once the canvas has focus.
+
+// Bump map relief in scene units (the planet radius is 0.5-2.5)
+const PLANET_BUMP_SCALE = 0.05;
+
+// Placeholder texture size relative to the full-detail layers
+const SURFACE_PLACEHOLDER_SCALE = 1 / 8;
+
+// Transparent shells around the planet, in the order they are added
+const PLANET_OVERLAY_LAYERS = ["atmosphere", "clouds", "rings", "glow"];
+
+// Length of the update tween while a timeline plays or is scrubbed, ms
+const TIMELINE_UPDATE_DURATION = 300;
+
+// Camera zoom range (the camera sits 5 / zoom from the centre) and the
+// length of the eased return to the opening view, ms
+const VIEW_MIN_ZOOM = 0.5;
+const VIEW_MAX_ZOOM = 3;
+const VIEW_RESET_DURATION = 500;
 
 class Interactive3DPlanetViewer {
-  constructor(containerId, planetData) {
+  constructor(
+    containerId,
+    planetData,
+    { pool = null, onProgress, annotations, onAnnotationsChanged } = {}
+  ) {
     this.container = document.getElementById(containerId);
     if (!this.container) {
       console.error(`Container with id ${containerId} not found`);
       return;
     }
 
-    this.planetData = planetData;
+    // Validated copy of the host data; warnings are kept for the host
+    const { data, warnings } = PlanetSchema.normalize(planetData);
+    PlanetSchema.logWarnings(data, warnings);
+    this.planetData = data;
+    this.dataWarnings = warnings;
     this.width = this.container.clientWidth;
+
+    // Deterministic randomness derived from the planet identity
+    this.seed = SeededRandom.seedFromPlanet(this.planetData);
+    this.random = new SeededRandom(this.seed);
+    this.appearance = PlanetAppearance.resolve(this.planetData);
     this.height = this.container.clientHeight;
 
-    // 3D Scene setup
+    // Procedural surface; `layers` holds the full-detail texture canvases
+    // once the worker has painted them
+    this.surface = new PlanetSurface({
+      planetData: this.planetData,
+      appearance: this.appearance,
+      seed: this.seed,
+    });
+    this.layers = null;
+    this.pendingLayers = [];
+    // Layers to repaint (and their crossfade) once the paint under way is in
+    this.queuedTextures = null;
+    this.textureGeneration = 0;
+    this.texturesReady = null;
+    this.onProgress = onProgress || null;
+    this.destroyed = false;
+
+    // 3D Scene setup; pooled viewers have no renderer of their own and
+    // `canvas` is then a 2D canvas
+    this.pool = pool;
     this.scene = null;
     this.camera = null;
     this.renderer = null;
+    this.canvas = null;
+    this.stars = null;
     this.planet = null;
     this.atmosphere = null;
     this.clouds = null;
     this.rings = null;
+    this.glow = null;
     this.lights = [];
 
-    // Interaction state
-    this.isDragging = false;
-    this.previousMousePosition = { x: 0, y: 0 };
+    // Live updates; the layers are scaled by `sizeScale` until the scene is
+    // rebuilt at the new size
+    this.tweens = new PlanetTweens();
+    this.sizeScale = 1;
+
+    // Evolution playback; `timelineAge` is the age last applied
+    this.timeline = null;
+    this.timelineAge = null;
+
+    // Interaction state; `pan` moves the camera across the view (scene
+    // units) and `roll` turns it about the line of sight
+    this.gestures = null;
     this.rotation = { x: 0, y: 0 };
     this.autoRotate = true;
     this.zoom = 1.0;
+    this.pan = { x: 0, y: 0 };
+    this.roll = 0;
 
     // Animation
     this.animationId = null;
 
+    // Screenshot/turntable export; a recording turntable drives the spin
+    this.capture = null;
+    this.turntableActive = false;
+
+    // Surface picking; thumbnails (pooled viewers) don't pick
+    this.annotations = null;
+
     // Initialize
     this.init();
-    this.createPlanet();
-    this.addLighting();
+    if (!this.pool) {
+      this.setupAnnotations(annotations, onAnnotationsChanged || null);
+    }
+    this.buildScene();
+    this.loadTextures();
     this.setupControls();
-    this.animate();
+    if (this.pool) {
+      this.pool.add(this);
+    } else {
+      this.animate();
+    }
 
     // Handle window resize
-    window.addEventListener("resize", () => this.onWindowResize());
+    this.onResize = () => this.onWindowResize();
+    window.addEventListener("resize", this.onResize);
   }
 
   init() {
-    // Create scene
-    this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0x000510);
-
     // Create camera
     this.camera = new THREE.PerspectiveCamera(
       45,
@@ -59,25 +156,113 @@ class Interactive3DPlanetViewer {
     );
     this.camera.position.z = 5;
 
-    // Create renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    this.renderer.setSize(this.width, this.height);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.container.appendChild(this.renderer.domElement);
+    // Create renderer, or the 2D canvas the pool copies frames into
+    if (this.pool) {
+      this.canvas = document.createElement("canvas");
+      this.canvas.style.width = "100%";
+      this.canvas.style.height = "100%";
+      this.sizePooledCanvas();
+    } else {
+      this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+      this.renderer.setSize(this.width, this.height);
+      this.renderer.setPixelRatio(window.devicePixelRatio);
+      this.canvas = this.renderer.domElement;
+    }
+    this.container.appendChild(this.canvas);
+    this.capture = new PlanetCapture(THREE, {
+      renderer: this.pool ? this.pool.renderer : this.renderer,
+      scene: null,
+      camera: this.camera,
+    });
+  }
+
+  setupAnnotations(markers, onChange) {
+    this.annotations = new PlanetAnnotations(THREE, {
+      camera: this.camera,
+      canvas: this.canvas,
+      container: this.container,
+      surface: () => (this.planet ? [this.planet] : []),
+      probe: (direction) => ({
+        radius: this.planetRadius,
+        ...this.surface.describe(direction),
+      }),
+      radiusKm: () => this.planetData.radius * EARTH_RADIUS_KM,
+      onChange,
+    });
+    if (markers) this.annotations.setAnnotations(markers);
+  }
+
+  sizePooledCanvas() {
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(this.width * pixelRatio);
+    this.canvas.height = Math.round(this.height * pixelRatio);
+  }
+
+  // Scene contents; pooled viewers rebuild them after the pool releases
+  // an offscreen scene
+  buildScene() {
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x000510);
+    this.lights = [];
+    this.sizeScale = 1;
 
-    // Add stars
     this.addStarfield();
+    this.createPlanet();
+    this.addLighting();
+    this.capture.scene = this.scene;
+  }
+
+  // Running tweens stop where they are; a rebuilt scene starts from the
+  // current data
+  releaseScene() {
+    this.tweens.stop();
+    this.disposeScene();
+    this.scene = null;
+    this.planet = null;
+    this.atmosphere = null;
+    this.clouds = null;
+    this.rings = null;
+    this.glow = null;
+    this.stars = null;
+    this.lights = [];
+  }
+
+  // Geometries, materials and their textures
+  disposeScene() {
+    if (!this.scene) return;
+
+    this.scene.traverse((object) =>
+      Interactive3DPlanetViewer.disposeObject(object)
+    );
+  }
+
+  static disposeObject(object) {
+    if (object.geometry) {
+      object.geometry.dispose();
+    }
+    if (object.material) {
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
+    }
   }
 
   addStarfield() {
     const starGeometry = new THREE.BufferGeometry();
     const starCount = 1000;
     const positions = new Float32Array(starCount * 3);
+    const random = this.random.fork("starfield");
 
     for (let i = 0; i < starCount * 3; i += 3) {
-      positions[i] = (Math.random() - 0.5) * 200;
-      positions[i + 1] = (Math.random() - 0.5) * 200;
-      positions[i + 2] = (Math.random() - 0.5) * 200;
+      positions[i] = (random.next() - 0.5) * 200;
+      positions[i + 1] = (random.next() - 0.5) * 200;
+      positions[i + 2] = (random.next() - 0.5) * 200;
     }
 
     starGeometry.setAttribute(
@@ -92,451 +277,240 @@ class Interactive3DPlanetViewer {
       opacity: 0.8,
     });
 
-    const stars = new THREE.Points(starGeometry, starMaterial);
-    this.scene.add(stars);
+    this.stars = new THREE.Points(starGeometry, starMaterial);
+    this.scene.add(this.stars);
   }
 
   createPlanet() {
-    const { temperature, mass, radius, biome, atmosphere } = this.planetData;
-    const temp = temperature || 300;
-    const planetRadius = Math.max(0.5, Math.min(2.5, (radius || 1) * 1.5));
-
-    // Calculate colors based on planet data
-    const colors = this.calculatePlanetColors();
+    const state = this.layerState();
+    const planetRadius = state.size;
+    const appearance = this.appearance;
 
     // Create main planet sphere with detailed geometry
     const geometry = new THREE.SphereGeometry(planetRadius, 128, 128);
+    this.planetRadius = planetRadius;
 
-    // Generate procedural surface texture based on planet type
-    const texture = this.generateSurfaceTexture();
-
+    // Procedural surface texture based on planet type
     const material = new THREE.MeshPhongMaterial({
-      map: texture,
-      bumpMap: this.generateBumpMap(),
-      bumpScale: 0.05,
-      emissive:
-        temp > 800
-          ? new THREE.Color(colors.emissive)
-          : new THREE.Color(0x000000),
-      emissiveIntensity: temp > 800 ? 0.3 : 0,
-      shininess: biome === "Ocean World" ? 30 : 5,
-      specular: biome === "Ocean World" ? 0x222222 : 0x111111,
+      map: this.layerTexture("surface"),
+      bumpMap: this.layerTexture("bump"),
+      bumpScale: PLANET_BUMP_SCALE,
+      emissive: new THREE.Color(state.emissive.color),
+      emissiveIntensity: state.emissive.intensity,
+      shininess: appearance.features.specular ? 30 : 5,
+      specular: appearance.features.specular ? 0x222222 : 0x111111,
     });
 
     this.planet = new THREE.Mesh(geometry, material);
     this.scene.add(this.planet);
+    if (this.annotations) this.annotations.attach(this.planet);
 
-    // Add atmosphere if applicable
-    if (mass > 0.3 || biome === "Ocean World" || biome === "Gas Giant") {
-      this.addAtmosphere(planetRadius, colors.atmosphere);
-    }
-
-    // Add clouds for suitable planets
-    if (this.shouldHaveClouds()) {
-      this.addClouds(planetRadius);
+    // Atmosphere, clouds for suitable planets, rings for giants and the
+    // glow of hot planets
+    for (const name of PLANET_OVERLAY_LAYERS) {
+      if (state[name].visible) this.addLayer(name, state[name]);
     }
-
-    // Add rings for gas giants
-    if (mass > 5 && Math.random() > 0.6) {
-      this.addRings(planetRadius);
-    }
-
-    // Add special effects
-    this.addSpecialEffects(planetRadius, colors);
   }
 
   calculatePlanetColors() {
-    const { temperature, mass, density, biome } = this.planetData;
-    const temp = temperature || 300;
-    const uniqueSeed = this.hashCode(this.planetData.name) % 100;
-
-    // Base colors by biome
-    const biomeColors = {
-      "Gas Giant": { base: 0x9370db, atmos: 0xa991e0, emissive: 0x000000 },
-      "Ice Giant": { base: 0x87ceeb, atmos: 0x9fd8f0, emissive: 0x000000 },
-      "Super Earth": { base: 0x8b7355, atmos: 0xa08970, emissive: 0x000000 },
-      "Mini Neptune": { base: 0x4682b4, atmos: 0x5b94c5, emissive: 0x000000 },
-      "Rocky Planet": { base: 0xa0826d, atmos: 0x000000, emissive: 0x000000 },
-      "Ice World": { base: 0xe0f6ff, atmos: 0xedf8ff, emissive: 0x000000 },
-      "Lava World": { base: 0xff4500, atmos: 0xff6600, emissive: 0xff4500 },
-      "Ocean World": { base: 0x006994, atmos: 0x4d9fc7, emissive: 0x000000 },
-      "Desert World": { base: 0xdaa520, atmos: 0xe5b840, emissive: 0x000000 },
-      "Barren World": { base: 0x696969, atmos: 0x000000, emissive: 0x000000 },
-    };
-
-    // Default fallback colors
-    const defaultColors = { base: 0x808080, atmos: 0x909090, emissive: 0x000000 };
-    let colors = biomeColors[biome] || biomeColors["Barren World"] || defaultColors;
+    return this.surface.colors();
+  }
 
-    // Ensure all color properties exist
-    colors = {
-      base: colors.base !== undefined ? colors.base : 0x808080,
-      atmos: colors.atmos !== undefined ? colors.atmos : 0x909090,
-      emissive: colors.emissive !== undefined ? colors.emissive : 0x000000
+  // What each layer shows, as plain data; update() tweens the layers whose
+  // entry changes
+  layerState() {
+    const { temperature: temp, radius } = this.planetData;
+    const appearance = this.appearance;
+    const colors = this.calculatePlanetColors();
+    const isGlowing = temp > 800 || appearance.colors.emissive !== 0x000000;
+    const lighting = StellarLighting.forPlanet(this.planetData);
+    const pressure = this.planetData.atmospherePressure;
+
+    return {
+      size: Math.max(0.5, Math.min(2.5, radius * 1.5)),
+      surface: this.surface.signature,
+      emissive: isGlowing
+        ? { color: colors.emissive, intensity: 0.3 }
+        : { color: 0x000000, intensity: 0 },
+      // A known surface pressure decides the atmosphere and its thickness
+      atmosphere: {
+        visible:
+          pressure == null
+            ? PlanetAppearance.hasAtmosphere(appearance, this.planetData)
+            : pressure > 0.01,
+        color: colors.atmosphere || 0x4d9fc7,
+        density:
+          pressure == null ? 1 : Math.min(2, 0.25 + 0.75 * Math.sqrt(pressure)),
+      },
+      clouds: { visible: this.shouldHaveClouds() },
+      rings: {
+        visible: PlanetAppearance.hasRings(
+          appearance,
+          this.planetData,
+          this.seed
+        ),
+        color: colors.base || 0x808080,
+      },
+      glow: { visible: temp > 800, color: colors.emissive || 0xff6600 },
+      lighting: {
+        color: lighting.color,
+        intensityScale: lighting.intensityScale,
+      },
     };
-
-    // Temperature modifications
-    if (temp > 1500) {
-      colors.base = 0xffffff;
-      colors.emissive = 0xffaa00;
-    } else if (temp > 800) {
-      colors.base = this.adjustColor(colors.base, 1.2, 0.1);
-      colors.emissive = 0xff6600;
-    } else if (temp < 100) {
-      colors.base = this.adjustColor(colors.base, 0.7, 0.2);
-    }
-
-    return colors;
   }
 
-  generateSurfaceTexture() {
-    const { temperature, biome, mass } = this.planetData;
-    const temp = temperature || 300;
-    const size = 1024;
-    const canvas = document.createElement("canvas");
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext("2d");
-
-    const colors = this.calculatePlanetColors();
-    const baseColor = "#" + colors.base.toString(16).padStart(6, "0");
-
-    // Base gradient
-    const gradient = ctx.createRadialGradient(
-      size * 0.3,
-      size * 0.3,
-      size * 0.1,
-      size * 0.5,
-      size * 0.5,
-      size * 0.7
-    );
-    gradient.addColorStop(0, this.lightenColor(baseColor, 30));
-    gradient.addColorStop(0.5, baseColor);
-    gradient.addColorStop(1, this.darkenColor(baseColor, 30));
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, size, size);
-
-    // Add biome-specific features
-    if (
-      biome === "Gas Giant" ||
-      biome === "Ice Giant" ||
-      biome === "Mini Neptune"
-    ) {
-      this.drawGasGiantBands(ctx, size, baseColor);
-    } else if (biome === "Rocky Planet" || biome === "Barren World") {
-      this.drawCraters(ctx, size);
-    } else if (biome === "Lava World") {
-      this.drawLavaVeins(ctx, size);
-    } else if (biome === "Ice World") {
-      this.drawIceCracks(ctx, size);
-    } else if (biome === "Ocean World") {
-      this.drawOceanPatterns(ctx, size, baseColor);
-    } else if (biome === "Desert World") {
-      this.drawDesertDunes(ctx, size, baseColor);
-    }
-
-    // Add surface noise for realism
-    this.addSurfaceNoise(ctx, size);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-    return texture;
-  }
-
-  generateBumpMap() {
-    const size = 512;
-    const canvas = document.createElement("canvas");
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext("2d");
-
-    // Create noise-based bump map
-    const imageData = ctx.createImageData(size, size);
-    const seed = this.hashCode(this.planetData.name);
-
-    for (let i = 0; i < imageData.data.length; i += 4) {
-      const noise = this.perlinNoise(
-        (i / 4) % size,
-        Math.floor(i / 4 / size),
-        seed
+  // Texture of a surface layer: the full-detail canvas once the worker has
+  // painted it, a low-detail placeholder painted right here until then
+  layerTexture(name) {
+    const canvas =
+      (this.layers && this.layers[name]) ||
+      PlanetTextureJobs.toCanvas(
+        this.surface.paint(name, { scale: SURFACE_PLACEHOLDER_SCALE })
       );
-      const value = Math.floor((noise + 1) * 127.5);
-      imageData.data[i] = value;
-      imageData.data[i + 1] = value;
-      imageData.data[i + 2] = value;
-      imageData.data[i + 3] = 255;
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-    return texture;
-  }
-
-  drawGasGiantBands(ctx, size, baseColor) {
-    const seed = this.hashCode(this.planetData.name);
-    const numBands = 5 + (seed % 4);
-
-    for (let i = 0; i < numBands; i++) {
-      const y = (i / numBands) * size;
-      const height = size / (numBands * 1.5);
-      const offset = Math.sin(i * 0.5) * 20;
-
-      const bandGradient = ctx.createLinearGradient(0, y, 0, y + height);
-      const color1 =
-        i % 2 === 0
-          ? this.darkenColor(baseColor, 15)
-          : this.lightenColor(baseColor, 10);
-      const color2 = i % 2 === 0 ? baseColor : this.darkenColor(baseColor, 5);
-
-      bandGradient.addColorStop(0, color1);
-      bandGradient.addColorStop(0.5, color2);
-      bandGradient.addColorStop(1, color1);
-
-      ctx.fillStyle = bandGradient;
-      ctx.globalAlpha = 0.6;
-
-      // Draw wavy band
-      ctx.beginPath();
-      for (let x = 0; x <= size; x += 10) {
-        const wave = Math.sin(x * 0.01 + i) * 10;
-        const yPos = y + offset + wave;
-        if (x === 0) {
-          ctx.moveTo(x, yPos);
-        } else {
-          ctx.lineTo(x, yPos);
-        }
-      }
-      ctx.lineTo(size, y + height);
-      for (let x = size; x >= 0; x -= 10) {
-        const wave = Math.sin(x * 0.01 + i) * 10;
-        const yPos = y + height + offset + wave;
-        ctx.lineTo(x, yPos);
-      }
-      ctx.closePath();
-      ctx.fill();
-      ctx.globalAlpha = 1.0;
-    }
-
-    // Add storm spot
-    if (seed % 3 === 0) {
-      const stormX = size * 0.6 + (seed % 100);
-      const stormY = size * 0.4 + ((seed * 7) % 100);
-      const stormGradient = ctx.createRadialGradient(
-        stormX,
-        stormY,
-        10,
-        stormX,
-        stormY,
-        40
-      );
-      stormGradient.addColorStop(0, "rgba(200, 100, 100, 0.6)");
-      stormGradient.addColorStop(1, "rgba(200, 100, 100, 0)");
-      ctx.fillStyle = stormGradient;
-      ctx.beginPath();
-      ctx.ellipse(stormX, stormY, 60, 40, 0, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  }
-
-  drawCraters(ctx, size) {
-    const seed = this.hashCode(this.planetData.name);
-    const numCraters = 20 + (seed % 30);
-
-    for (let i = 0; i < numCraters; i++) {
-      const x = (seed + i * 137) % size;
-      const y = (seed + i * 97) % size;
-      const radius = 5 + ((seed + i) % 25);
-
-      // Crater rim (dark)
-      const rimGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-      rimGradient.addColorStop(0, "rgba(0, 0, 0, 0.6)");
-      rimGradient.addColorStop(0.7, "rgba(0, 0, 0, 0.3)");
-      rimGradient.addColorStop(1, "rgba(0, 0, 0, 0)");
-
-      ctx.fillStyle = rimGradient;
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fill();
-
-      // Crater highlight
-      const highlightGradient = ctx.createRadialGradient(
-        x - radius * 0.3,
-        y - radius * 0.3,
-        0,
-        x - radius * 0.3,
-        y - radius * 0.3,
-        radius * 0.5
-      );
-      highlightGradient.addColorStop(0, "rgba(255, 255, 255, 0.2)");
-      highlightGradient.addColorStop(1, "rgba(255, 255, 255, 0)");
-
-      ctx.fillStyle = highlightGradient;
-      ctx.beginPath();
-      ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.5, 0, Math.PI * 2);
-      ctx.fill();
-    }
+    return new THREE.CanvasTexture(canvas);
   }
 
-  drawLavaVeins(ctx, size) {
-    const seed = this.hashCode(this.planetData.name);
-    const numVeins = 15;
-
-    ctx.strokeStyle = "rgba(255, 100, 0, 0.8)";
-    ctx.lineWidth = 3;
-    ctx.shadowBlur = 15;
-    ctx.shadowColor = "rgba(255, 100, 0, 0.9)";
-
-    for (let i = 0; i < numVeins; i++) {
-      const startX = (seed + i * 73) % size;
-      const startY = (seed + i * 97) % size;
-      const angle = (((seed + i) % 360) * Math.PI) / 180;
-
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-
-      let x = startX;
-      let y = startY;
-
-      for (let j = 0; j < 10; j++) {
-        x += Math.cos(angle + Math.sin(j) * 0.5) * 30;
-        y += Math.sin(angle + Math.cos(j) * 0.5) * 30;
-        ctx.lineTo(x, y);
-      }
-
-      ctx.stroke();
+  // Paints full-detail layers in the texture worker and swaps them in, over
+  // `duration` ms for the surface; `texturesReady` settles once they are in
+  // place. A newer call takes over the layers still pending; with `queue`
+  // (timeline playback, where the state moves on every frame and a paint
+  // takes seconds) it lets the paint under way finish and be shown instead,
+  // and the latest state is painted after it.
+  loadTextures(names = null, { duration = 0, queue = false } = {}) {
+    if (!names) {
+      names = ["surface", "bump"];
+      if (this.shouldHaveClouds()) names.push("clouds");
     }
-
-    ctx.shadowBlur = 0;
-  }
-
-  drawIceCracks(ctx, size) {
-    const seed = this.hashCode(this.planetData.name);
-    const numCracks = 30;
-
-    ctx.strokeStyle = "rgba(200, 230, 255, 0.4)";
-    ctx.lineWidth = 2;
-
-    for (let i = 0; i < numCracks; i++) {
-      const startX = (seed + i * 137) % size;
-      const startY = (seed + i * 97) % size;
-      const angle = (((seed + i * 73) % 360) * Math.PI) / 180;
-      const length = 30 + ((seed + i) % 60);
-
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-
-      for (let j = 0; j < 5; j++) {
-        const x =
-          startX +
-          Math.cos(angle) * ((j * length) / 5) +
-          (Math.random() - 0.5) * 10;
-        const y =
-          startY +
-          Math.sin(angle) * ((j * length) / 5) +
-          (Math.random() - 0.5) * 10;
-        ctx.lineTo(x, y);
-      }
-
-      ctx.stroke();
+    const queued = this.queuedTextures;
+    if (queue && this.pendingLayers.length > 0) {
+      this.queuedTextures = {
+        layers: [...new Set([...(queued ? queued.layers : []), ...names])],
+        duration,
+      };
+      return;
     }
+    this.queuedTextures = null;
+    const layers = [
+      ...new Set([
+        ...this.pendingLayers,
+        ...(queued ? queued.layers : []),
+        ...names,
+      ]),
+    ];
+    const generation = ++this.textureGeneration;
+    const jobs = PlanetTextureJobs.shared();
+    // Progress is for the first load, not for live updates
+    const onProgress = this.layers ? null : this.onProgress;
+    this.pendingLayers = layers;
+    jobs.cancel(this);
+
+    this.texturesReady = jobs
+      .run(
+        "surface",
+        { surface: this.surface.options, layers },
+        { owner: this, onProgress }
+      )
+      .then((result) => {
+        if (this.destroyed) return;
+        if (generation !== this.textureGeneration) return this.texturesReady;
+        this.pendingLayers = [];
+        this.layers = { ...this.layers };
+        for (const [name, layer] of Object.entries(result.layers)) {
+          this.layers[name] = PlanetTextureJobs.toCanvas(layer);
+        }
+        this.applyTextures(duration);
+        if (onProgress) onProgress(1);
+        return this.loadQueuedTextures();
+      })
+      .catch((error) => {
+        if (error.code === "CANCELLED") {
+          return this.destroyed ? undefined : this.texturesReady;
+        }
+        // The placeholders stay
+        console.error("[3D-VIEWER] Texture generation failed:", error);
+        if (onProgress) onProgress(1);
+        if (generation !== this.textureGeneration) return;
+        this.pendingLayers = [];
+        return this.loadQueuedTextures();
+      });
   }
 
-  drawOceanPatterns(ctx, size, baseColor) {
-    // Draw continents/landmasses
-    const seed = this.hashCode(this.planetData.name);
-    const numLandmasses = 3 + (seed % 4);
-
-    ctx.fillStyle = this.lightenColor(baseColor, 40);
-
-    for (let i = 0; i < numLandmasses; i++) {
-      const x = ((seed + i * 137) % (size * 0.8)) + size * 0.1;
-      const y = ((seed + i * 97) % (size * 0.8)) + size * 0.1;
-      const radius = 50 + ((seed + i) % 100);
-
-      ctx.globalAlpha = 0.7;
-      ctx.beginPath();
+  // Starts the repaint queued while the last one ran; `texturesReady`
+  // follows it
+  loadQueuedTextures() {
+    if (!this.queuedTextures) return;
+    const { layers, duration } = this.queuedTextures;
+    this.loadTextures(layers, { duration });
+    return this.texturesReady;
+  }
 
-      // Irregular landmass shape
-      for (let angle = 0; angle < Math.PI * 2; angle += 0.5) {
-        const r = radius * (0.7 + Math.random() * 0.6);
-        const px = x + Math.cos(angle) * r;
-        const py = y + Math.sin(angle) * r;
-        if (angle === 0) {
-          ctx.moveTo(px, py);
-        } else {
-          ctx.lineTo(px, py);
-        }
+  // A released scene picks the layers up when it is rebuilt
+  applyTextures(duration = 0) {
+    if (this.planet) {
+      if (duration > 0) {
+        this.crossfadeSurface(duration);
+      } else {
+        this.swapTexture(this.planet.material, "map", "surface");
+        this.swapTexture(this.planet.material, "bumpMap", "bump");
       }
-
-      ctx.closePath();
-      ctx.fill();
-      ctx.globalAlpha = 1.0;
     }
-
-    // Add wave patterns
-    ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
-    ctx.lineWidth = 1;
-
-    for (let i = 0; i < 20; i++) {
-      ctx.beginPath();
-      for (let x = 0; x < size; x += 10) {
-        const y = (i / 20) * size + Math.sin(x * 0.02 + i) * 5;
-        if (x === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
-      }
-      ctx.stroke();
+    if (this.clouds) {
+      this.swapTexture(this.clouds.material, "map", "clouds");
     }
   }
 
-  drawDesertDunes(ctx, size, baseColor) {
-    const seed = this.hashCode(this.planetData.name);
-    const numDunes = 15;
-
-    for (let i = 0; i < numDunes; i++) {
-      const y = (i / numDunes) * size;
-      const color =
-        i % 2 === 0
-          ? this.darkenColor(baseColor, 10)
-          : this.lightenColor(baseColor, 10);
-
-      ctx.fillStyle = color;
-      ctx.globalAlpha = 0.3;
-
-      ctx.beginPath();
-      for (let x = 0; x <= size; x += 20) {
-        const wave = Math.sin(x * 0.02 + i + seed) * 15;
-        const yPos = y + wave;
-        if (x === 0) {
-          ctx.moveTo(x, yPos);
-        } else {
-          ctx.lineTo(x, yPos);
-        }
-      }
-      ctx.lineTo(size, y + 30);
-      ctx.lineTo(0, y + 30);
-      ctx.closePath();
-      ctx.fill();
-      ctx.globalAlpha = 1.0;
-    }
+  swapTexture(material, slot, name) {
+    if (material[slot]) material[slot].dispose();
+    material[slot] = this.layerTexture(name);
   }
 
-  addSurfaceNoise(ctx, size) {
-    const imageData = ctx.getImageData(0, 0, size, size);
-    const data = imageData.data;
+  // Fades the repainted surface in on a copy of the planet drawn over it,
+  // then moves the new textures onto the planet
+  crossfadeSurface(duration) {
+    const material = this.planet.material;
+    const overlay = new THREE.Mesh(this.planet.geometry, material.clone());
+    overlay.material.map = this.layerTexture("surface");
+    overlay.material.bumpMap = this.layerTexture("bump");
+    overlay.material.transparent = true;
+    overlay.material.opacity = 0;
+    // Ahead of the clouds and atmosphere, which don't write depth
+    overlay.renderOrder = -1;
+    this.planet.add(overlay);
+
+    this.tweens.start("surface", {
+      duration,
+      apply: (t) => {
+        overlay.material.opacity = t;
+        overlay.material.emissive.copy(material.emissive);
+        overlay.material.emissiveIntensity = material.emissiveIntensity;
+      },
+      done: () => {
+        this.planet.remove(overlay);
+        material.map.dispose();
+        material.bumpMap.dispose();
+        material.map = overlay.material.map;
+        material.bumpMap = overlay.material.bumpMap;
+        overlay.material.dispose();
+      },
+    });
+  }
 
-    for (let i = 0; i < data.length; i += 4) {
-      const noise = (Math.random() - 0.5) * 20;
-      data[i] += noise;
-      data[i + 1] += noise;
-      data[i + 2] += noise;
+  // `density` scales the layer's opacity as created
+  addLayer(name, { color, density = 1 }) {
+    const radius = this.planetRadius;
+    if (name === "atmosphere") {
+      this.addAtmosphere(radius, color);
+    } else if (name === "clouds") {
+      this.addClouds(radius);
+    } else if (name === "rings") {
+      this.addRings(radius, color);
+    } else if (name === "glow") {
+      this.addGlow(radius, color);
     }
 
-    ctx.putImageData(imageData, 0, 0);
+    const material = this[name].material;
+    this[name].userData.opacity = material.opacity;
+    material.opacity *= density;
   }
 
   addAtmosphere(planetRadius, atmosphereColor) {
@@ -558,9 +532,8 @@ class Interactive3DPlanetViewer {
 
   addClouds(planetRadius) {
     const cloudGeometry = new THREE.SphereGeometry(planetRadius * 1.05, 64, 64);
-    const cloudTexture = this.generateCloudTexture();
     const cloudMaterial = new THREE.MeshPhongMaterial({
-      map: cloudTexture,
+      map: this.layerTexture("clouds"),
       transparent: true,
       opacity: 0.4,
       depthWrite: false,
@@ -570,49 +543,13 @@ class Interactive3DPlanetViewer {
     this.scene.add(this.clouds);
   }
 
-  generateCloudTexture() {
-    const size = 512;
-    const canvas = document.createElement("canvas");
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext("2d");
-
-    ctx.fillStyle = "transparent";
-    ctx.fillRect(0, 0, size, size);
-
-    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
-
-    const seed = this.hashCode(this.planetData.name);
-    const numClouds = 50 + (seed % 50);
-
-    for (let i = 0; i < numClouds; i++) {
-      const x = (seed + i * 137) % size;
-      const y = (seed + i * 97) % size;
-      const radius = 20 + ((seed + i) % 40);
-
-      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-      gradient.addColorStop(0, "rgba(255, 255, 255, 0.8)");
-      gradient.addColorStop(1, "rgba(255, 255, 255, 0)");
-
-      ctx.fillStyle = gradient;
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fill();
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-    return texture;
-  }
-
-  addRings(planetRadius) {
+  addRings(planetRadius, ringColor) {
     const innerRadius = planetRadius * 1.5;
     const outerRadius = planetRadius * 2.5;
     const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128);
 
-    const colors = this.calculatePlanetColors();
     const ringMaterial = new THREE.MeshBasicMaterial({
-      color: colors.base || 0x808080,
+      color: ringColor || 0x808080,
       side: THREE.DoubleSide,
       transparent: true,
       opacity: 0.6,
@@ -623,31 +560,25 @@ class Interactive3DPlanetViewer {
     this.scene.add(this.rings);
   }
 
-  addSpecialEffects(planetRadius, colors) {
-    const { temperature } = this.planetData;
-    const temp = temperature || 300;
-
-    // Add glow for hot planets
-    if (temp > 800) {
-      const glowGeometry = new THREE.SphereGeometry(planetRadius * 1.2, 32, 32);
-      const glowMaterial = new THREE.MeshBasicMaterial({
-        color: colors.emissive || 0xff6600,
-        transparent: true,
-        opacity: 0.3,
-        side: THREE.BackSide,
-      });
+  // Glow for hot planets
+  addGlow(planetRadius, glowColor) {
+    const glowGeometry = new THREE.SphereGeometry(planetRadius * 1.2, 32, 32);
+    const glowMaterial = new THREE.MeshBasicMaterial({
+      color: glowColor || 0xff6600,
+      transparent: true,
+      opacity: 0.3,
+      side: THREE.BackSide,
+    });
 
-      const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-      this.scene.add(glow);
-    }
+    this.glow = new THREE.Mesh(glowGeometry, glowMaterial);
+    this.scene.add(this.glow);
   }
 
   shouldHaveClouds() {
-    const { biome, mass, temperature } = this.planetData;
-    const temp = temperature || 300;
+    const { mass, temperature: temp } = this.planetData;
 
     return (
-      (biome === "Ocean World" || biome === "Super Earth") &&
+      this.appearance.features.clouds &&
       mass > 0.5 &&
       temp > 200 &&
       temp < 400
@@ -659,111 +590,298 @@ class Interactive3DPlanetViewer {
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
     this.scene.add(ambientLight);
 
-    // Main sun light
-    const sunLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    // Main sun light, fill light and rim light
+    const [sun, fill, rim] = Interactive3DPlanetViewer.lightSettings(
+      this.layerState().lighting
+    );
+    const sunLight = new THREE.DirectionalLight(sun.color, sun.intensity);
     sunLight.position.set(5, 3, 5);
     this.scene.add(sunLight);
     this.lights.push(sunLight);
 
-    // Fill light
-    const fillLight = new THREE.DirectionalLight(0x8888ff, 0.3);
+    const fillLight = new THREE.DirectionalLight(fill.color, fill.intensity);
     fillLight.position.set(-5, -2, -5);
     this.scene.add(fillLight);
     this.lights.push(fillLight);
 
-    // Rim light
-    const rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    const rimLight = new THREE.DirectionalLight(rim.color, rim.intensity);
     rimLight.position.set(0, 5, -5);
     this.scene.add(rimLight);
     this.lights.push(rimLight);
   }
 
-  setupControls() {
-    const canvas = this.renderer.domElement;
+  // Colors and intensities of the sun, fill and rim lights
+  static lightSettings({ color, intensityScale }) {
+    // Sun: host star blackbody color, scaled by irradiance
+    const starColor = new THREE.Color(color);
+    return [
+      { color: starColor, intensity: 1.2 * intensityScale },
+      // Cool sky bounce, tinted by the star
+      {
+        color: new THREE.Color(0x8888ff).lerp(starColor, 0.3),
+        intensity: 0.3,
+      },
+      { color: starColor.clone(), intensity: 0.5 },
+    ];
+  }
 
-    // Mouse wheel zoom
-    canvas.addEventListener("wheel", (e) => {
-      e.preventDefault();
-      const delta = e.deltaY * 0.001;
-      this.zoom = Math.max(0.5, Math.min(3.0, this.zoom + delta));
+  // Moves the viewer to new planet data (merged over the current data)
+  // without recreating it: changed layers are tweened over `duration` ms
+  // and a repainted surface crossfades in when the worker is done
+  // (`queueTextures`: see loadTextures()). Returns the names of the changed
+  // layers (see layerState()).
+  update(
+    partialPlanetData,
+    { duration = TWEEN_DEFAULT_DURATION, queueTextures = false } = {}
+  ) {
+    if (this.destroyed) return [];
+
+    const previous = this.layerState();
+    const seed = SeededRandom.seedForUpdate(this.planetData, partialPlanetData);
+    const { data, warnings } = PlanetSchema.normalize({
+      ...this.planetData,
+      ...partialPlanetData,
+      seed,
     });
-
-    // Mouse drag to rotate
-    canvas.addEventListener("mousedown", (e) => {
-      this.isDragging = true;
-      this.autoRotate = false;
-      this.previousMousePosition = { x: e.clientX, y: e.clientY };
+    PlanetSchema.logWarnings(data, warnings);
+    const reseeded = seed !== this.seed;
+    // Markers belong to one planet (a new name or seed)
+    if (reseeded && this.annotations) this.annotations.clear();
+
+    this.planetData = data;
+    this.dataWarnings = warnings;
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+    this.appearance = PlanetAppearance.resolve(data);
+    this.surface = new PlanetSurface({
+      planetData: data,
+      appearance: this.appearance,
+      seed,
     });
 
-    canvas.addEventListener("mousemove", (e) => {
-      if (this.isDragging) {
-        const deltaX = e.clientX - this.previousMousePosition.x;
-        const deltaY = e.clientY - this.previousMousePosition.y;
+    const next = this.layerState();
+    const changed = PlanetTweens.changed(previous, next);
 
-        this.rotation.y += deltaX * 0.005;
-        this.rotation.x += deltaY * 0.005;
-
-        // Limit vertical rotation
-        this.rotation.x = Math.max(
-          -Math.PI / 2,
-          Math.min(Math.PI / 2, this.rotation.x)
-        );
+    // A released scene is rebuilt from the new data instead
+    if (this.scene) {
+      changed.forEach((name) => this.tweenLayer(name, next[name], duration));
+    }
 
-        this.previousMousePosition = { x: e.clientX, y: e.clientY };
-      }
-    });
+    const repaint = [];
+    if (changed.includes("surface")) {
+      repaint.push("surface", ...(reseeded ? ["bump", "clouds"] : []));
+    }
+    const hasClouds =
+      (this.layers && this.layers.clouds) ||
+      this.pendingLayers.includes("clouds") ||
+      (this.queuedTextures && this.queuedTextures.layers.includes("clouds"));
+    if (next.clouds.visible && !hasClouds) repaint.push("clouds");
+    if (repaint.length > 0) {
+      this.loadTextures(repaint, {
+        duration: this.scene ? duration : 0,
+        queue: queueTextures,
+      });
+    }
+    return changed;
+  }
 
-    canvas.addEventListener("mouseup", () => {
-      this.isDragging = false;
-    });
+  // The surface tweens in crossfadeSurface() once it is repainted
+  tweenLayer(name, state, duration) {
+    if (name === "size") {
+      const from = this.sizeScale;
+      const to = state / this.planetRadius;
+      this.tweens.start("size", {
+        duration,
+        apply: (t) => (this.sizeScale = PlanetTweens.lerp(from, to, t)),
+      });
+    } else if (name === "emissive") {
+      const material = this.planet.material;
+      const fromColor = material.emissive.clone();
+      const toColor = new THREE.Color(state.color);
+      const fromIntensity = material.emissiveIntensity;
+      this.tweens.start("emissive", {
+        duration,
+        apply: (t) => {
+          material.emissive.copy(fromColor).lerp(toColor, t);
+          material.emissiveIntensity = PlanetTweens.lerp(
+            fromIntensity,
+            state.intensity,
+            t
+          );
+        },
+      });
+    } else if (name === "lighting") {
+      const targets = Interactive3DPlanetViewer.lightSettings(state);
+      const from = this.lights.map((light) => ({
+        color: light.color.clone(),
+        intensity: light.intensity,
+      }));
+      this.tweens.start("lighting", {
+        duration,
+        apply: (t) =>
+          this.lights.forEach((light, i) => {
+            light.color.copy(from[i].color).lerp(targets[i].color, t);
+            light.intensity = PlanetTweens.lerp(
+              from[i].intensity,
+              targets[i].intensity,
+              t
+            );
+          }),
+      });
+    } else if (PLANET_OVERLAY_LAYERS.includes(name)) {
+      this.fadeLayer(name, state, duration);
+    }
+  }
 
-    canvas.addEventListener("mouseleave", () => {
-      this.isDragging = false;
+  // Fades a shell layer in or out (created or removed as needed) and toward
+  // its new color
+  fadeLayer(name, { visible, color, density = 1 }, duration) {
+    if (visible && !this[name]) {
+      this.addLayer(name, { color });
+      this[name].material.opacity = 0;
+    }
+    const mesh = this[name];
+    if (!mesh) return;
+
+    const material = mesh.material;
+    const fromOpacity = material.opacity;
+    const toOpacity = visible ? mesh.userData.opacity * density : 0;
+    const fromColor = material.color.clone();
+    const toColor = color === undefined ? fromColor : new THREE.Color(color);
+
+    this.tweens.start(name, {
+      duration,
+      apply: (t) => {
+        material.opacity = PlanetTweens.lerp(fromOpacity, toOpacity, t);
+        material.color.copy(fromColor).lerp(toColor, t);
+      },
+      done: (finished) => {
+        if (!finished || visible) return;
+        this.scene.remove(mesh);
+        Interactive3DPlanetViewer.disposeObject(mesh);
+        this[name] = null;
+      },
     });
+  }
 
-    // Touch support
-    canvas.addEventListener("touchstart", (e) => {
-      if (e.touches.length === 1) {
-        this.isDragging = true;
-        this.autoRotate = false;
-        this.previousMousePosition = {
-          x: e.touches[0].clientX,
-          y: e.touches[0].clientY,
-        };
-      }
+  // Orbit camera input (see PlanetGestures); thumbnails in a scrolling
+  // list leave vertical swipes and the mouse wheel to the page and stay
+  // out of the tab order
+  setupControls() {
+    this.gestures = new PlanetGestures(this.canvas, {
+      touchAction: this.pool ? "pan-y" : "none",
+      keyboard: !this.pool,
+      wheel: !this.pool,
+      handlers: {
+        rotate: (yaw, pitch) => this.rotateView(yaw, pitch),
+        zoom: (factor) => this.zoomView(factor),
+        pan: (dx, dy) => this.panView(dx, dy),
+        twist: (angle) => {
+          this.roll += angle;
+        },
+        // A double tap in marker or measure mode is two picks
+        doubleTap: () => {
+          if (!this.annotations || this.annotations.mode === "inspect") {
+            this.resetView();
+          }
+        },
+        reset: () => this.resetView(),
+        interact: () => this.tweens.stop("view"),
+      },
     });
+  }
 
-    canvas.addEventListener("touchmove", (e) => {
-      if (this.isDragging && e.touches.length === 1) {
-        const deltaX = e.touches[0].clientX - this.previousMousePosition.x;
-        const deltaY = e.touches[0].clientY - this.previousMousePosition.y;
-
-        this.rotation.y += deltaX * 0.005;
-        this.rotation.x += deltaY * 0.005;
+  // Turns the planet by a drag across and down the screen, whatever the
+  // camera's roll
+  rotateView(yaw, pitch) {
+    this.autoRotate = false;
+    const cos = Math.cos(this.roll);
+    const sin = Math.sin(this.roll);
+    this.rotation.y += yaw * cos + pitch * sin;
+    this.rotation.x += pitch * cos - yaw * sin;
+
+    // Limit vertical rotation
+    this.rotation.x = Math.max(
+      -Math.PI / 2,
+      Math.min(Math.PI / 2, this.rotation.x)
+    );
+  }
 
-        this.rotation.x = Math.max(
-          -Math.PI / 2,
-          Math.min(Math.PI / 2, this.rotation.x)
-        );
+  zoomView(factor) {
+    const zoom = this.zoom * factor;
+    this.zoom = Math.max(VIEW_MIN_ZOOM, Math.min(VIEW_MAX_ZOOM, zoom));
+  }
 
-        this.previousMousePosition = {
-          x: e.touches[0].clientX,
-          y: e.touches[0].clientY,
-        };
-      }
-    });
+  // Moves the camera so the planet follows a drag of (dx, dy) pixels; the
+  // planet's centre stays within its radius of the middle of the view
+  panView(dx, dy) {
+    const distance = 5 / this.zoom;
+    const fov = THREE.MathUtils.degToRad(this.camera.fov);
+    const unitsPerPixel = (2 * distance * Math.tan(fov / 2)) / this.height;
+    const cos = Math.cos(this.roll);
+    const sin = Math.sin(this.roll);
+    const limit = this.planetRadius * this.sizeScale;
+    const clamp = (value) => Math.max(-limit, Math.min(limit, value));
+    this.pan.x = clamp(this.pan.x - (dx * cos + dy * sin) * unitsPerPixel);
+    this.pan.y = clamp(this.pan.y - (dx * sin - dy * cos) * unitsPerPixel);
+  }
 
-    canvas.addEventListener("touchend", () => {
-      this.isDragging = false;
+  // Eases back to the opening view (front face, no pan or roll, default
+  // zoom) and resumes the auto-rotation; any input cuts it short
+  resetView(duration = VIEW_RESET_DURATION) {
+    this.gestures.stop();
+    this.autoRotate = false;
+    const from = {
+      x: this.rotation.x,
+      y: this.rotation.y,
+      zoom: this.zoom,
+      panX: this.pan.x,
+      panY: this.pan.y,
+      roll: this.roll,
+    };
+    // The nearest full turn, so the planet doesn't unwind
+    const turn = 2 * Math.PI;
+    const toY = Math.round(this.rotation.y / turn) * turn;
+    const toRoll = Math.round(this.roll / turn) * turn;
+    this.tweens.start("view", {
+      duration,
+      apply: (t) => {
+        this.rotation.x = PlanetTweens.lerp(from.x, 0, t);
+        this.rotation.y = PlanetTweens.lerp(from.y, toY, t);
+        this.zoom = PlanetTweens.lerp(from.zoom, 1, t);
+        this.pan.x = PlanetTweens.lerp(from.panX, 0, t);
+        this.pan.y = PlanetTweens.lerp(from.panY, 0, t);
+        this.roll = PlanetTweens.lerp(from.roll, toRoll, t);
+      },
+      done: (finished) => {
+        if (!finished) return;
+        this.rotation.x = 0;
+        this.rotation.y = toY;
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        this.roll = 0;
+        this.autoRotate = true;
+      },
     });
   }
 
   animate() {
     this.animationId = requestAnimationFrame(() => this.animate());
+    this.advance();
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  // Advances the spin and running tweens by `delta` seconds (one 60 Hz
+  // frame by default) and poses the scene; the pool calls this before
+  // rendering a pooled viewer
+  advance(delta = 1 / 60) {
+    if (this.timeline) this.advanceTimeline(delta);
+    this.tweens.step(delta);
+    if (this.gestures) this.gestures.step(delta);
 
     // Auto-rotation
-    if (this.autoRotate && this.planet) {
-      this.rotation.y += 0.002;
+    if (this.autoRotate && this.planet && !this.turntableActive) {
+      this.rotation.y += 0.12 * delta;
     }
 
     // Apply rotations
@@ -784,10 +902,175 @@ class Interactive3DPlanetViewer {
       this.clouds.rotation.y = this.rotation.y + 0.05;
     }
 
-    // Update camera zoom
-    this.camera.position.z = 5 / this.zoom;
+    // Shells follow the planet's tweened size
+    const layers = PLANET_OVERLAY_LAYERS.map((name) => this[name]);
+    for (const mesh of [this.planet, ...layers]) {
+      if (mesh) mesh.scale.setScalar(this.sizeScale);
+    }
+
+    // Update camera zoom, pan and roll
+    this.camera.position.set(this.pan.x, this.pan.y, 5 / this.zoom);
+    this.camera.rotation.z = this.roll;
 
-    this.renderer.render(this.scene, this.camera);
+    if (this.annotations) this.annotations.update();
+  }
+
+  // Saved markers ({ id, name, latitude, longitude, elevation, terrain });
+  // empty for pooled viewers
+  getAnnotations() {
+    return this.annotations ? this.annotations.getAnnotations() : [];
+  }
+
+  // Replaces the markers; throws INVALID_ANNOTATIONS for bad ones
+  setAnnotations(markers) {
+    return this.annotations ? this.annotations.setAnnotations(markers) : [];
+  }
+
+  // What a click does: "inspect", "marker" or "measure"
+  setPickMode(mode) {
+    if (this.annotations) this.annotations.setMode(mode);
+  }
+
+  // Great-circle distance in km between two markers (by id) or
+  // { latitude, longitude } points, drawn on the planet
+  measure(from, to) {
+    return this.annotations ? this.annotations.measure(from, to) : null;
+  }
+
+  // Plays `keyframes` (see PlanetTimeline for their fields and `options`)
+  // from the start, paused; null removes the timeline and leaves the planet
+  // as it is. The returned timeline takes play(), pause() and seek(age).
+  setTimeline(keyframes, options = {}) {
+    this.timeline = keyframes ? new PlanetTimeline(keyframes, options) : null;
+    this.timelineAge = null;
+    if (this.timeline) this.timeline.report();
+    return this.timeline;
+  }
+
+  // Applies the timeline's state whenever its age moves (playing, seeking)
+  advanceTimeline(delta) {
+    this.timeline.advance(delta);
+    const age = this.timeline.age;
+    if (age === this.timelineAge) return;
+
+    // The first state is applied as is
+    const duration = this.timelineAge === null ? 0 : TIMELINE_UPDATE_DURATION;
+    this.timelineAge = age;
+    // Keyframes change the planet's state, never its terrain
+    const state = this.timeline.sample(age);
+    this.update(
+      { ...state, seed: this.seed },
+      { duration, queueTextures: true }
+    );
+  }
+
+  // A pooled viewer's scene may have been released while offscreen
+  ensureScene() {
+    if (!this.scene) this.buildScene();
+    this.advance(0);
+  }
+
+  // PNG of the current view at any size, once the full-detail textures
+  // are in; stars are left out of transparent captures
+  async captureImage({ width, height, transparent } = {}) {
+    await this.texturesReady;
+    this.ensureScene();
+    return this.capture.captureImage({
+      width,
+      height,
+      transparent,
+      hide: [this.stars],
+    });
+  }
+
+  // One seamless revolution; atmosphere and clouds keep their offsets
+  async recordTurntable({ seconds, fps, width, height, transparent } = {}) {
+    await this.texturesReady;
+    this.ensureScene();
+    const startRotation = this.rotation.y;
+    this.turntableActive = true;
+    // Other pooled tiles wait while the shared renderer records
+    if (this.pool) this.pool.suspend();
+
+    return this.capture
+      .recordTurntable({
+        seconds,
+        fps,
+        width,
+        height,
+        transparent,
+        hide: [this.stars],
+        onAngle: (angle) => {
+          this.rotation.y = startRotation + angle;
+          this.advance(0);
+        },
+      })
+      .finally(() => {
+        this.rotation.y = startRotation;
+        this.turntableActive = false;
+        if (this.pool) this.pool.resume();
+      });
+  }
+
+  // Download helpers for the host's controls bar
+  saveImage(options = {}) {
+    return this.captureImage(options).then((capture) =>
+      PlanetCapture.download(
+        capture.blob,
+        PlanetCapture.filename(this.planetData.name, capture, "png")
+      )
+    );
+  }
+
+  saveTurntable(options = {}) {
+    return this.recordTurntable(options).then((capture) =>
+      PlanetCapture.download(
+        capture.blob,
+        PlanetCapture.filename(this.planetData.name, capture, "webm")
+      )
+    );
+  }
+
+  // Equirectangular maps from the same samplers as the textures (see
+  // PlanetMaps); heights are the bump relief as rendered, in km
+  async bakeMaps({ width, onProgress } = {}) {
+    this.ensureScene();
+    const radius = this.planetData.radius * EARTH_RADIUS_KM;
+    const kmPerBump = (PLANET_BUMP_SCALE / this.planetRadius) * radius;
+    const surface = this.surface;
+    const sampleColor = surface.colorSampler();
+
+    const baked = await PlanetMaps.bake({
+      width,
+      radius,
+      sample: (point) => ({
+        height: ((surface.height(point) + 1) / 2) * kmPerBump,
+        color: sampleColor(point),
+      }),
+      coverage: this.clouds ? (point) => surface.cloudCoverage(point) : null,
+      onProgress,
+    });
+
+    return PlanetMaps.toFiles(baked, {
+      name: this.planetData.name,
+      seed: this.seed,
+      biome: this.appearance.id,
+      heightUnit: "km",
+      parameters: {
+        temperature: this.planetData.temperature,
+        mass: this.planetData.mass,
+        radius: this.planetData.radius,
+        surfacePattern: this.appearance.surfacePattern,
+      },
+    });
+  }
+
+  saveMaps(options = {}) {
+    return this.bakeMaps(options).then((files) =>
+      files.forEach(({ blob, filename }) =>
+        PlanetCapture.download(blob, filename)
+      )
+    );
   }
 
   onWindowResize() {
@@ -797,89 +1080,78 @@ class Interactive3DPlanetViewer {
     this.camera.aspect = this.width / this.height;
     this.camera.updateProjectionMatrix();
 
-    this.renderer.setSize(this.width, this.height);
+    if (this.pool) {
+      this.sizePooledCanvas();
+    } else {
+      this.renderer.setSize(this.width, this.height);
+    }
   }
 
   destroy() {
+    this.destroyed = true;
+    PlanetTextureJobs.shared().cancel(this);
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
+    if (this.pool) {
+      this.pool.remove(this);
+    }
+    if (this.capture) {
+      this.capture.cancelRecording();
+    }
+    if (this.annotations) {
+      this.annotations.dispose();
+    }
+    if (this.gestures) {
+      this.gestures.dispose();
+    }
+    window.removeEventListener("resize", this.onResize);
 
+    // The pool's renderer is shared and outlives its viewers
     if (this.renderer) {
       this.renderer.dispose();
-      if (this.container && this.renderer.domElement) {
-        this.container.removeChild(this.renderer.domElement);
-      }
-    }
-
-    // Clean up geometries and materials
-    if (this.scene) {
-      this.scene.traverse((object) => {
-        if (object.geometry) {
-          object.geometry.dispose();
-        }
-        if (object.material) {
-          if (Array.isArray(object.material)) {
-            object.material.forEach((material) => material.dispose());
-          } else {
-            object.material.dispose();
-          }
-        }
-      });
     }
-  }
-
-  // Helper functions
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
     }
-    return Math.abs(hash);
-  }
-
-  perlinNoise(x, y, seed) {
-    // Simple pseudo-random noise
-    const n = Math.sin(x * 12.9898 + y * 78.233 + seed) * 43758.5453;
-    return (n - Math.floor(n)) * 2 - 1;
-  }
-
-  adjustColor(color, brightness, saturation) {
-    // Simple color adjustment (placeholder)
-    return color;
-  }
-
-  lightenColor(hex, percent) {
-    const num = parseInt(hex.replace("#", ""), 16);
-    const r = Math.min(255, ((num >> 16) & 255) + percent);
-    const g = Math.min(255, ((num >> 8) & 255) + percent);
-    const b = Math.min(255, (num & 255) + percent);
-    return `rgb(${r}, ${g}, ${b})`;
-  }
 
-  darkenColor(hex, percent) {
-    const num = parseInt(hex.replace("#", ""), 16);
-    const r = Math.max(0, ((num >> 16) & 255) - percent);
-    const g = Math.max(0, ((num >> 8) & 255) - percent);
-    const b = Math.max(0, (num & 255) - percent);
-    return `rgb(${r}, ${g}, ${b})`;
+    // Clean up geometries, materials and textures
+    this.tweens.stop();
+    this.disposeScene();
   }
 }
 
 // Global registry
 window.planet3DViewers = window.planet3DViewers || {};
 
-// Function to create 3D viewer
-window.create3DPlanetViewer = function (containerId, planetData) {
+// Shared WebGL context for pooled viewers, created on first use
+window.planetRenderPool = window.planetRenderPool || null;
+
+// Function to create 3D viewer; `{ pooled: true }` draws through the shared
+// render pool instead of a dedicated WebGL context (for lists and grids),
+// `{ onProgress }` reports texture generation as 0-1, `{ annotations,
+// onAnnotationsChanged }` restore and report surface markers
+window.create3DPlanetViewer = function (containerId, planetData, options) {
   if (window.planet3DViewers[containerId]) {
     window.planet3DViewers[containerId].destroy();
   }
 
+  let pool = null;
+  if (options && options.pooled) {
+    window.planetRenderPool =
+      window.planetRenderPool || new PlanetRenderPool(THREE);
+    pool = window.planetRenderPool;
+  }
+
   window.planet3DViewers[containerId] = new Interactive3DPlanetViewer(
     containerId,
-    planetData
+    planetData,
+    {
+      pool,
+      onProgress: options && options.onProgress,
+      annotations: options && options.annotations,
+      onAnnotationsChanged: options && options.onAnnotationsChanged,
+    }
   );
   return window.planet3DViewers[containerId];
 };
@@ -0,0 +1,603 @@
+// Planet Annotations
+// Surface picking for the 3D viewers: a tooltip with the coordinates,
+// elevation, terrain class (and the data overlay's value) under the cursor,
+// named markers dropped with a click, and great-circle measurements in
+// kilometres on the planet's real radius. Markers are plain data
+//   { id, name, latitude, longitude (degrees), elevation (km), terrain }
+// saved and restored through getAnnotations() / setAnnotations(); the
+// viewer hears about every marker the user adds or removes through
+// `onChange` and passes them on to its host. THREE is passed in.
+//
+// Latitude and longitude follow the equirectangular textures and baked
+// maps: north is +y, longitude 0 faces +x and grows eastward toward -z.
+
+// What a click does: nothing beyond the tooltip, drop a marker, or pick the
+// ends of a measurement
+const ANNOTATION_MODES = ["inspect", "marker", "measure"];
+
+// Pixels a press may travel and still count as a click (not a drag)
+const ANNOTATION_CLICK_SLOP = 5;
+
+const ANNOTATION_MARKER_COLOR = 0xff5a5f;
+const ANNOTATION_MEASURE_COLOR = 0xffd166;
+
+// Pin radius relative to the ground radius, and the lift of the
+// measurement arc off the ground
+const ANNOTATION_PIN_SIZE = 0.012;
+const ANNOTATION_ARC_LIFT = 1.004;
+const ANNOTATION_ARC_SEGMENTS = 64;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Markers kept per planet
+const ANNOTATION_MAX_MARKERS = 500;
+
+const ANNOTATION_LABEL_STYLE = [
+  "position: fixed",
+  "left: 0",
+  "top: 0",
+  "padding: 2px 8px",
+  "border-radius: 10px",
+  "background: rgba(10, 10, 30, 0.8)",
+  "color: white",
+  "font: 600 12px system-ui, sans-serif",
+  "white-space: nowrap",
+  "z-index: 40",
+].join("; ");
+
+const ANNOTATION_TOOLTIP_STYLE = [
+  "position: fixed",
+  "display: none",
+  "padding: 8px 12px",
+  "border-radius: 10px",
+  "background: rgba(10, 10, 30, 0.9)",
+  "border: 1px solid rgba(255, 255, 255, 0.15)",
+  "color: white",
+  "font: 12px/1.5 system-ui, sans-serif",
+  "white-space: pre",
+  "pointer-events: none",
+  "z-index: 60",
+].join("; ");
+
+// Invalid markers throw an Error with code INVALID_ANNOTATIONS
+class PlanetAnnotations {
+  // Hooks from the viewer:
+  //   surface()          meshes to raycast (on any layer), or []
+  //   probe(direction)   { radius (scene units to the ground), elevation
+  //                      (km, null without solid ground), terrain,
+  //                      overlay? (text) } at a unit direction in the frame
+  //                      the markers are attached to
+  //   radiusKm()         the planet's real radius
+  //   onChange(markers)  after the user adds or removes a marker
+  constructor(
+    THREE,
+    { camera, canvas, container, surface, probe, radiusKm, onChange = null }
+  ) {
+    this.THREE = THREE;
+    this.camera = camera;
+    this.canvas = canvas;
+    this.surface = surface;
+    this.probe = probe;
+    this.radiusKm = radiusKm;
+    this.onChange = onChange;
+
+    this.markers = [];
+    this.nextId = 1;
+    this.mode = "inspect";
+    // Ends of the measurement as unit directions (the second null while
+    // the user picks it)
+    this.measurement = null;
+
+    this.group = new THREE.Group();
+    this.group.name = "Annotations";
+    this.pinGeometry = new THREE.SphereGeometry(1, 12, 8);
+    this.pinMaterial = new THREE.MeshBasicMaterial({
+      color: ANNOTATION_MARKER_COLOR,
+    });
+    this.raycaster = new THREE.Raycaster();
+    this.raycaster.layers.enableAll();
+
+    // Screen-space labels and the tooltip live in the page, not the scene
+    this.labelLayer = document.createElement("div");
+    container.appendChild(this.labelLayer);
+    this.labels = [];
+    this.tooltip = document.createElement("div");
+    this.tooltip.style.cssText = ANNOTATION_TOOLTIP_STYLE;
+    container.appendChild(this.tooltip);
+
+    // Hover picks wait for the next frame, so fast mouse moves cost one
+    // raycast per frame
+    this.hover = null;
+    this.pressed = null;
+    // Pointers down; a press joined by a second finger (a pinch) is no click
+    this.down = new Set();
+    this.listeners = {
+      pointerdown: (event) => {
+        this.down.add(event.pointerId);
+        this.pressed =
+          this.down.size === 1 ? { x: event.clientX, y: event.clientY } : null;
+      },
+      pointerup: (event) => {
+        this.down.delete(event.pointerId);
+        this.onPointerUp(event);
+      },
+      pointercancel: (event) => {
+        this.down.delete(event.pointerId);
+        this.pressed = null;
+      },
+      pointermove: (event) => {
+        if (event.pointerType === "mouse" && event.buttons === 0) {
+          this.hover = { x: event.clientX, y: event.clientY };
+        }
+      },
+      pointerleave: () => {
+        this.hover = null;
+        this.hideTooltip();
+      },
+    };
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      canvas.addEventListener(type, listener);
+    }
+  }
+
+  // Puts the markers into `parent` (the planet's frame); call again after
+  // the planet is rebuilt or its ground changes
+  attach(parent) {
+    parent.add(this.group);
+    this.rebuild();
+  }
+
+  setMode(mode) {
+    if (!ANNOTATION_MODES.includes(mode)) {
+      throw PlanetAnnotations.failure(`unknown pick mode "${mode}"`);
+    }
+    this.mode = mode;
+    if (mode !== "measure" && this.measurement && !this.measurement[1]) {
+      this.clearMeasurement();
+    }
+  }
+
+  // Copies of the markers, for saving
+  getAnnotations() {
+    return this.markers.map((marker) => ({ ...marker }));
+  }
+
+  // Replaces the markers (e.g. restoring saved ones); `onChange` is not
+  // called, the caller already knows
+  setAnnotations(markers) {
+    if (!Array.isArray(markers)) {
+      throw PlanetAnnotations.failure("markers must be an array");
+    }
+    if (markers.length > ANNOTATION_MAX_MARKERS) {
+      throw PlanetAnnotations.failure(
+        `at most ${ANNOTATION_MAX_MARKERS} markers are kept`
+      );
+    }
+    // New markers are numbered past the restored ones
+    for (const marker of markers) {
+      const match = /^marker-(\d+)$/.exec(String(marker && marker.id));
+      if (match) this.nextId = Math.max(this.nextId, Number(match[1]) + 1);
+    }
+    const restored = markers.map((marker, i) => this.normalize(marker, i));
+    const ids = new Set();
+    for (const { id } of restored) {
+      if (ids.has(id)) {
+        throw PlanetAnnotations.failure(`duplicate marker id "${id}"`);
+      }
+      ids.add(id);
+    }
+    this.markers = restored;
+    this.rebuild();
+    return this.getAnnotations();
+  }
+
+  // Adds a marker at { name, latitude, longitude }; elevation and terrain
+  // are read from the ground there
+  addMarker({ name, latitude, longitude }) {
+    if (this.markers.length >= ANNOTATION_MAX_MARKERS) {
+      throw PlanetAnnotations.failure(
+        `at most ${ANNOTATION_MAX_MARKERS} markers are kept`
+      );
+    }
+    const marker = this.normalize(
+      { name, latitude, longitude },
+      this.markers.length
+    );
+    this.markers.push(marker);
+    this.rebuild();
+    this.changed();
+    return { ...marker };
+  }
+
+  // Drops every marker and the measurement (e.g. for another planet)
+  clear() {
+    this.markers = [];
+    this.measurement = null;
+    this.rebuild();
+  }
+
+  removeMarker(id) {
+    const count = this.markers.length;
+    this.markers = this.markers.filter((marker) => marker.id !== id);
+    if (this.markers.length === count) return false;
+
+    this.rebuild();
+    this.changed();
+    return true;
+  }
+
+  // Great-circle distance in km between two markers (by id) or
+  // { latitude, longitude } points
+  distance(from, to) {
+    return PlanetAnnotations.distanceKm(
+      this.locate(from),
+      this.locate(to),
+      this.radiusKm()
+    );
+  }
+
+  // Draws the great-circle arc between two markers or points and returns
+  // its length in km
+  measure(from, to) {
+    const [a, b] = [from, to].map((end) => {
+      const { latitude, longitude } = this.locate(end);
+      return PlanetAnnotations.fromLatLon(latitude, longitude);
+    });
+    this.measurement = [a, b];
+    this.rebuild();
+    return this.measuredKm();
+  }
+
+  clearMeasurement() {
+    this.measurement = null;
+    this.rebuild();
+  }
+
+  // Length of the finished measurement in km, or null
+  measuredKm() {
+    if (!this.measurement || !this.measurement[1]) return null;
+    return this.distance(
+      PlanetAnnotations.toLatLon(this.measurement[0]),
+      PlanetAnnotations.toLatLon(this.measurement[1])
+    );
+  }
+
+  // What lies under a screen point (client pixels): { direction, latitude,
+  // longitude, ...probe() } or null off the planet
+  pick(clientX, clientY) {
+    const parent = this.group.parent;
+    if (!parent) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    this.raycaster.setFromCamera(
+      {
+        x: ((clientX - rect.left) / rect.width) * 2 - 1,
+        y: -((clientY - rect.top) / rect.height) * 2 + 1,
+      },
+      this.camera
+    );
+    const [hit] = this.raycaster.intersectObjects(this.surface(), false);
+    if (!hit) return null;
+
+    const direction = parent.worldToLocal(hit.point.clone()).normalize();
+    return {
+      direction,
+      ...PlanetAnnotations.toLatLon(direction),
+      ...this.probe(direction),
+    };
+  }
+
+  // Call once per frame, before rendering: answers the latest hover and
+  // keeps the labels on their markers
+  update() {
+    if (this.hover) {
+      const { x, y } = this.hover;
+      this.hover = null;
+      const picked = this.pick(x, y);
+      if (picked) {
+        this.showTooltip(picked, x, y);
+      } else {
+        this.hideTooltip();
+      }
+    }
+    this.placeLabels();
+  }
+
+  onPointerUp(event) {
+    const pressed = this.pressed;
+    this.pressed = null;
+    if (!pressed) return;
+    const moved = Math.hypot(
+      event.clientX - pressed.x,
+      event.clientY - pressed.y
+    );
+    if (moved > ANNOTATION_CLICK_SLOP) return;
+
+    const picked = this.pick(event.clientX, event.clientY);
+    if (!picked) {
+      this.hideTooltip();
+      return;
+    }
+
+    if (this.mode === "marker") {
+      const name = window.prompt(
+        "Marker name",
+        `Marker ${this.markers.length + 1}`
+      );
+      if (name === null) return;
+      this.addMarker({ name, ...picked });
+    } else if (this.mode === "measure") {
+      // A third click starts a new measurement
+      const open = this.measurement && !this.measurement[1];
+      this.measurement = open
+        ? [this.measurement[0], picked.direction]
+        : [picked.direction, null];
+      this.rebuild();
+    }
+    // Touch has no hover: a tap shows what is there
+    this.showTooltip(picked, event.clientX, event.clientY);
+  }
+
+  showTooltip(picked, x, y) {
+    const lines = [
+      PlanetAnnotations.formatPosition(picked.latitude, picked.longitude),
+    ];
+    if (picked.elevation !== null) {
+      lines.push(`Elevation ${picked.elevation.toFixed(1)} km`);
+    }
+    lines.push(picked.terrain);
+    if (picked.overlay) lines.push(picked.overlay);
+    if (this.measurement) {
+      const from = PlanetAnnotations.toLatLon(this.measurement[0]);
+      const km = this.distance(from, picked);
+      lines.push(`${PlanetAnnotations.formatKm(km)} from the first point`);
+    }
+
+    this.tooltip.textContent = lines.join("\n");
+    this.tooltip.style.left = `${x + 14}px`;
+    this.tooltip.style.top = `${y + 14}px`;
+    this.tooltip.style.display = "block";
+  }
+
+  hideTooltip() {
+    this.tooltip.style.display = "none";
+  }
+
+  // Pins, the measurement arc and their labels from the current data
+  rebuild() {
+    const THREE = this.THREE;
+    this.group.children.slice().forEach((child) => {
+      this.group.remove(child);
+      if (child.isLine) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    this.labels.forEach(({ element }) => element.remove());
+    this.labels = [];
+    if (!this.group.parent) return;
+
+    for (const marker of this.markers) {
+      const direction = PlanetAnnotations.fromLatLon(
+        marker.latitude,
+        marker.longitude
+      );
+      const { radius } = this.probe(direction);
+      const pin = new THREE.Mesh(this.pinGeometry, this.pinMaterial);
+      pin.position.set(direction.x, direction.y, direction.z);
+      pin.position.multiplyScalar(radius);
+      pin.scale.setScalar(radius * ANNOTATION_PIN_SIZE);
+      pin.name = `Marker ${marker.id}`;
+      this.group.add(pin);
+
+      const element = this.addLabel(marker.name, pin.position);
+      element.title = "Click to remove";
+      element.style.cursor = "pointer";
+      element.style.pointerEvents = "auto";
+      element.addEventListener("click", () => {
+        if (window.confirm(`Remove marker "${marker.name}"?`)) {
+          this.removeMarker(marker.id);
+        }
+      });
+    }
+
+    if (this.measurement && this.measurement[1]) {
+      const points = PlanetAnnotations.arc(
+        ...this.measurement,
+        ANNOTATION_ARC_SEGMENTS
+      ).map((direction) => {
+        const { radius } = this.probe(direction);
+        return new THREE.Vector3(
+          direction.x,
+          direction.y,
+          direction.z
+        ).multiplyScalar(radius * ANNOTATION_ARC_LIFT);
+      });
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: ANNOTATION_MEASURE_COLOR })
+      );
+      line.name = "Measurement";
+      this.group.add(line);
+
+      const label = this.addLabel(
+        PlanetAnnotations.formatKm(this.measuredKm()),
+        points[Math.floor(points.length / 2)]
+      );
+      label.style.color = `#${ANNOTATION_MEASURE_COLOR.toString(16)}`;
+    }
+  }
+
+  // Label pinned to a point in the planet's frame
+  addLabel(text, position) {
+    const element = document.createElement("div");
+    element.textContent = text;
+    element.style.cssText = ANNOTATION_LABEL_STYLE;
+    element.style.pointerEvents = "none";
+    this.labelLayer.appendChild(element);
+    this.labels.push({ element, position: position.clone() });
+    return element;
+  }
+
+  // Labels follow their points on screen and hide behind the planet
+  placeLabels() {
+    if (this.labels.length === 0) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const center = new this.THREE.Vector3().setFromMatrixPosition(
+      this.group.matrixWorld
+    );
+    const world = new this.THREE.Vector3();
+    const toCamera = new this.THREE.Vector3();
+    for (const { element, position } of this.labels) {
+      world.copy(position).applyMatrix4(this.group.matrixWorld);
+      toCamera.subVectors(this.camera.position, world);
+      const facing = toCamera.dot(world.sub(center)) > 0;
+      element.style.display = facing ? "block" : "none";
+      if (!facing) continue;
+
+      world.add(center).project(this.camera);
+      const x = rect.left + ((world.x + 1) / 2) * rect.width;
+      const y = rect.top + ((1 - world.y) / 2) * rect.height;
+      element.style.transform = `translate(${x + 8}px, ${y - 10}px)`;
+    }
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this.getAnnotations());
+  }
+
+  // A marker with its id, a name, coordinates in range and the ground's
+  // elevation and terrain where not given
+  normalize(marker, index) {
+    if (marker === null || typeof marker !== "object") {
+      throw PlanetAnnotations.failure(`marker ${index} must be an object`);
+    }
+    const { latitude, longitude } = marker;
+    const valid =
+      Number.isFinite(latitude) &&
+      Math.abs(latitude) <= 90 &&
+      Number.isFinite(longitude) &&
+      Math.abs(longitude) <= 180;
+    if (!valid) {
+      throw PlanetAnnotations.failure(
+        `marker ${index} needs a latitude in [-90, 90] and a longitude ` +
+          "in [-180, 180]"
+      );
+    }
+
+    const round = (value, digits) => Number(value.toFixed(digits));
+    let { elevation = null, terrain = null } = marker;
+    if (terrain === null) {
+      const ground = this.probe(
+        PlanetAnnotations.fromLatLon(latitude, longitude)
+      );
+      elevation = ground.elevation;
+      terrain = ground.terrain;
+    }
+    const id =
+      marker.id !== undefined ? String(marker.id) : `marker-${this.nextId++}`;
+    const name = String(marker.name || "").trim() || `Marker ${index + 1}`;
+    return {
+      id,
+      name,
+      latitude: round(latitude, 4),
+      longitude: round(longitude, 4),
+      elevation: elevation === null ? null : round(elevation, 2),
+      terrain,
+    };
+  }
+
+  // A marker id or a { latitude, longitude } point
+  locate(end) {
+    if (typeof end === "string") {
+      const marker = this.markers.find(({ id }) => id === end);
+      if (!marker) throw PlanetAnnotations.failure(`no marker "${end}"`);
+      return marker;
+    }
+    return end;
+  }
+
+  dispose() {
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      this.canvas.removeEventListener(type, listener);
+    }
+    this.clear();
+    this.group.removeFromParent();
+    this.pinGeometry.dispose();
+    this.pinMaterial.dispose();
+    this.labelLayer.remove();
+    this.tooltip.remove();
+  }
+
+  static toLatLon({ x, y, z }) {
+    const toDegrees = 180 / Math.PI;
+    return {
+      latitude: Math.asin(Math.max(-1, Math.min(1, y))) * toDegrees,
+      longitude: Math.atan2(-z, x) * toDegrees,
+    };
+  }
+
+  static fromLatLon(latitude, longitude) {
+    const toRadians = Math.PI / 180;
+    const ring = Math.cos(latitude * toRadians);
+    return {
+      x: ring * Math.cos(longitude * toRadians),
+      y: Math.sin(latitude * toRadians),
+      z: -ring * Math.sin(longitude * toRadians),
+    };
+  }
+
+  // Haversine distance between two { latitude, longitude } points
+  static distanceKm(a, b, radiusKm = EARTH_RADIUS_KM) {
+    const toRadians = Math.PI / 180;
+    const dLatitude = (b.latitude - a.latitude) * toRadians;
+    const dLongitude = (b.longitude - a.longitude) * toRadians;
+    const h =
+      Math.sin(dLatitude / 2) ** 2 +
+      Math.cos(a.latitude * toRadians) *
+        Math.cos(b.latitude * toRadians) *
+        Math.sin(dLongitude / 2) ** 2;
+    return 2 * radiusKm * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // `segments` + 1 unit directions along the great circle from `a` to `b`
+  static arc(a, b, segments) {
+    const dot = Math.max(-1, Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(dot);
+    const sin = Math.sin(angle);
+    return Array.from({ length: segments + 1 }, (_, i) => {
+      const t = i / segments;
+      // Nearly equal ends: a straight blend is exact enough
+      const wa = sin < 1e-6 ? 1 - t : Math.sin((1 - t) * angle) / sin;
+      const wb = sin < 1e-6 ? t : Math.sin(t * angle) / sin;
+      const x = a.x * wa + b.x * wb;
+      const y = a.y * wa + b.y * wb;
+      const z = a.z * wa + b.z * wb;
+      const length = Math.hypot(x, y, z) || 1;
+      return { x: x / length, y: y / length, z: z / length };
+    });
+  }
+
+  static formatPosition(latitude, longitude) {
+    const north = `${Math.abs(latitude).toFixed(2)}° ${
+      latitude < 0 ? "S" : "N"
+    }`;
+    const east = `${Math.abs(longitude).toFixed(2)}° ${
+      longitude < 0 ? "W" : "E"
+    }`;
+    return `${north}, ${east}`;
+  }
+
+  static formatKm(km) {
+    return km < 10 ? `${km.toFixed(2)} km` : `${Math.round(km)} km`;
+  }
+
+  static failure(message) {
+    const error = new Error(message);
+    error.code = "INVALID_ANNOTATIONS";
+    return error;
+  }
+}
+
+globalThis.PlanetAnnotations = PlanetAnnotations;
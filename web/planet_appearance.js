@@ -0,0 +1,412 @@
+// Planet Appearance Model
+// Single source of truth for biome aliases, colors, terrain ramps and feature
+// flags, shared by the 2D thumbnail renderer and both 3D viewers so a biome
+// looks the same everywhere it is drawn
+
+// Terrain ramps are stepped: each [threshold, color] stop applies to values
+// below its threshold. Giant ramps are indexed by band value instead of height.
+const BIOME_APPEARANCES = {
+  temperate: {
+    name: "Temperate",
+    aliases: ["earth", "earth-like", "earthlike", "habitable", "super earth"],
+    terrain: "temperate",
+    surfacePattern: "ocean",
+    atmosphere: "dense",
+    colors: {
+      base: 0x2f6f8f,
+      land: 0x567d46,
+      atmosphere: 0x87ceeb,
+      emissive: 0x000000,
+      background: 0x000814,
+    },
+    ramp: [
+      [-0.2, 0x003366], // Ocean
+      [0, 0x006994], // Coastal water
+      [0.3, 0x567d46], // Lowlands
+      [0.7, 0x4a6741], // Hills/forest
+      [1.2, 0x696969], // Mountains
+      [Infinity, 0xf0f0f0], // Snow peaks
+    ],
+    polarCap: { latitude: 0.7, color: 0xffffff },
+    features: { clouds: true, specular: true, gasGiant: false },
+  },
+  ocean: {
+    name: "Ocean",
+    aliases: ["ocean world", "water world", "aquaplanet"],
+    terrain: "ocean",
+    surfacePattern: "ocean",
+    atmosphere: "dense",
+    colors: {
+      base: 0x006994,
+      atmosphere: 0x4d9fc7,
+      emissive: 0x000000,
+      background: 0x000814,
+    },
+    ramp: [
+      [-0.2, 0x003366], // Deep ocean
+      [0, 0x006994], // Shallow water
+      [0.2, 0xf4e4c1], // Beach
+      [0.6, 0x228b22], // Tropical vegetation
+      [Infinity, 0x006400], // Dense forest
+    ],
+    polarCap: null,
+    features: { clouds: true, specular: true, gasGiant: false },
+  },
+  tropical: {
+    name: "Tropical",
+    aliases: ["jungle", "jungle world", "tropical world"],
+    terrain: "ocean",
+    surfacePattern: "ocean",
+    atmosphere: "dense",
+    colors: {
+      base: 0x1f7a6a,
+      land: 0x228b22,
+      atmosphere: 0x87ceeb,
+      emissive: 0x000000,
+      background: 0x000814,
+    },
+    ramp: [
+      [-0.2, 0x003366], // Deep ocean
+      [0, 0x006994], // Shallow water
+      [0.2, 0xf4e4c1], // Beach
+      [0.6, 0x228b22], // Tropical vegetation
+      [Infinity, 0x006400], // Dense forest
+    ],
+    polarCap: null,
+    features: { clouds: true, specular: true, gasGiant: false },
+  },
+  desert: {
+    name: "Desert",
+    aliases: ["desert world", "arid", "dune"],
+    terrain: "desert",
+    surfacePattern: "dunes",
+    atmosphere: "thin",
+    colors: {
+      base: 0xc2a060,
+      atmosphere: 0xffa500,
+      emissive: 0x000000,
+      background: 0x1a0f00,
+    },
+    ramp: [
+      [-0.2, 0x8b7355], // Dark sand
+      [0.2, 0xc2b280], // Light sand
+      [Infinity, 0xa89968], // Rock outcrops
+    ],
+    polarCap: null,
+    features: { clouds: false, specular: false, gasGiant: false },
+  },
+  volcanic: {
+    name: "Volcanic",
+    aliases: ["lava", "lava world", "molten", "magma"],
+    terrain: "volcanic",
+    surfacePattern: "lava",
+    atmosphere: "dense",
+    colors: {
+      base: 0x4a2a20,
+      atmosphere: 0xff4500,
+      emissive: 0xff4500,
+      background: 0x1a0000,
+    },
+    ramp: [
+      [-0.3, 0xff4500], // Molten lava
+      [0, 0xff6347], // Hot rock
+      [0.5, 0x2f2f2f], // Dark basalt
+      [Infinity, 0x1a1a1a], // Black volcanic peaks
+    ],
+    polarCap: null,
+    features: { clouds: false, specular: false, gasGiant: false },
+  },
+  ice: {
+    name: "Ice",
+    aliases: ["ice world", "frozen", "snowball"],
+    terrain: "ice",
+    surfacePattern: "ice",
+    atmosphere: "thin",
+    colors: {
+      base: 0xe0f6ff,
+      atmosphere: 0xb0e0e6,
+      emissive: 0x000000,
+      background: 0x000820,
+    },
+    ramp: [
+      [0, 0xb0e0e6], // Light blue ice
+      [Infinity, 0xf0f8ff], // Snow
+    ],
+    polarCap: { latitude: 0.6, color: 0xffffff },
+    features: { clouds: false, specular: true, gasGiant: false },
+  },
+  tundra: {
+    name: "Tundra",
+    aliases: ["tundra world", "permafrost"],
+    terrain: "ice",
+    surfacePattern: "ice",
+    atmosphere: "thin",
+    colors: {
+      base: 0xa8b8a8,
+      atmosphere: 0xb0e0e6,
+      emissive: 0x000000,
+      background: 0x000820,
+    },
+    ramp: [
+      [0, 0x8fa39a], // Frozen lowlands
+      [0.4, 0x9aa88a], // Moss and lichen
+      [Infinity, 0xf0f8ff], // Snow
+    ],
+    polarCap: { latitude: 0.6, color: 0xffffff },
+    features: { clouds: false, specular: false, gasGiant: false },
+  },
+  rocky: {
+    name: "Rocky",
+    aliases: ["rocky planet", "terrestrial"],
+    terrain: "temperate",
+    surfacePattern: "craters",
+    atmosphere: "thin",
+    colors: {
+      base: 0xa0826d,
+      atmosphere: 0xc8b090,
+      emissive: 0x000000,
+      background: 0x000814,
+    },
+    ramp: [
+      [-0.2, 0x5c4a3a], // Basins
+      [0.3, 0x8b7355], // Plains
+      [0.8, 0xa0826d], // Highlands
+      [Infinity, 0xc0a890], // Peaks
+    ],
+    polarCap: null,
+    features: { clouds: false, specular: false, gasGiant: false },
+  },
+  barren: {
+    name: "Barren",
+    aliases: ["barren world", "airless", "dead"],
+    terrain: "temperate",
+    surfacePattern: "craters",
+    atmosphere: "none",
+    colors: {
+      base: 0x696969,
+      atmosphere: 0x000000,
+      emissive: 0x000000,
+      background: 0x000814,
+    },
+    ramp: [
+      [-0.2, 0x4a4a4a], // Impact basins
+      [0.3, 0x696969], // Regolith
+      [0.8, 0x808080], // Highlands
+      [Infinity, 0x9a9a9a], // Crater rims
+    ],
+    polarCap: null,
+    features: { clouds: false, specular: false, gasGiant: false },
+  },
+  gasGiant: {
+    name: "Gas Giant",
+    aliases: ["jovian", "hot jupiter", "jupiter"],
+    terrain: "gas",
+    surfacePattern: "bands",
+    atmosphere: "dense",
+    colors: {
+      base: 0xd4a574,
+      atmosphere: 0xf0c878,
+      emissive: 0x000000,
+      storm: 0xff4500,
+      background: 0x000814,
+    },
+    ramp: [
+      [0.3, 0xd4a574], // Tan band
+      [0.6, 0xf4e4c1], // Light band
+      [Infinity, 0xc89858], // Brown band
+    ],
+    polarCap: null,
+    features: {
+      clouds: false,
+      specular: false,
+      gasGiant: true,
+      ringChance: 0.4,
+      stormChance: 0.4,
+    },
+  },
+  iceGiant: {
+    name: "Ice Giant",
+    aliases: ["neptunian", "neptune-like"],
+    terrain: "gas",
+    surfacePattern: "bands",
+    atmosphere: "dense",
+    colors: {
+      base: 0x87ceeb,
+      atmosphere: 0x9fd8f0,
+      emissive: 0x000000,
+      storm: 0x2a4a8a,
+      background: 0x000814,
+    },
+    ramp: [
+      [0.3, 0x6fa8dc],
+      [0.6, 0xa8d8f0],
+      [Infinity, 0x5b8fc7],
+    ],
+    polarCap: null,
+    features: {
+      clouds: false,
+      specular: false,
+      gasGiant: true,
+      ringChance: 0.4,
+      stormChance: 0.4,
+    },
+  },
+  miniNeptune: {
+    name: "Mini Neptune",
+    aliases: ["sub-neptune", "sub neptune"],
+    terrain: "gas",
+    surfacePattern: "bands",
+    atmosphere: "dense",
+    colors: {
+      base: 0x4682b4,
+      atmosphere: 0x5b94c5,
+      emissive: 0x000000,
+      storm: 0x2a4a8a,
+      background: 0x000814,
+    },
+    ramp: [
+      [0.3, 0x3a6f9a],
+      [0.6, 0x6a9fca],
+      [Infinity, 0x4682b4],
+    ],
+    polarCap: null,
+    features: {
+      clouds: false,
+      specular: false,
+      gasGiant: true,
+      ringChance: 0.2,
+      stormChance: 0.3,
+    },
+  },
+};
+
+class PlanetAppearance {
+  // Resolve the appearance for planet data; unknown biomes are inferred from
+  // physical parameters and reported with a warning
+  static resolve(planetData) {
+    const data = planetData || {};
+    let id = PlanetAppearance.findBiomeId(data.biome);
+
+    if (!id) {
+      id = PlanetAppearance.inferBiomeId(data);
+      PlanetAppearance.warnUnknownBiome(data.biome, id);
+    }
+
+    return { id, ...BIOME_APPEARANCES[id] };
+  }
+
+  static findBiomeId(biome) {
+    if (typeof biome !== "string") return null;
+
+    const key = PlanetAppearance.normalizeName(biome);
+    return PlanetAppearance.aliasIndex()[key] || null;
+  }
+
+  // Rough classification used when the biome is missing or unknown
+  static inferBiomeId(planetData) {
+    const { temperature, mass, radius } = planetData;
+
+    if ((mass || 0) > 50 || (radius || 0) > 6) return "gasGiant";
+    if ((mass || 0) > 10 || (radius || 0) > 3) return "miniNeptune";
+    if ((temperature || 0) > 800) return "volcanic";
+    if (temperature && temperature < 200) return "ice";
+    return "rocky";
+  }
+
+  static warnUnknownBiome(biome, inferredId) {
+    const key = biome == null ? "(missing)" : String(biome);
+    if (PlanetAppearance.warnedBiomes.has(key)) return;
+    PlanetAppearance.warnedBiomes.add(key);
+
+    console.warn(
+      `[APPEARANCE] Unknown biome "${key}", using "${BIOME_APPEARANCES[inferredId].name}" inferred from physical parameters`
+    );
+  }
+
+  static normalizeName(name) {
+    return name
+      .trim()
+      .toLowerCase()
+      .replace(/[_\s]+/g, " ");
+  }
+
+  static aliasIndex() {
+    if (!PlanetAppearance.index) {
+      PlanetAppearance.index = {};
+      Object.entries(BIOME_APPEARANCES).forEach(([id, appearance]) => {
+        [appearance.name, ...appearance.aliases].forEach((alias) => {
+          PlanetAppearance.index[PlanetAppearance.normalizeName(alias)] = id;
+        });
+      });
+    }
+    return PlanetAppearance.index;
+  }
+
+  // Canonical biome names, e.g. for biome pickers
+  static names() {
+    return Object.values(BIOME_APPEARANCES).map((appearance) => appearance.name);
+  }
+
+  // Stepped ramp lookup
+  static sampleRamp(ramp, value) {
+    for (const [threshold, color] of ramp) {
+      if (value < threshold) return color;
+    }
+    return ramp[ramp.length - 1][1];
+  }
+
+  static hasAtmosphere(appearance, planetData) {
+    if (appearance.atmosphere === "dense") return true;
+    if (appearance.atmosphere === "thin") return (planetData.mass || 0) > 0.3;
+    return false;
+  }
+
+  // Seeded so every renderer agrees on rings and storms for the same planet
+  static hasRings(appearance, planetData, seed) {
+    const chance = appearance.features.ringChance || 0;
+    return (
+      chance > 0 &&
+      (planetData.mass || 0) > 5 &&
+      new SeededRandom(seed).fork("rings").next() < chance
+    );
+  }
+
+  static hasStorm(appearance, seed) {
+    const chance = appearance.features.stormChance || 0;
+    return chance > 0 && new SeededRandom(seed).fork("storm").next() < chance;
+  }
+
+  static toHex(color) {
+    return "#" + color.toString(16).padStart(6, "0");
+  }
+
+  static toHsl(color) {
+    const r = ((color >> 16) & 255) / 255;
+    const g = ((color >> 8) & 255) / 255;
+    const b = (color & 255) / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+
+    if (max !== min) {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      if (max === r) {
+        h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+      } else if (max === g) {
+        h = ((b - r) / d + 2) * 60;
+      } else {
+        h = ((r - g) / d + 4) * 60;
+      }
+    }
+
+    return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+  }
+}
+
+PlanetAppearance.index = null;
+PlanetAppearance.warnedBiomes = new Set();
+
+globalThis.PlanetAppearance = PlanetAppearance;
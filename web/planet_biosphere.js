@@ -0,0 +1,251 @@
+// Planet Biosphere
+// Turns the host's `lifeforms` description and habitability score into
+// visible life in the full 3D viewer: vegetation tints suitable elevation and
+// latitude bands, microbial mats color shallow seas (both through
+// PlanetTerrain's colors) and advanced life lights up the night side
+// (createLights()). Densities scale with habitability; a `lifeCoverage`
+// (0-1) sets the vegetation directly. The description is plain data, so it
+// travels to the texture worker with the terrain options.
+
+// Keyword groups matched against the lifeforms text
+const BIOSPHERE_KEYWORDS = {
+  vegetation:
+    /plant|vegetat|forest|flora|grass|photosynth|jungle|moss|lichen|tree/,
+  microbial: new RegExp(
+    "microb|bacteri|archae|extremophil|thermophil|organism|stromatolit|" +
+      "algae|plankton|single[- ]cell"
+  ),
+  complex: /complex|animal|fauna|multicellular|biolumin/,
+  technology: /intelligen|civiliz|technolog|sapient|cities|city|industr/,
+};
+
+// Descriptions that mean no life at all
+const BIOSPHERE_NONE = /^\s*(none|no\b|lifeless|sterile|unknown)/;
+
+// Hedged descriptions ("possible microbial life") show half as much
+const BIOSPHERE_HEDGED = /possible|potential|suspected|probable/;
+
+// Vegetation by climate, microbial mats by water temperature
+const BIOSPHERE_COLORS = {
+  boreal: 0x3a4d2c,
+  lush: 0x2d5a1f,
+  savanna: 0x6b6b2a,
+  mats: 0x5e7d3a,
+  thermophileMats: 0xb5652a,
+  technosignature: 0xffc766,
+  bioluminescent: 0x3cf2d0,
+};
+
+// Directions tried when placing night-side lights
+const BIOSPHERE_LIGHT_CANDIDATES = 12000;
+
+class PlanetBiosphere {
+  // { vegetation, microbialMats, lights (0-1 each), lightKind } or null
+  // when the planet has no visible life
+  static fromPlanet(planetData) {
+    const lifeforms = planetData.lifeforms || "";
+    const text = (
+      Array.isArray(lifeforms) ? lifeforms.join(", ") : lifeforms
+    ).toLowerCase();
+    const has = (group) => BIOSPHERE_KEYWORDS[group].test(text);
+    const known = text !== "" && !BIOSPHERE_NONE.test(text);
+    if (!known && planetData.lifeCoverage == null) return null;
+
+    const { habitability } = planetData;
+    let density =
+      habitability == null ? 0.5 : 0.15 + (0.85 * habitability) / 100;
+    if (BIOSPHERE_HEDGED.test(text)) density *= 0.5;
+
+    const technosignatures = known && has("technology");
+    const complex = known && (has("complex") || technosignatures);
+    const round = (value) => Math.round(value * 100) / 100;
+    const biosphere = {
+      vegetation: round(
+        planetData.lifeCoverage ??
+          (known && (has("vegetation") || complex) ? density : 0)
+      ),
+      microbialMats: round(
+        known && (has("microbial") || complex) ? density : 0
+      ),
+      lights: round(complex ? density : 0),
+      lightKind: technosignatures ? "technosignature" : "bioluminescent",
+    };
+
+    const visible =
+      biosphere.vegetation > 0 ||
+      biosphere.microbialMats > 0 ||
+      biosphere.lights > 0;
+    return visible ? biosphere : null;
+  }
+
+  // Tints a terrain color in place for the life at one surface point.
+  // `value` is the height on the biome's color ramp (below 0 is sea where
+  // `hasSeas`), `noise` the terrain's PlanetNoise.
+  static colorTerrain(
+    color,
+    biosphere,
+    { direction, value, latitude, temperature, hasSeas, noise }
+  ) {
+    const { x, y, z } = direction;
+
+    if (value >= 0 && biosphere.vegetation > 0) {
+      // Lowlands to mid slopes, densest in the tropics and the temperate
+      // belts, thinner in the subtropical dry belt, none near the poles
+      const elevation =
+        PlanetBiosphere.smoothstep(0.02, 0.08, value) *
+        (1 - PlanetBiosphere.smoothstep(0.6, 0.9, value));
+      const belts =
+        (1 - 0.6 * PlanetBiosphere.bump(latitude, 0.4, 0.12)) *
+        (1 - PlanetBiosphere.smoothstep(0.7, 0.9, latitude));
+      const climate =
+        PlanetBiosphere.smoothstep(220, 260, temperature) *
+        (1 - PlanetBiosphere.smoothstep(320, 360, temperature));
+      const cover = biosphere.vegetation * elevation * belts * climate;
+
+      if (cover > 0) {
+        const patch = noise.noise3(x * 7 + 3.1, y * 7, z * 7) * 0.5 + 0.5;
+        const amount = PlanetBiosphere.smoothstep(
+          1 - cover - 0.05,
+          1 - cover + 0.05,
+          patch
+        );
+        const tint =
+          temperature < 270
+            ? BIOSPHERE_COLORS.boreal
+            : temperature > 310
+            ? BIOSPHERE_COLORS.savanna
+            : BIOSPHERE_COLORS.lush;
+        PlanetTerrain.lerp(color, tint, amount * 0.75);
+      }
+    } else if (value < 0 && hasSeas && biosphere.microbialMats > 0) {
+      // Shallow water along the coasts
+      const shallow = PlanetBiosphere.smoothstep(-0.25, -0.05, value);
+      const patch = noise.noise3(x * 12, y * 12 + 5.3, z * 12) * 0.5 + 0.5;
+      const amount =
+        shallow *
+        PlanetBiosphere.smoothstep(
+          1 - biosphere.microbialMats,
+          1.1 - biosphere.microbialMats,
+          patch
+        );
+      const tint =
+        temperature > 320
+          ? BIOSPHERE_COLORS.thermophileMats
+          : BIOSPHERE_COLORS.mats;
+      PlanetTerrain.lerp(color, tint, amount * 0.6);
+    }
+  }
+
+  // Night-side lights of advanced life as points on the terrain (cities on
+  // land, or bioluminescence along the coasts), or null. The points fade
+  // out wherever `material.uniforms.lightDirection` (world, toward the
+  // star) shines; the viewer keeps it current.
+  static createLights(THREE, terrain) {
+    const biosphere = terrain.biosphere;
+    if (!biosphere || biosphere.lights <= 0) return null;
+
+    const technosignature = biosphere.lightKind === "technosignature";
+    const random = new SeededRandom(terrain.seed).fork("biosphereLights");
+    const seaLevel = terrain.params.seaLevel;
+    const positions = [];
+
+    for (let i = 0; i < BIOSPHERE_LIGHT_CANDIDATES; i++) {
+      const direction = PlanetBiosphere.randomDirection(random);
+      if (random.next() > biosphere.lights) continue;
+      if (Math.abs(direction.y) > terrain.params.iceCapLatitude) continue;
+
+      const { height, displacement } = terrain.sample(direction);
+      const value = height + direction.y * 0.3 - seaLevel;
+      const suitable = technosignature
+        ? value > 0.02 &&
+          value < 0.6 &&
+          // Cities cluster
+          terrain.noise.noise3(
+            direction.x * 9,
+            direction.y * 9,
+            direction.z * 9 + 7.7
+          ) > 0.2
+        : value > -0.3 && value < 0.1;
+      if (!suitable) continue;
+
+      // Just above the ground, clear of the surface
+      const radius =
+        terrain.planetRadius * 1.004 + Math.max(displacement, 0);
+      positions.push(
+        direction.x * radius,
+        direction.y * radius,
+        direction.z * radius
+      );
+    }
+    if (positions.length === 0) return null;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        color: {
+          value: new THREE.Color(
+            technosignature
+              ? BIOSPHERE_COLORS.technosignature
+              : BIOSPHERE_COLORS.bioluminescent
+          ),
+        },
+        lightDirection: { value: new THREE.Vector3(1, 0, 0) },
+        opacity: { value: 1 },
+        size: { value: technosignature ? 2.5 : 3.5 },
+      },
+      vertexShader: `
+        uniform vec3 lightDirection;
+        uniform float size;
+        varying float vNight;
+        void main() {
+          vec3 normal = normalize(mat3(modelMatrix) * position);
+          vNight = smoothstep(0.05, -0.25, dot(normal, lightDirection));
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          gl_PointSize = size * (300.0 / -mvPosition.z);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 color;
+        uniform float opacity;
+        varying float vNight;
+        void main() {
+          float falloff =
+            1.0 - smoothstep(0.0, 0.5, length(gl_PointCoord - 0.5));
+          gl_FragColor = vec4(color, falloff * vNight * opacity);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const lights = new THREE.Points(geometry, material);
+    lights.name = "BiosphereLights";
+    return lights;
+  }
+
+  // Uniform over the unit sphere
+  static randomDirection(random) {
+    const y = random.range(-1, 1);
+    const angle = random.range(0, Math.PI * 2);
+    const ring = Math.sqrt(1 - y * y);
+    return { x: Math.cos(angle) * ring, y, z: Math.sin(angle) * ring };
+  }
+
+  static smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+  }
+
+  // 1 at `center`, falling to 0 at `width` either side
+  static bump(x, center, width) {
+    return 1 - PlanetBiosphere.smoothstep(0, width, Math.abs(x - center));
+  }
+}
+
+globalThis.PlanetBiosphere = PlanetBiosphere;
@@ -0,0 +1,380 @@
+// Planet Camera Path
+// Animated camera moves for the full 3D viewer. flyTo() glides the orbit
+// camera round to look down on a latitude and longitude from an altitude:
+// the view direction is slerped along the great circle with eased
+// progress, and long hops climb on the way. Tours play a list of such
+// flights with a dwell and a caption at each stop, and can be paused,
+// resumed, skipped and stopped. Tours are plain JSON:
+//   { title?, waypoints: [{ latitude, longitude | target, altitude? (km),
+//     duration? (flight, ms), dwell? (ms), caption? }] }
+// where `target` names a place the viewer finds on the current planet
+// (see CAMERA_TOUR_TARGETS). Latitude and longitude follow
+// PlanetAnnotations. The viewer steps the path every frame before its
+// OrbitControls update, and calls interrupt() when the user takes the
+// controls. THREE is passed in; needs PlanetAnnotations and PlanetTweens.
+
+// Length of a flight, and of the stay at a tour stop, ms
+const CAMERA_FLIGHT_DURATION = 3000;
+const CAMERA_TOUR_DWELL = 4000;
+
+// Altitude of a stop that names none, in planet radii
+const CAMERA_DEFAULT_ALTITUDE = 0.8;
+
+// Planet radii a flight halfway round the planet climbs at its middle
+// (shorter hops climb less)
+const CAMERA_FLIGHT_LIFT = 0.6;
+
+// OrbitControls can't look straight down its up axis, so stops stay this
+// far (degrees of latitude) from the poles
+const CAMERA_MAX_LATITUDE = 85;
+
+// Places a waypoint can name instead of coordinates: the day/night line
+// under the camera, the poles, and the highest ground of the heightfield
+const CAMERA_TOUR_TARGETS = ["terminator", "north-pole", "south-pole", "peak"];
+
+const CAMERA_TOUR_MAX_WAYPOINTS = 100;
+
+// Invalid tours and stops throw an Error with code INVALID_TOUR
+class PlanetCameraPath {
+  // `planet()` is the object whose frame the coordinates are in (null
+  // while there is none) and `radius()` its radius in scene units;
+  // `kmPerUnit` converts altitudes. `resolve(target)` finds a named place
+  // as { latitude, longitude }, or null to leave the stop out, and
+  // `onChange(state)` hears every change of the tour (see tourState())
+  constructor(
+    THREE,
+    { camera, controls, planet, radius, kmPerUnit, resolve, onChange }
+  ) {
+    this.THREE = THREE;
+    this.camera = camera;
+    this.controls = controls;
+    this.planet = planet;
+    this.radius = radius;
+    this.kmPerUnit = kmPerUnit;
+    this.resolve = resolve;
+    this.onChange = onChange;
+
+    // The running flight, and the tour it belongs to; `dwell` is the time
+    // left at the current stop (s), null while flying to it
+    this.flight = null;
+    this.tour = null;
+  }
+
+  // True while a flight or a tour (even paused) has the camera
+  get busy() {
+    return this.flight !== null || this.tour !== null;
+  }
+
+  // Flies to look down on a point from `altitude` km (or the default) over
+  // `duration` ms, ending any tour. Resolves true on arrival and false
+  // when cut short (user input, another move, stop()).
+  flyTo(latitude, longitude, altitude, duration) {
+    const stop = PlanetCameraPath.normalizeWaypoint(
+      { latitude, longitude, altitude, duration },
+      "flyTo"
+    );
+    this.stop();
+    return new Promise((done) => this.startFlight(stop, done));
+  }
+
+  // Plays a tour from its first stop; returns the tour state
+  playTour(tour) {
+    const { title, waypoints } = PlanetCameraPath.normalizeTour(tour);
+    this.stop();
+    this.tour = { title, waypoints, index: -1, dwell: null, paused: false };
+    this.next();
+    return this.tourState();
+  }
+
+  // A paused flight holds in mid-air
+  pause() {
+    if (!this.tour || this.tour.paused) return;
+    this.tour.paused = true;
+    this.report();
+  }
+
+  // Flies on to the current stop if the user interrupted the flight
+  resume() {
+    const tour = this.tour;
+    if (!tour || !tour.paused) return;
+    tour.paused = false;
+    if (!this.flight && tour.dwell === null) {
+      this.flyToStop();
+    } else {
+      this.report();
+    }
+  }
+
+  skip() {
+    if (!this.tour) return;
+    this.endFlight(false);
+    this.tour.paused = false;
+    this.next();
+  }
+
+  stop() {
+    this.endFlight(false);
+    if (!this.tour) return;
+    this.tour = null;
+    this.report();
+  }
+
+  // The user took the controls: the flight ends where it is and a tour
+  // pauses (resume() flies on to the stop)
+  interrupt() {
+    const flying = this.flight !== null;
+    this.endFlight(false);
+    if (!this.tour || (this.tour.paused && !flying)) return;
+    this.tour.paused = true;
+    this.report();
+  }
+
+  // { playing, title, index, count, caption, paused }; the tour fields are
+  // null when no tour plays
+  tourState() {
+    const tour = this.tour;
+    if (!tour) {
+      return {
+        playing: false,
+        title: null,
+        index: null,
+        count: null,
+        caption: null,
+        paused: false,
+      };
+    }
+    const waypoint = tour.waypoints[tour.index];
+    return {
+      playing: true,
+      title: tour.title,
+      index: tour.index,
+      count: tour.waypoints.length,
+      caption: waypoint ? waypoint.caption : "",
+      paused: tour.paused,
+    };
+  }
+
+  // Moves the flight, or counts down the stay at a stop, by `delta` s
+  step(delta) {
+    const tour = this.tour;
+    if (tour && tour.paused) return;
+
+    const flight = this.flight;
+    if (flight) {
+      flight.elapsed += delta;
+      const t = Math.min(1, flight.elapsed / flight.duration);
+      this.pose(flight, t);
+      if (t >= 1) this.endFlight(true);
+      return;
+    }
+    if (tour && tour.dwell !== null) {
+      tour.dwell -= delta;
+      if (tour.dwell <= 0) this.next();
+    }
+  }
+
+  // On to the next stop that can be found on this planet; the tour ends
+  // after the last
+  next() {
+    const tour = this.tour;
+    tour.dwell = null;
+    tour.index += 1;
+    this.flyToStop();
+  }
+
+  flyToStop() {
+    const tour = this.tour;
+    while (tour.index < tour.waypoints.length) {
+      const waypoint = tour.waypoints[tour.index];
+      const stop = this.locate(waypoint);
+      if (stop) {
+        this.startFlight(stop, (arrived) => {
+          if (!arrived || this.tour !== tour) return;
+          tour.dwell = waypoint.dwell / 1000;
+        });
+        this.report();
+        return;
+      }
+      tour.index += 1;
+    }
+    this.stop();
+  }
+
+  // Coordinates of a waypoint, resolving named places
+  locate(waypoint) {
+    if (!waypoint.target) return waypoint;
+    const place = this.resolve(waypoint.target);
+    return place ? { ...waypoint, ...place } : null;
+  }
+
+  // Flight from the current view to a stop ({ latitude, longitude,
+  // altitude, duration } as normalized)
+  startFlight({ latitude, longitude, altitude, duration }, done) {
+    this.endFlight(false);
+    const planet = this.planet();
+    if (!planet) {
+      done(false);
+      return;
+    }
+
+    const THREE = this.THREE;
+    const target = this.controls.target;
+    const offset = this.camera.position.clone().sub(target);
+    const from = {
+      direction: offset.clone().normalize(),
+      distance: offset.length(),
+      target: target.clone(),
+    };
+
+    // The stop in world space (the planet may be turned and, in the
+    // system view, away from the origin)
+    const local = PlanetAnnotations.fromLatLon(
+      Math.max(-CAMERA_MAX_LATITUDE, Math.min(CAMERA_MAX_LATITUDE, latitude)),
+      longitude
+    );
+    const radius = this.radius();
+    const height =
+      altitude === null
+        ? CAMERA_DEFAULT_ALTITUDE * radius
+        : altitude / this.kmPerUnit;
+    const to = {
+      direction: new THREE.Vector3(local.x, local.y, local.z)
+        .applyQuaternion(planet.getWorldQuaternion(new THREE.Quaternion()))
+        .normalize(),
+      distance: Math.max(
+        this.controls.minDistance,
+        Math.min(this.controls.maxDistance, radius + height)
+      ),
+      target: planet.getWorldPosition(new THREE.Vector3()),
+    };
+
+    const angle = from.direction.angleTo(to.direction);
+    this.flight = {
+      from,
+      to,
+      turn: new THREE.Quaternion().setFromUnitVectors(
+        from.direction,
+        to.direction
+      ),
+      lift: CAMERA_FLIGHT_LIFT * radius * (angle / Math.PI),
+      elapsed: 0,
+      duration: duration / 1000,
+      done,
+    };
+    if (this.flight.duration <= 0) {
+      this.pose(this.flight, 1);
+      this.endFlight(true);
+    }
+  }
+
+  // Camera at eased progress `t` of a flight, looking at the target
+  pose(flight, t) {
+    const THREE = this.THREE;
+    const eased = PlanetTweens.ease(t);
+    const { from, to } = flight;
+    const direction = from.direction
+      .clone()
+      .applyQuaternion(new THREE.Quaternion().slerp(flight.turn, eased));
+    const distance =
+      PlanetTweens.lerp(from.distance, to.distance, eased) +
+      flight.lift * Math.sin(Math.PI * eased);
+
+    this.controls.target.lerpVectors(from.target, to.target, eased);
+    this.camera.position
+      .copy(this.controls.target)
+      .addScaledVector(direction, distance);
+    this.camera.lookAt(this.controls.target);
+  }
+
+  endFlight(arrived) {
+    const flight = this.flight;
+    if (!flight) return;
+    this.flight = null;
+    flight.done(arrived);
+    if (this.tour) this.report();
+  }
+
+  report() {
+    if (this.onChange) this.onChange(this.tourState());
+  }
+
+  static normalizeTour(tour) {
+    if (
+      tour === null ||
+      typeof tour !== "object" ||
+      !Array.isArray(tour.waypoints)
+    ) {
+      throw PlanetCameraPath.failure("a tour needs a waypoints array");
+    }
+    const count = tour.waypoints.length;
+    if (count === 0 || count > CAMERA_TOUR_MAX_WAYPOINTS) {
+      throw PlanetCameraPath.failure(
+        `a tour needs 1-${CAMERA_TOUR_MAX_WAYPOINTS} waypoints`
+      );
+    }
+    if (tour.title !== undefined && typeof tour.title !== "string") {
+      throw PlanetCameraPath.failure("the tour title must be a string");
+    }
+    return {
+      title: tour.title || "",
+      waypoints: tour.waypoints.map((waypoint, i) =>
+        PlanetCameraPath.normalizeWaypoint(waypoint, `waypoint ${i}`)
+      ),
+    };
+  }
+
+  // Fills in the defaults; `name` labels the stop in errors
+  static normalizeWaypoint(waypoint, name) {
+    if (waypoint === null || typeof waypoint !== "object") {
+      throw PlanetCameraPath.failure(`${name} must be an object`);
+    }
+    const { target, latitude, longitude, caption } = waypoint;
+    if (target !== undefined) {
+      if (!CAMERA_TOUR_TARGETS.includes(target)) {
+        throw PlanetCameraPath.failure(
+          `${name} has an unknown target "${target}" (one of ` +
+            `${CAMERA_TOUR_TARGETS.join(", ")})`
+        );
+      }
+    } else if (
+      !Number.isFinite(latitude) ||
+      Math.abs(latitude) > 90 ||
+      !Number.isFinite(longitude) ||
+      Math.abs(longitude) > 180
+    ) {
+      throw PlanetCameraPath.failure(
+        `${name} needs a target or a latitude in [-90, 90] and a longitude ` +
+          "in [-180, 180]"
+      );
+    }
+    for (const field of ["altitude", "duration", "dwell"]) {
+      const value = waypoint[field];
+      if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+        throw PlanetCameraPath.failure(
+          `${name}: ${field} must be a number >= 0`
+        );
+      }
+    }
+    if (caption !== undefined && typeof caption !== "string") {
+      throw PlanetCameraPath.failure(`${name}: caption must be a string`);
+    }
+
+    return {
+      target: target ?? null,
+      latitude: target === undefined ? latitude : null,
+      longitude: target === undefined ? longitude : null,
+      altitude: waypoint.altitude ?? null,
+      duration: waypoint.duration ?? CAMERA_FLIGHT_DURATION,
+      dwell: waypoint.dwell ?? CAMERA_TOUR_DWELL,
+      caption: caption ?? "",
+    };
+  }
+
+  static failure(message) {
+    const error = new Error(message);
+    error.code = "INVALID_TOUR";
+    return error;
+  }
+}
+
+globalThis.PlanetCameraPath = PlanetCameraPath;
@@ -0,0 +1,260 @@
+// Planet Capture
+// PNG screenshots and 360° turntable videos from a viewer's WebGL renderer.
+// Captures render at a requested size by temporarily resizing the drawing
+// buffer (the canvas style is untouched), so the output is independent of
+// the container. THREE is passed in, so this works with any bundled version.
+
+const CAPTURE_DEFAULT_IMAGE = { width: 3840, height: 2160 };
+const CAPTURE_DEFAULT_TURNTABLE = { seconds: 8, fps: 30, bitsPerSecond: 8e6 };
+const CAPTURE_VIDEO_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+class PlanetCapture {
+  constructor(THREE, { renderer, scene, camera }) {
+    this.THREE = THREE;
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.recording = null;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // Largest size the GPU can render in one pass
+  get maxSize() {
+    const gl = this.renderer.getContext();
+    return Math.min(
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      gl.getParameter(gl.MAX_VIEWPORT_DIMS)[0]
+    );
+  }
+
+  // Clamps the requested size, keeping its aspect ratio
+  resolveSize(width, height) {
+    const canvas = this.renderer.domElement;
+    let w = Math.round(width) || canvas.width;
+    let h = Math.round(height) || canvas.height;
+
+    const scale = Math.min(1, this.maxSize / Math.max(w, h));
+    w = Math.max(1, Math.floor(w * scale));
+    h = Math.max(1, Math.floor(h * scale));
+    return { width: w, height: h };
+  }
+
+  // Resizes the drawing buffer, camera and background for a capture;
+  // returns a function restoring the live view
+  applyView({ width, height, transparent = false, hide = [] }) {
+    const { renderer, scene, camera } = this;
+    const canvas = renderer.domElement;
+    const pixelRatio = renderer.getPixelRatio();
+    const viewWidth = canvas.width / pixelRatio;
+    const viewHeight = canvas.height / pixelRatio;
+    const aspect = camera.aspect;
+    const background = scene.background;
+    const clearColor = renderer.getClearColor(new this.THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const hidden = hide.filter((object) => object && object.visible);
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearColor(clearColor, 0);
+      hidden.forEach((object) => (object.visible = false));
+    }
+
+    return () => {
+      hidden.forEach((object) => (object.visible = true));
+      scene.background = background;
+      renderer.setClearColor(clearColor, clearAlpha);
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(viewWidth, viewHeight, false);
+      camera.aspect = aspect;
+      camera.updateProjectionMatrix();
+    };
+  }
+
+  // PNG of the current view. `hide` lists objects (e.g. star fields) left out
+  // of transparent captures.
+  captureImage({ width, height, transparent = false, hide = [] } = {}) {
+    const size = this.resolveSize(
+      width || CAPTURE_DEFAULT_IMAGE.width,
+      height || CAPTURE_DEFAULT_IMAGE.height
+    );
+    const restore = this.applyView({ ...size, transparent, hide });
+
+    try {
+      this.renderer.render(this.scene, this.camera);
+      // toBlob copies the drawing buffer synchronously, before it is cleared
+      return PlanetCapture.canvasToBlob(this.renderer.domElement).then(
+        (blob) => ({ blob, ...size, mimeType: "image/png" })
+      );
+    } finally {
+      restore();
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  // Records one full revolution to WebM. `onAngle(angle)` poses the planet
+  // for each frame; the angle runs from 0 up to (not including) 2π, so the
+  // video loops seamlessly.
+  recordTurntable({
+    seconds = CAPTURE_DEFAULT_TURNTABLE.seconds,
+    fps = CAPTURE_DEFAULT_TURNTABLE.fps,
+    width,
+    height,
+    transparent = false,
+    hide = [],
+    onAngle,
+    onProgress,
+  } = {}) {
+    if (this.isRecording) {
+      return Promise.reject(
+        PlanetCapture.failure("BUSY", "A turntable is already recording")
+      );
+    }
+
+    const mimeType = PlanetCapture.videoType();
+    const canvas = this.renderer.domElement;
+    if (!mimeType || typeof canvas.captureStream !== "function") {
+      return Promise.reject(
+        PlanetCapture.failure(
+          "UNSUPPORTED",
+          "This browser cannot record WebM from a canvas"
+        )
+      );
+    }
+
+    const size = this.resolveSize(width, height);
+    const restore = this.applyView({ ...size, transparent, hide });
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: CAPTURE_DEFAULT_TURNTABLE.bitsPerSecond,
+    });
+    const chunks = [];
+    const duration = seconds * 1000;
+    const recording = { cancelled: false, frame: null };
+    this.recording = recording;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        cancelAnimationFrame(recording.frame);
+        this.recording = null;
+        stream.getTracks().forEach((track) => track.stop());
+        restore();
+        if (error) {
+          reject(error);
+        } else {
+          const blob = new Blob(chunks, { type: mimeType.split(";")[0] });
+          resolve({ blob, ...size, mimeType: blob.type, seconds, fps });
+        }
+      };
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () =>
+        finish(
+          recording.cancelled
+            ? PlanetCapture.failure("CANCELLED", "Recording cancelled")
+            : null
+        );
+      recorder.onerror = (event) =>
+        finish(PlanetCapture.failure("RECORDER", String(event.error)));
+
+      let start = null;
+      const frame = (now) => {
+        if (start === null) start = now;
+        const elapsed = now - start;
+
+        if (elapsed >= duration || recording.cancelled) {
+          recorder.stop();
+          return;
+        }
+
+        onAngle((elapsed / duration) * Math.PI * 2);
+        this.renderer.render(this.scene, this.camera);
+        if (onProgress) onProgress(elapsed / duration);
+        recording.frame = requestAnimationFrame(frame);
+      };
+
+      recorder.start(1000);
+      recording.frame = requestAnimationFrame(frame);
+    });
+  }
+
+  cancelRecording() {
+    if (this.recording) this.recording.cancelled = true;
+  }
+
+  static videoType() {
+    if (typeof MediaRecorder === "undefined") return null;
+    return (
+      CAPTURE_VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ||
+      null
+    );
+  }
+
+  static canvasToBlob(canvas, type = "image/png") {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) =>
+          blob
+            ? resolve(blob)
+            : reject(PlanetCapture.failure("EMPTY", "Canvas produced no image")),
+        type
+      );
+    });
+  }
+
+  static blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  static download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // e.g. "kepler-442-b-2048x2048.png"; the size suffix is optional
+  static filename(planetName, size, extension) {
+    const slug =
+      String(planetName || "planet")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "planet";
+    const suffix = size ? `-${size.width}x${size.height}` : "";
+    return `${slug}${suffix}.${extension}`;
+  }
+
+  static failure(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+globalThis.PlanetCapture = PlanetCapture;
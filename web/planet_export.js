@@ -0,0 +1,209 @@
+// Planet Model Export
+// Turns a viewer's planet group into files for Blender, AR tools and
+// analysis: binary glTF (through three's GLTFExporter, passed in) and an
+// OBJ + MTL fallback with per-vertex colors. Each mesh (surface, atmosphere,
+// clouds, rings) stays a separate named node; planet metadata goes into the
+// glTF root's extras and the OBJ header.
+
+const EXPORT_SHADER_OPACITY = 0.25;
+
+class PlanetExport {
+  // Export-ready copy sharing geometry with the live scene: identity root
+  // transform, and shader materials (e.g. the atmosphere glow), which no
+  // format can store, swapped for translucent basic materials
+  static prepare(THREE, group, metadata = {}) {
+    const root = group.clone(true);
+    const created = [];
+
+    root.position.set(0, 0, 0);
+    root.rotation.set(0, 0, 0);
+    root.scale.set(1, 1, 1);
+    root.name = metadata.name || "Planet";
+    root.userData = { ...metadata };
+
+    root.traverse((object) => {
+      const shader = object.isMesh && object.material;
+      if (!shader || !shader.isShaderMaterial) return;
+
+      const glow = shader.uniforms && shader.uniforms.glowColor;
+      const material = new THREE.MeshBasicMaterial({
+        color: glow ? glow.value.clone() : new THREE.Color(0xffffff),
+        transparent: true,
+        opacity: EXPORT_SHADER_OPACITY,
+        side: shader.side,
+        depthWrite: false,
+      });
+      material.name = `${object.name || "Shader"}Material`;
+      object.material = material;
+      created.push(material);
+    });
+    root.updateMatrixWorld(true);
+
+    return {
+      root,
+      dispose: () => created.forEach((material) => material.dispose()),
+    };
+  }
+
+  static async toGlb(GLTFExporter, root) {
+    const buffer = await new GLTFExporter().parseAsync(root, {
+      binary: true,
+      onlyVisible: true,
+    });
+    return new Blob([buffer], { type: "model/gltf-binary" });
+  }
+
+  // Wavefront OBJ with `v x y z r g b` vertex colors (read by Blender and
+  // MeshLab) and a matching MTL; returns { obj, mtl } strings
+  static toObj(THREE, root, { mtlName = "planet.mtl" } = {}) {
+    const toSrgb = PlanetExport.colorEncoder(THREE);
+    const obj = [
+      ...PlanetExport.header(root.userData),
+      `mtllib ${mtlName}`,
+    ];
+    const mtl = PlanetExport.header(root.userData);
+    const materialNames = new Map();
+    const vertex = new THREE.Vector3();
+    const normalMatrix = new THREE.Matrix3();
+    const offsets = { v: 1, vt: 1, vn: 1 };
+
+    root.updateMatrixWorld(true);
+    root.traverseVisible((mesh) => {
+      if (!mesh.isMesh) return;
+
+      const geometry = mesh.geometry;
+      const { position, normal, uv, color } = geometry.attributes;
+      const material = Array.isArray(mesh.material)
+        ? mesh.material[0]
+        : mesh.material;
+      normalMatrix.getNormalMatrix(mesh.matrixWorld);
+
+      obj.push("", `o ${PlanetExport.safeName(mesh.name || "Mesh")}`);
+      for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        const rgb = color
+          ? ` ${PlanetExport.rgb(
+              { r: color.getX(i), g: color.getY(i), b: color.getZ(i) },
+              toSrgb
+            )}`
+          : "";
+        obj.push(`v ${PlanetExport.xyz(vertex)}${rgb}`);
+      }
+      if (uv) {
+        for (let i = 0; i < uv.count; i++) {
+          obj.push(
+            `vt ${PlanetExport.format(uv.getX(i))} ${PlanetExport.format(
+              uv.getY(i)
+            )}`
+          );
+        }
+      }
+      if (normal) {
+        for (let i = 0; i < normal.count; i++) {
+          vertex
+            .fromBufferAttribute(normal, i)
+            .applyMatrix3(normalMatrix)
+            .normalize();
+          obj.push(`vn ${PlanetExport.xyz(vertex)}`);
+        }
+      }
+
+      if (material) {
+        if (!materialNames.has(material)) {
+          const name = PlanetExport.safeName(
+            material.name || `${mesh.name || "Mesh"}Material`
+          );
+          materialNames.set(material, name);
+          mtl.push("", ...PlanetExport.mtlEntry(name, material, toSrgb));
+        }
+        obj.push(`usemtl ${materialNames.get(material)}`);
+      }
+
+      const corner = (index) => {
+        const v = offsets.v + index;
+        const vt = uv ? offsets.vt + index : "";
+        const vn = normal ? offsets.vn + index : "";
+        if (!uv && !normal) return `${v}`;
+        return normal ? `${v}/${vt}/${vn}` : `${v}/${vt}`;
+      };
+      const index = geometry.index;
+      const count = index ? index.count : position.count;
+      for (let i = 0; i < count; i += 3) {
+        const [a, b, c] = [i, i + 1, i + 2].map((k) =>
+          index ? index.getX(k) : k
+        );
+        obj.push(`f ${corner(a)} ${corner(b)} ${corner(c)}`);
+      }
+
+      offsets.v += position.count;
+      offsets.vt += uv ? uv.count : 0;
+      offsets.vn += normal ? normal.count : 0;
+    });
+
+    return { obj: obj.join("\n") + "\n", mtl: mtl.join("\n") + "\n" };
+  }
+
+  static mtlEntry(name, material, toSrgb) {
+    // Vertex colors carry the color; Kd then only tints
+    const diffuse =
+      material.color && !material.vertexColors
+        ? material.color
+        : { r: 1, g: 1, b: 1 };
+    const lines = [
+      `newmtl ${name}`,
+      `Kd ${PlanetExport.rgb(diffuse, toSrgb)}`,
+      `Ka 0 0 0`,
+      `d ${PlanetExport.format(material.transparent ? material.opacity : 1)}`,
+    ];
+
+    if (material.emissive) {
+      lines.push(`Ke ${PlanetExport.rgb(material.emissive, toSrgb)}`);
+    }
+    if (material.roughness !== undefined) {
+      const specular = PlanetExport.format((1 - material.roughness) * 0.5);
+      lines.push(`Ks ${specular} ${specular} ${specular}`, "illum 2");
+    } else {
+      lines.push("Ks 0 0 0", "illum 1");
+    }
+    return lines;
+  }
+
+  // Metadata as comment lines
+  static header(metadata) {
+    return [
+      "# Exported planet model",
+      ...Object.entries(metadata || {}).map(
+        ([key, value]) => `# ${key}: ${JSON.stringify(value)}`
+      ),
+    ];
+  }
+
+  // OBJ colors are sRGB; three's working space is linear when color
+  // management is on
+  static colorEncoder(THREE) {
+    const linear = THREE.ColorManagement && THREE.ColorManagement.enabled;
+    if (!linear) return (c) => c;
+    return (c) =>
+      c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  }
+
+  static rgb(color, toSrgb) {
+    return [color.r, color.g, color.b]
+      .map((c) => PlanetExport.format(toSrgb(c)))
+      .join(" ");
+  }
+
+  static xyz(vector) {
+    return [vector.x, vector.y, vector.z].map(PlanetExport.format).join(" ");
+  }
+
+  static format(value) {
+    return Number(value.toFixed(5)).toString();
+  }
+
+  static safeName(name) {
+    return String(name).replace(/\s+/g, "_");
+  }
+}
+
+globalThis.PlanetExport = PlanetExport;
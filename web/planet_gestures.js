@@ -0,0 +1,320 @@
+// Planet Gestures
+// Pointer, wheel and keyboard input for the 3D viewer's orbit camera, with
+// one code path for mouse, touch and pen (Pointer Events). One pointer
+// drags the planet round and lets it coast on with damped momentum; two
+// fingers pinch to zoom, pan and twist together; a double tap resets the
+// view; the arrow keys turn it and +/- zoom while held (the element takes
+// keyboard focus). The gestures only report motion to the viewer's
+// handlers, which own the view and its limits:
+//   rotate(yaw, pitch) radians, across and down the screen
+//   zoom(factor)       > 1 moves in
+//   pan(dx, dy)        pixels the content should follow
+//   twist(angle)       radians, clockwise on screen
+//   doubleTap()        usually resets the view
+//   reset()            Home
+//   interact()         any input started; stops scripted camera moves
+// The viewer calls step(delta) every frame for momentum and held keys.
+// THREE-independent.
+
+// Radians the planet turns per pixel dragged
+const GESTURE_ROTATE_SPEED = 0.005;
+
+// Momentum decay rate after a release, 1/s; it stops below the minimum
+// speed (rad/s), and a pointer held still this long (ms) before release
+// leaves none
+const GESTURE_DAMPING = 4;
+const GESTURE_MIN_SPEED = 0.01;
+const GESTURE_HOLD_MS = 100;
+
+// Weight of the newest move in the smoothed drag velocity
+const GESTURE_VELOCITY_SMOOTHING = 0.6;
+
+// A tap is a press shorter than this (ms) that moves less than the slop
+// (px); two taps this close in time (ms) and space (px) are a double tap
+const GESTURE_TAP_MS = 250;
+const GESTURE_TAP_SLOP = 10;
+const GESTURE_DOUBLE_TAP_MS = 300;
+const GESTURE_DOUBLE_TAP_SLOP = 30;
+
+// Wheel zoom per pixel of scroll (as a log factor)
+const GESTURE_WHEEL_ZOOM = 0.001;
+
+// Held keys: turn rate (rad/s) and zoom rate (log factor per second)
+const GESTURE_KEY_ROTATE_SPEED = 1.5;
+const GESTURE_KEY_ZOOM_SPEED = 1.2;
+
+// Held keys and what they do: [yaw, pitch] turns or a zoom direction
+const GESTURE_KEYS = {
+  ArrowLeft: { rotate: [-1, 0] },
+  ArrowRight: { rotate: [1, 0] },
+  ArrowUp: { rotate: [0, -1] },
+  ArrowDown: { rotate: [0, 1] },
+  "+": { zoom: 1 },
+  "=": { zoom: 1 },
+  "-": { zoom: -1 },
+  _: { zoom: -1 },
+};
+
+class PlanetGestures {
+  // `touchAction` is what the browser still does with touches on the
+  // element ("none" keeps every gesture; thumbnails in a scrolling list
+  // pass "pan-y"); `keyboard` false leaves the element out of the tab order
+  // and `wheel` false leaves the mouse wheel to scroll the page
+  constructor(
+    element,
+    { handlers, touchAction = "none", keyboard = true, wheel = true } = {}
+  ) {
+    this.element = element;
+    this.handlers = handlers;
+
+    // Pointers down on the element: id -> { x, y } last seen
+    this.pointers = new Map();
+
+    // Drag momentum, rad/s, and when the dragging pointer last moved
+    this.velocity = { x: 0, y: 0 };
+    this.lastMoveTime = 0;
+
+    // Two-finger baseline: distance, angle and midpoint of the pair
+    this.pinch = null;
+
+    // The press that may become a tap, and the last tap
+    this.press = null;
+    this.lastTap = null;
+
+    this.heldKeys = new Set();
+
+    element.style.touchAction = touchAction;
+    if (keyboard) element.tabIndex = 0;
+
+    this.listeners = {
+      pointerdown: (event) => this.onPointerDown(event),
+      pointermove: (event) => this.onPointerMove(event),
+      pointerup: (event) => this.onPointerUp(event),
+      pointercancel: (event) => this.onPointerUp(event, true),
+    };
+    if (wheel) this.listeners.wheel = (event) => this.onWheel(event);
+    if (keyboard) {
+      this.listeners.keydown = (event) => this.onKeyDown(event);
+      this.listeners.keyup = (event) => this.onKeyUp(event);
+      this.listeners.blur = () => this.heldKeys.clear();
+    }
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      element.addEventListener(type, listener, { passive: type !== "wheel" });
+    }
+  }
+
+  // True while any pointer is down
+  get active() {
+    return this.pointers.size > 0;
+  }
+
+  // Coasts after a release and applies held keys, for `delta` seconds
+  step(delta) {
+    if (!this.active) {
+      const speed = Math.hypot(this.velocity.x, this.velocity.y);
+      if (speed < GESTURE_MIN_SPEED) {
+        this.velocity = { x: 0, y: 0 };
+      } else {
+        this.handlers.rotate(this.velocity.x * delta, this.velocity.y * delta);
+        const decay = Math.exp(-GESTURE_DAMPING * delta);
+        this.velocity.x *= decay;
+        this.velocity.y *= decay;
+      }
+    }
+
+    let yaw = 0;
+    let pitch = 0;
+    let zoom = 0;
+    for (const key of this.heldKeys) {
+      const action = GESTURE_KEYS[key];
+      if (action.rotate) {
+        yaw += action.rotate[0];
+        pitch += action.rotate[1];
+      } else {
+        zoom += action.zoom;
+      }
+    }
+    if (yaw || pitch) {
+      const turn = GESTURE_KEY_ROTATE_SPEED * delta;
+      this.handlers.rotate(yaw * turn, pitch * turn);
+    }
+    if (zoom) {
+      this.handlers.zoom(Math.exp(zoom * GESTURE_KEY_ZOOM_SPEED * delta));
+    }
+  }
+
+  // Drops any momentum (e.g. when the viewer takes the camera over)
+  stop() {
+    this.velocity = { x: 0, y: 0 };
+  }
+
+  onPointerDown(event) {
+    // Mouse buttons other than the primary one are left to the page
+    if (event.pointerType === "mouse" && event.button !== 0) return;
+    this.element.setPointerCapture(event.pointerId);
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    this.stop();
+    this.handlers.interact();
+
+    if (this.pointers.size === 1) {
+      this.press = {
+        x: event.clientX,
+        y: event.clientY,
+        time: event.timeStamp,
+      };
+      this.lastMoveTime = event.timeStamp;
+    } else {
+      // A second finger turns the drag into a pinch; it isn't a tap
+      this.press = null;
+      this.pinch = this.measurePinch();
+    }
+  }
+
+  onPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (this.pointers.size === 1) {
+      this.drag(dx, dy, event.timeStamp);
+      return;
+    }
+
+    // Extra fingers beyond the first two only move their own record
+    const next = this.measurePinch();
+    if (!next || !this.pinch) return;
+    if (this.pinch.distance > 0 && next.distance > 0) {
+      this.handlers.zoom(next.distance / this.pinch.distance);
+    }
+    this.handlers.pan(next.x - this.pinch.x, next.y - this.pinch.y);
+    this.handlers.twist(
+      PlanetGestures.wrapAngle(next.angle - this.pinch.angle)
+    );
+    this.pinch = next;
+  }
+
+  onPointerUp(event, cancelled = false) {
+    if (!this.pointers.has(event.pointerId)) return;
+    this.pointers.delete(event.pointerId);
+
+    if (this.pointers.size === 1) {
+      // Back to one finger: it drags on from where it is, without momentum
+      this.pinch = null;
+      this.lastMoveTime = event.timeStamp;
+      return;
+    }
+    if (this.pointers.size > 1) {
+      this.pinch = this.measurePinch();
+      return;
+    }
+
+    // A pointer held still before release leaves no momentum
+    if (cancelled || event.timeStamp - this.lastMoveTime > GESTURE_HOLD_MS) {
+      this.stop();
+    }
+
+    const press = this.press;
+    this.press = null;
+    if (cancelled || !press) return;
+    const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+    const held = event.timeStamp - press.time;
+    if (moved > GESTURE_TAP_SLOP || held > GESTURE_TAP_MS) {
+      this.lastTap = null;
+      return;
+    }
+    this.onTap(press);
+  }
+
+  onTap(tap) {
+    const last = this.lastTap;
+    if (
+      last &&
+      tap.time - last.time < GESTURE_DOUBLE_TAP_MS &&
+      Math.hypot(tap.x - last.x, tap.y - last.y) < GESTURE_DOUBLE_TAP_SLOP
+    ) {
+      this.lastTap = null;
+      this.stop();
+      this.handlers.doubleTap();
+      return;
+    }
+    this.lastTap = tap;
+  }
+
+  // Turns the planet and folds the move into the momentum
+  drag(dx, dy, time) {
+    const yaw = dx * GESTURE_ROTATE_SPEED;
+    const pitch = dy * GESTURE_ROTATE_SPEED;
+    this.handlers.rotate(yaw, pitch);
+
+    const elapsed = (time - this.lastMoveTime) / 1000;
+    this.lastMoveTime = time;
+    if (elapsed <= 0) return;
+    const weight = GESTURE_VELOCITY_SMOOTHING;
+    this.velocity.x = weight * (yaw / elapsed) + (1 - weight) * this.velocity.x;
+    this.velocity.y =
+      weight * (pitch / elapsed) + (1 - weight) * this.velocity.y;
+  }
+
+  onWheel(event) {
+    event.preventDefault();
+    this.handlers.interact();
+    this.handlers.zoom(Math.exp(event.deltaY * GESTURE_WHEEL_ZOOM));
+  }
+
+  onKeyDown(event) {
+    if (event.key === "Home") {
+      event.preventDefault();
+      this.stop();
+      this.handlers.reset();
+      return;
+    }
+    if (!GESTURE_KEYS[event.key]) return;
+    // Arrow keys would otherwise scroll the page
+    event.preventDefault();
+    if (!this.heldKeys.has(event.key)) this.handlers.interact();
+    this.heldKeys.add(event.key);
+  }
+
+  // Shift may come up first and turn "+" into "=", so releasing either
+  // zoom key stops the zoom
+  onKeyUp(event) {
+    const action = GESTURE_KEYS[event.key];
+    if (!action) return;
+    for (const key of this.heldKeys) {
+      if (key === event.key || (action.zoom && GESTURE_KEYS[key].zoom)) {
+        this.heldKeys.delete(key);
+      }
+    }
+  }
+
+  // Distance, angle and midpoint of the first two pointers, or null
+  measurePinch() {
+    const [a, b] = this.pointers.values();
+    if (!a || !b) return null;
+    return {
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+    };
+  }
+
+  dispose() {
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      this.element.removeEventListener(type, listener);
+    }
+    this.pointers.clear();
+    this.heldKeys.clear();
+    this.stop();
+  }
+
+  // Angle difference folded into -PI..PI
+  static wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+}
+
+globalThis.PlanetGestures = PlanetGestures;
@@ -0,0 +1,635 @@
+// Planet Terrain LOD
+// Chunked level of detail for close-up surface inspection. The planet is a
+// cube projected onto the sphere; each cube face is a quadtree of square
+// patches sampled from the same PlanetTerrain as the full mesh. Every frame
+// the patches that look largest from the camera are split first, until
+// they are small enough on screen or the triangle budget is spent, so the
+// cost stays flat from orbit down to low altitude. Patches past the
+// horizon are never refined.
+//
+// Patches are built in the texture worker (see PlanetTextureJobs) and a
+// patch only gives way to its children once all four are built, so the
+// surface never has holes. Where patches of different depth meet, their
+// edges no longer line up; every patch carries a skirt (a strip hanging
+// below each edge) that closes those cracks. THREE is passed in; the patch
+// builder itself is THREE-independent so the worker can run it.
+
+const LOD_DEFAULTS = {
+  resolution: 16, // Quads along a patch edge
+  baseDepth: 1, // Levels built before the LOD shows (4 patches per face)
+  maxDepth: 10,
+  splitRatio: 0.45, // Split while patch size / camera distance exceeds this
+  triangleBudget: 250000,
+  maxCachedPatches: 600,
+};
+
+// Cube faces with u × v = normal, so grid triangles wind counter-clockwise
+// seen from outside
+const LOD_FACES = [
+  { normal: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0] },
+  { normal: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+  { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+  { normal: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+  { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+  { normal: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] },
+];
+
+// Skirt depth in quad widths of the patch
+const LOD_SKIRT_QUADS = 2;
+
+const lodIndexCache = new Map();
+
+class PlanetTerrainLod {
+  // `terrain` is the planet's PlanetTerrain, `material` is shared by every
+  // patch (vertex colors), `jobs` a PlanetTextureJobs
+  constructor(THREE, { terrain, material, jobs, ...options }) {
+    this.THREE = THREE;
+    this.terrain = terrain;
+    this.material = material;
+    this.jobs = jobs;
+    this.options = { ...LOD_DEFAULTS, ...options };
+    this.radius = terrain.planetRadius;
+
+    this.group = new THREE.Group();
+    this.group.name = "TerrainLOD";
+    this.group.visible = false;
+    this.enabled = true;
+    this.loaded = false;
+    this.disposed = false;
+    this.eye = new THREE.Vector3();
+    this.displayed = new Set();
+    this.split = [];
+    this.pending = new Set();
+    this.cached = new Set();
+    this.clock = 0;
+    this.stats = { patches: 0, triangles: 0 };
+
+    this.roots = LOD_FACES.map((face, index) =>
+      this.createNode(index, 0, 0, 0, null)
+    );
+    this.base = this.nodesAtDepth(this.options.baseDepth);
+
+    // Shown once the base level is complete
+    this.ready = Promise.all(this.base.map((node) => this.build(node))).then(
+      () => {
+        if (this.disposed) return;
+        this.loaded = true;
+        this.group.visible = this.enabled;
+      }
+    );
+  }
+
+  get trianglesPerPatch() {
+    const n = this.options.resolution;
+    return 2 * n * n + 8 * n;
+  }
+
+  createNode(face, depth, x, y, parent) {
+    const size = 2 / 2 ** depth;
+    const u0 = -1 + x * size;
+    const v0 = -1 + y * size;
+    const center = PlanetTerrainLod.facePoint(
+      face,
+      u0 + size / 2,
+      v0 + size / 2
+    );
+
+    // Bounding radius on the unit sphere, from the farthest corner
+    let bound = 0;
+    for (const [du, dv] of [
+      [0, 0],
+      [1, 0],
+      [0, 1],
+      [1, 1],
+    ]) {
+      const corner = PlanetTerrainLod.facePoint(
+        face,
+        u0 + du * size,
+        v0 + dv * size
+      );
+      bound = Math.max(
+        bound,
+        Math.hypot(
+          corner.x - center.x,
+          corner.y - center.y,
+          corner.z - center.z
+        )
+      );
+    }
+
+    return {
+      face,
+      depth,
+      x,
+      y,
+      parent,
+      center,
+      bound,
+      children: null,
+      mesh: null,
+      request: null,
+      wantsSplit: false,
+      usedAt: 0,
+    };
+  }
+
+  childrenOf(node) {
+    if (!node.children) {
+      const { face, depth, x, y } = node;
+      node.children = [
+        [0, 0],
+        [1, 0],
+        [0, 1],
+        [1, 1],
+      ].map(([dx, dy]) =>
+        this.createNode(face, depth + 1, x * 2 + dx, y * 2 + dy, node)
+      );
+    }
+    return node.children;
+  }
+
+  nodesAtDepth(depth) {
+    let nodes = this.roots;
+    for (let d = 0; d < depth; d++) {
+      nodes = nodes.flatMap((node) => this.childrenOf(node));
+    }
+    return nodes;
+  }
+
+  // Builds a node's patch in the worker; resolves once its mesh exists
+  build(node) {
+    if (node.mesh) return Promise.resolve();
+    if (node.request) return node.request;
+
+    const n = this.options.resolution;
+    const size = 2 / 2 ** node.depth;
+    const patch = {
+      face: node.face,
+      depth: node.depth,
+      x: node.x,
+      y: node.y,
+      resolution: n,
+      // Quads span roughly (π / 4) * size of a unit sphere
+      skirt: ((LOD_SKIRT_QUADS * Math.PI) / 4) * (size / n) * this.radius,
+    };
+
+    this.pending.add(node);
+    node.request = this.jobs
+      .run("patch", { terrain: this.terrain.options, patch }, { owner: node })
+      .then((data) => {
+        if (this.disposed) return;
+        node.mesh = this.createMesh(node, data);
+        node.usedAt = ++this.clock;
+        this.cached.add(node);
+      })
+      .finally(() => {
+        node.request = null;
+        this.pending.delete(node);
+      });
+    return node.request;
+  }
+
+  createMesh(node, { positions, normals, colors }) {
+    const THREE = this.THREE;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(
+      new THREE.BufferAttribute(
+        PlanetTerrainLod.patchIndex(this.options.resolution),
+        1
+      )
+    );
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = `Patch ${node.face}/${node.depth}/${node.x}/${node.y}`;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.visible = false;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  // Patches on screen (the group also holds hidden, cached ones), e.g. for
+  // raycasting
+  visibleMeshes() {
+    if (!this.group.visible) return [];
+    return [...this.displayed].map((node) => node.mesh);
+  }
+
+  // Hides the patches and stops refining while disabled
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.group.visible = enabled && this.loaded;
+  }
+
+  // Call once per frame, after the camera moved
+  update(camera) {
+    if (this.disposed || !this.group.visible) return;
+
+    camera.updateMatrixWorld();
+    this.group.updateWorldMatrix(true, false);
+    const eye = this.group.worldToLocal(
+      this.eye.setFromMatrixPosition(camera.matrixWorld)
+    );
+    this.selectSplits(eye);
+
+    // Children replace their parent only once all four are built
+    const displayed = new Set();
+    const show = (node) => {
+      if (node.wantsSplit) {
+        const children = this.childrenOf(node);
+        if (children.every((child) => child.mesh)) {
+          children.forEach(show);
+          return;
+        }
+        children.forEach((child) => {
+          this.build(child).catch(() => {});
+        });
+      }
+      displayed.add(node);
+    };
+    this.base.forEach(show);
+
+    for (const node of this.displayed) {
+      if (!displayed.has(node) && node.mesh) node.mesh.visible = false;
+    }
+    for (const node of displayed) {
+      node.mesh.visible = true;
+      node.usedAt = ++this.clock;
+    }
+    this.displayed = displayed;
+    this.stats = {
+      patches: displayed.size,
+      triangles: displayed.size * this.trianglesPerPatch,
+    };
+
+    // Queued builds the camera has moved away from
+    for (const node of this.pending) {
+      if (node.depth > this.options.baseDepth && !node.parent.wantsSplit) {
+        this.jobs.cancel(node);
+      }
+    }
+    this.evict();
+  }
+
+  // Marks the nodes to split: largest on screen first, within the budget
+  selectSplits(eye) {
+    const { maxDepth, splitRatio, triangleBudget } = this.options;
+    const perPatch = this.trianglesPerPatch;
+    const eyeDistance = eye.length();
+    // Cosine of the horizon angle seen from the camera
+    const horizon =
+      eyeDistance > this.radius ? this.radius / eyeDistance : -1;
+
+    this.split.forEach((node) => {
+      node.wantsSplit = false;
+    });
+    this.split = [];
+
+    const queue = [];
+    const enqueue = (node) => {
+      const priority = this.splitPriority(node, eye, eyeDistance, horizon);
+      if (priority > splitRatio && node.depth < maxDepth) {
+        PlanetTerrainLod.heapPush(queue, { node, priority });
+      }
+    };
+    this.base.forEach(enqueue);
+
+    let triangles = this.base.length * perPatch;
+    while (queue.length > 0) {
+      if (triangles + 3 * perPatch > triangleBudget) break;
+      const { node } = PlanetTerrainLod.heapPop(queue);
+      node.wantsSplit = true;
+      this.split.push(node);
+      triangles += 3 * perPatch;
+      this.childrenOf(node).forEach(enqueue);
+    }
+  }
+
+  // Patch size over camera distance; 0 for patches past the horizon
+  splitPriority(node, eye, eyeDistance, horizon) {
+    const relief = this.terrain.model.maxDisplacement;
+    const { center, bound } = node;
+
+    // Angular test: the patch's far edge must reach above the horizon
+    if (eyeDistance > 0) {
+      const cosAngle =
+        (center.x * eye.x + center.y * eye.y + center.z * eye.z) /
+        eyeDistance;
+      const angle = Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+      const reach = Math.acos(Math.max(-1, Math.min(1, horizon))) + bound;
+      if (angle - bound > reach) return 0;
+    }
+
+    const size = bound * this.radius;
+    const distance = Math.hypot(
+      center.x * this.radius - eye.x,
+      center.y * this.radius - eye.y,
+      center.z * this.radius - eye.z
+    );
+    return (2 * size) / Math.max(distance - size - relief, this.radius * 1e-4);
+  }
+
+  // Frees the least recently shown patches beyond the cache size. The base
+  // level stays, and so does every patch the current split still wants
+  // (shown, or waiting for its siblings).
+  evict() {
+    const excess = this.cached.size - this.options.maxCachedPatches;
+    if (excess <= 0) return;
+
+    [...this.cached]
+      .filter(
+        (node) =>
+          node.depth > this.options.baseDepth && !node.parent.wantsSplit
+      )
+      .sort((a, b) => a.usedAt - b.usedAt)
+      .slice(0, excess)
+      .forEach((node) => {
+        this.group.remove(node.mesh);
+        node.mesh.geometry.dispose();
+        node.mesh = null;
+        this.cached.delete(node);
+      });
+  }
+
+  // Geometry only; the material belongs to the caller
+  dispose() {
+    this.disposed = true;
+    this.pending.forEach((node) => this.jobs.cancel(node));
+    this.cached.forEach((node) => node.mesh.geometry.dispose());
+    this.cached.clear();
+    this.group.clear();
+  }
+
+  // Unit-sphere point for face coordinates u, v in [-1, 1]. The cube is
+  // spherified rather than normalized, which keeps patches of one depth
+  // close to the same size.
+  static facePoint(face, u, v) {
+    const { normal, u: uAxis, v: vAxis } = LOD_FACES[face];
+    const x = normal[0] + u * uAxis[0] + v * vAxis[0];
+    const y = normal[1] + u * uAxis[1] + v * vAxis[1];
+    const z = normal[2] + u * uAxis[2] + v * vAxis[2];
+    const x2 = x * x;
+    const y2 = y * y;
+    const z2 = z * z;
+    const point = {
+      x: x * Math.sqrt(Math.max(0, 1 - y2 / 2 - z2 / 2 + (y2 * z2) / 3)),
+      y: y * Math.sqrt(Math.max(0, 1 - z2 / 2 - x2 / 2 + (z2 * x2) / 3)),
+      z: z * Math.sqrt(Math.max(0, 1 - x2 / 2 - y2 / 2 + (x2 * y2) / 3)),
+    };
+    // Border samples outside the face are only close to unit length
+    const length = Math.hypot(point.x, point.y, point.z);
+    point.x /= length;
+    point.y /= length;
+    point.z /= length;
+    return point;
+  }
+
+  // Vertex data of one patch (runs in the worker): the (n + 1)² grid row by
+  // row, then one skirt vertex under each edge vertex. Inside the patch,
+  // normals come from central differences over a one-vertex border. The
+  // border of a face-edge patch lies on the neighboring face's grid only
+  // approximately, so edge normals are sampled around the vertex itself
+  // instead; patches of the same depth then shade seamlessly.
+  static buildPatch(terrain, { face, depth, x, y, resolution, skirt }) {
+    const n = resolution;
+    const side = n + 3;
+    const size = 2 / 2 ** depth;
+    const u0 = -1 + x * size;
+    const v0 = -1 + y * size;
+    const radius = terrain.planetRadius;
+
+    // Surface points and colors including the border
+    const surface = new Float32Array(side * side * 3);
+    const surfaceColors = new Float32Array(side * side * 3);
+    for (let j = 0; j < side; j++) {
+      for (let i = 0; i < side; i++) {
+        const direction = PlanetTerrainLod.facePoint(
+          face,
+          u0 + ((i - 1) / n) * size,
+          v0 + ((j - 1) / n) * size
+        );
+        const { displacement, color } = terrain.sample(direction);
+        const k = (j * side + i) * 3;
+        const r = radius + displacement;
+        surface[k] = direction.x * r;
+        surface[k + 1] = direction.y * r;
+        surface[k + 2] = direction.z * r;
+        surfaceColors[k] = color.r;
+        surfaceColors[k + 1] = color.g;
+        surfaceColors[k + 2] = color.b;
+      }
+    }
+
+    const gridCount = (n + 1) * (n + 1);
+    const count = gridCount + 4 * n;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const at = (i, j) => ((j + 1) * side + (i + 1)) * 3;
+
+    for (let j = 0; j <= n; j++) {
+      for (let i = 0; i <= n; i++) {
+        const k = at(i, j);
+        const east = at(i + 1, j);
+        const west = at(i - 1, j);
+        const north = at(i, j + 1);
+        const south = at(i, j - 1);
+        const du = [0, 1, 2].map((c) => surface[east + c] - surface[west + c]);
+        const dv = [0, 1, 2].map(
+          (c) => surface[north + c] - surface[south + c]
+        );
+        const nx = du[1] * dv[2] - du[2] * dv[1];
+        const ny = du[2] * dv[0] - du[0] * dv[2];
+        const nz = du[0] * dv[1] - du[1] * dv[0];
+        const length = Math.hypot(nx, ny, nz) || 1;
+
+        const o = (j * (n + 1) + i) * 3;
+        for (let c = 0; c < 3; c++) {
+          positions[o + c] = surface[k + c];
+          colors[o + c] = surfaceColors[k + c];
+        }
+        normals[o] = nx / length;
+        normals[o + 1] = ny / length;
+        normals[o + 2] = nz / length;
+      }
+    }
+
+    const step = ((Math.PI / 4) * size) / n;
+    for (const vertex of PlanetTerrainLod.perimeter(n)) {
+      const o = vertex * 3;
+      const length = Math.hypot(
+        positions[o],
+        positions[o + 1],
+        positions[o + 2]
+      );
+      const normal = PlanetTerrainLod.surfaceNormal(
+        terrain,
+        {
+          x: positions[o] / length,
+          y: positions[o + 1] / length,
+          z: positions[o + 2] / length,
+        },
+        step
+      );
+      normals[o] = normal.x;
+      normals[o + 1] = normal.y;
+      normals[o + 2] = normal.z;
+    }
+
+    // Skirt: each edge vertex again, pushed down toward the center
+    PlanetTerrainLod.perimeter(n).forEach((vertex, s) => {
+      const from = vertex * 3;
+      const to = (gridCount + s) * 3;
+      const length = Math.hypot(
+        positions[from],
+        positions[from + 1],
+        positions[from + 2]
+      );
+      const scale = (length - skirt) / length;
+      for (let c = 0; c < 3; c++) {
+        positions[to + c] = positions[from + c] * scale;
+        normals[to + c] = normals[from + c];
+        colors[to + c] = colors[from + c];
+      }
+    });
+
+    return { positions, normals, colors };
+  }
+
+  // Terrain normal at a unit direction from four samples `step` radians
+  // away; the tangents depend only on the direction, not on the face
+  static surfaceNormal(terrain, direction, step) {
+    const { x, y, z } = direction;
+    // Tangent = direction × (an axis not parallel to it)
+    const tangent =
+      Math.abs(x) < 0.9
+        ? { x: 0, y: z, z: -y }
+        : { x: -z, y: 0, z: x };
+    const tangentLength = Math.hypot(tangent.x, tangent.y, tangent.z);
+    tangent.x /= tangentLength;
+    tangent.y /= tangentLength;
+    tangent.z /= tangentLength;
+    const bitangent = {
+      x: y * tangent.z - z * tangent.y,
+      y: z * tangent.x - x * tangent.z,
+      z: x * tangent.y - y * tangent.x,
+    };
+
+    const point = (axis, sign) => {
+      const px = x + axis.x * step * sign;
+      const py = y + axis.y * step * sign;
+      const pz = z + axis.z * step * sign;
+      const length = Math.hypot(px, py, pz);
+      const sample = { x: px / length, y: py / length, z: pz / length };
+      const r = terrain.planetRadius + terrain.sample(sample).displacement;
+      return { x: sample.x * r, y: sample.y * r, z: sample.z * r };
+    };
+    const east = point(tangent, 1);
+    const west = point(tangent, -1);
+    const north = point(bitangent, 1);
+    const south = point(bitangent, -1);
+    const du = { x: east.x - west.x, y: east.y - west.y, z: east.z - west.z };
+    const dv = {
+      x: north.x - south.x,
+      y: north.y - south.y,
+      z: north.z - south.z,
+    };
+
+    const normal = {
+      x: du.y * dv.z - du.z * dv.y,
+      y: du.z * dv.x - du.x * dv.z,
+      z: du.x * dv.y - du.y * dv.x,
+    };
+    const length = Math.hypot(normal.x, normal.y, normal.z) || 1;
+    normal.x /= length;
+    normal.y /= length;
+    normal.z /= length;
+    return normal;
+  }
+
+  // Grid indices of the edge vertices, counter-clockwise seen from outside
+  static perimeter(n) {
+    const row = (i, j) => j * (n + 1) + i;
+    const vertices = [];
+    for (let i = 0; i < n; i++) vertices.push(row(i, 0));
+    for (let j = 0; j < n; j++) vertices.push(row(n, j));
+    for (let i = n; i > 0; i--) vertices.push(row(i, n));
+    for (let j = n; j > 0; j--) vertices.push(row(0, j));
+    return vertices;
+  }
+
+  // Triangle indices shared by every patch of a resolution
+  static patchIndex(n) {
+    if (lodIndexCache.has(n)) return lodIndexCache.get(n);
+
+    const row = (i, j) => j * (n + 1) + i;
+    const indices = [];
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const a = row(i, j);
+        const b = row(i + 1, j);
+        const c = row(i + 1, j + 1);
+        const d = row(i, j + 1);
+        indices.push(a, b, c, a, c, d);
+      }
+    }
+
+    // Skirt quads face outward, away from the patch
+    const perimeter = PlanetTerrainLod.perimeter(n);
+    const skirtStart = (n + 1) * (n + 1);
+    perimeter.forEach((top, s) => {
+      const next = (s + 1) % perimeter.length;
+      const nextTop = perimeter[next];
+      const bottom = skirtStart + s;
+      const nextBottom = skirtStart + next;
+      indices.push(top, bottom, nextTop, nextTop, bottom, nextBottom);
+    });
+
+    const index = new Uint16Array(indices);
+    lodIndexCache.set(n, index);
+    return index;
+  }
+
+  // Max-heap on `priority`
+  static heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority >= heap[i].priority) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  static heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < heap.length && heap[left].priority > heap[largest].priority)
+          largest = left;
+        if (
+          right < heap.length &&
+          heap[right].priority > heap[largest].priority
+        )
+          largest = right;
+        if (largest === i) break;
+        [heap[largest], heap[i]] = [heap[i], heap[largest]];
+        i = largest;
+      }
+    }
+    return top;
+  }
+}
+
+globalThis.PlanetTerrainLod = PlanetTerrainLod;
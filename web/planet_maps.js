@@ -0,0 +1,293 @@
+// Planet Map Baking
+// Samples a viewer's own height, color and cloud functions over a
+// latitude/longitude grid and encodes equirectangular maps for other
+// renderers, print and game engines: albedo (sRGB), height (16-bit
+// grayscale), tangent-space normal and cloud coverage PNGs plus a JSON
+// sidecar describing how to read them.
+//
+// Texel (x, y) samples PlanetNoise.equirectangularPoint at the texel
+// center: the same layout as three's SphereGeometry UVs (west edge at
+// longitude -180°, north pole on the top row), so the maps drop onto any
+// UV sphere. Normal maps use the OpenGL convention: +X east, +Y north.
+// Needs PlanetNoise and PlanetCapture (for file names) loaded first.
+
+const MAPS_DEFAULT_WIDTH = 2048;
+const MAPS_MAX_WIDTH = 8192;
+const MAPS_ROWS_PER_SLICE = 8;
+const MAPS_PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let mapsCrcTable = null;
+
+class PlanetMaps {
+  // `sample(point)` returns { height, color } for a unit-sphere point:
+  // height in the same unit as `radius`, color as sRGB 0-255 channels.
+  // `coverage(point)` (optional) returns cloud cover in 0-1. Yields to the
+  // event loop between row slices so the page stays responsive.
+  static async bake({
+    width = MAPS_DEFAULT_WIDTH,
+    radius,
+    sample,
+    coverage = null,
+    onProgress,
+  }) {
+    const w = PlanetMaps.resolveWidth(width);
+    const h = w / 2;
+    const albedo = new Uint8Array(w * h * 3);
+    const heights = new Float32Array(w * h);
+    const clouds = coverage ? new Uint8Array(w * h) : null;
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+
+    for (let y = 0; y < h; y++) {
+      const v = (y + 0.5) / h;
+      for (let x = 0; x < w; x++) {
+        const point = PlanetNoise.equirectangularPoint((x + 0.5) / w, v);
+        const i = y * w + x;
+        const { height, color } = sample(point);
+
+        heights[i] = height;
+        minHeight = Math.min(minHeight, height);
+        maxHeight = Math.max(maxHeight, height);
+        albedo[i * 3] = PlanetMaps.toByte(color.r);
+        albedo[i * 3 + 1] = PlanetMaps.toByte(color.g);
+        albedo[i * 3 + 2] = PlanetMaps.toByte(color.b);
+        if (clouds) clouds[i] = PlanetMaps.toByte(coverage(point) * 255);
+      }
+
+      if ((y + 1) % MAPS_ROWS_PER_SLICE === 0) {
+        if (onProgress) onProgress((y + 1) / h);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    return {
+      width: w,
+      height: h,
+      radius,
+      albedo,
+      heights,
+      clouds,
+      minHeight,
+      maxHeight,
+    };
+  }
+
+  // Even widths only, so the height is exactly half
+  static resolveWidth(width) {
+    const w = Math.round(width) || MAPS_DEFAULT_WIDTH;
+    return Math.max(2, Math.min(MAPS_MAX_WIDTH, w - (w % 2)));
+  }
+
+  static toByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+  }
+
+  // Tangent-space normals from central height differences, measured in
+  // surface distance (a texel spans less ground toward the poles)
+  static normalMap({ width, height, heights, radius }) {
+    const normals = new Uint8Array(width * height * 3);
+    const northStep = (Math.PI * radius) / height;
+
+    for (let y = 0; y < height; y++) {
+      const latitude = Math.PI / 2 - ((y + 0.5) / height) * Math.PI;
+      const eastStep = (2 * Math.PI * radius * Math.cos(latitude)) / width;
+      const north = Math.max(0, y - 1);
+      const south = Math.min(height - 1, y + 1);
+
+      for (let x = 0; x < width; x++) {
+        const west = (x - 1 + width) % width;
+        const east = (x + 1) % width;
+        const dEast =
+          (heights[y * width + east] - heights[y * width + west]) /
+          (2 * eastStep);
+        const dNorth =
+          (heights[north * width + x] - heights[south * width + x]) /
+          ((south - north) * northStep);
+
+        const length = Math.hypot(dEast, dNorth, 1);
+        const i = (y * width + x) * 3;
+        normals[i] = PlanetMaps.toByte((-dEast / length) * 127.5 + 127.5);
+        normals[i + 1] = PlanetMaps.toByte((-dNorth / length) * 127.5 + 127.5);
+        normals[i + 2] = PlanetMaps.toByte((1 / length) * 127.5 + 127.5);
+      }
+    }
+    return normals;
+  }
+
+  // Heights rescaled from [minHeight, maxHeight] to the full 16-bit range
+  static heightSamples({ heights, minHeight, maxHeight }) {
+    const range = maxHeight - minHeight || 1;
+    const samples = new Uint16Array(heights.length);
+    for (let i = 0; i < heights.length; i++) {
+      samples[i] = Math.round(((heights[i] - minHeight) / range) * 65535);
+    }
+    return samples;
+  }
+
+  // PNG blobs for every baked layer (clouds only when coverage was sampled)
+  static async encode(baked) {
+    const { width, height } = baked;
+    const maps = {
+      albedo: await PlanetMaps.png(width, height, 3, 8, baked.albedo),
+      height: await PlanetMaps.png(
+        width,
+        height,
+        1,
+        16,
+        PlanetMaps.heightSamples(baked)
+      ),
+      normal: await PlanetMaps.png(
+        width,
+        height,
+        3,
+        8,
+        PlanetMaps.normalMap(baked)
+      ),
+    };
+    if (baked.clouds) {
+      maps.clouds = await PlanetMaps.png(width, height, 1, 8, baked.clouds);
+    }
+    return maps;
+  }
+
+  // Sidecar telling other tools how to read the maps; `files` maps layer
+  // names to filenames, `extra` carries the viewer's seed and parameters
+  static metadata(baked, files, extra = {}) {
+    return {
+      ...extra,
+      projection: "equirectangular",
+      layout:
+        "x: longitude -180° to 180° (west edge first), y: latitude 90° to -90°, sampled at texel centers",
+      width: baked.width,
+      height: baked.height,
+      radius: baked.radius,
+      files,
+      heightMap: {
+        bitDepth: 16,
+        min: baked.minHeight,
+        max: baked.maxHeight,
+        decode: "height = min + value / 65535 * (max - min)",
+      },
+      normalMap: {
+        space: "tangent",
+        convention: "OpenGL (+X east, +Y north)",
+      },
+      colorSpace: "sRGB",
+    };
+  }
+
+  // Encodes the maps and names them after the planet: one PNG per layer
+  // plus the JSON sidecar, as [{ filename, blob }]. `extra` must include
+  // the planet `name`.
+  static async toFiles(baked, extra) {
+    const maps = await PlanetMaps.encode(baked);
+    const files = Object.entries(maps).map(([layer, blob]) => ({
+      layer,
+      filename: PlanetCapture.filename(`${extra.name} ${layer}`, baked, "png"),
+      blob,
+    }));
+    const metadata = PlanetMaps.metadata(
+      baked,
+      Object.fromEntries(files.map((file) => [file.layer, file.filename])),
+      extra
+    );
+
+    return [
+      ...files.map(({ filename, blob }) => ({ filename, blob })),
+      {
+        filename: PlanetCapture.filename(`${extra.name} maps`, null, "json"),
+        blob: new Blob([JSON.stringify(metadata, null, 2)], {
+          type: "application/json",
+        }),
+      },
+    ];
+  }
+
+  // Minimal PNG writer: canvases only produce 8-bit RGBA, the height map
+  // needs 16-bit grayscale. `samples` holds `channels` values per pixel.
+  static async png(width, height, channels, bitDepth, samples) {
+    const bytesPerPixel = (channels * bitDepth) / 8;
+    const stride = width * bytesPerPixel;
+    const raw = new Uint8Array((stride + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+      const row = y * (stride + 1);
+      const line = new Uint8Array(stride);
+      if (bitDepth === 16) {
+        for (let i = 0; i < width * channels; i++) {
+          const value = samples[y * width * channels + i];
+          line[i * 2] = value >> 8;
+          line[i * 2 + 1] = value & 0xff;
+        }
+      } else {
+        line.set(samples.subarray(y * stride, (y + 1) * stride));
+      }
+
+      // "Sub" filter: smooth maps compress far better as differences
+      raw[row] = 1;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        raw[row + 1 + i] = (line[i] - left) & 0xff;
+      }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = channels === 3 ? 2 : 0; // Truecolor or grayscale
+
+    return new Blob(
+      [
+        new Uint8Array(MAPS_PNG_SIGNATURE),
+        PlanetMaps.chunk("IHDR", header),
+        PlanetMaps.chunk("IDAT", await PlanetMaps.deflate(raw)),
+        PlanetMaps.chunk("IEND", new Uint8Array(0)),
+      ],
+      { type: "image/png" }
+    );
+  }
+
+  // zlib stream, as PNG requires ("deflate" is zlib-wrapped)
+  static async deflate(bytes) {
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static chunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(
+      8 + data.length,
+      PlanetMaps.crc32(chunk, 4, 8 + data.length)
+    );
+    return chunk;
+  }
+
+  static crc32(bytes, start, end) {
+    if (!mapsCrcTable) {
+      mapsCrcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        mapsCrcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+      crc = mapsCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+globalThis.PlanetMaps = PlanetMaps;
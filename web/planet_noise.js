@@ -0,0 +1,203 @@
+// Procedural Noise Library for planet textures and terrain
+// Seeded 3D simplex noise with fBm, ridged and domain-warped variants.
+// Textures sample the noise on the unit sphere so they wrap with no seams
+// at the 0/360° meridian and no pinching at the poles.
+
+const SIMPLEX_GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+];
+
+const SIMPLEX_F3 = 1 / 3;
+const SIMPLEX_G3 = 1 / 6;
+
+class PlanetNoise {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+
+    // Seeded permutation table (doubled to avoid index wrapping)
+    const random = new SeededRandom(this.seed).fork("noise");
+    const table = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) table[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      const swap = table[i];
+      table[i] = table[j];
+      table[j] = swap;
+    }
+
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = table[i & 255];
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+  }
+
+  // 3D simplex noise, roughly in [-1, 1]
+  noise3(x, y, z) {
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew input space to find the simplex cell
+    const s = (x + y + z) * SIMPLEX_F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * SIMPLEX_G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Which of the six tetrahedra we are in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+      } else if (x0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1;
+      } else {
+        i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1;
+      }
+    } else if (y0 < z0) {
+      i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1;
+    } else if (x0 < z0) {
+      i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1;
+    } else {
+      i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+    }
+
+    const x1 = x0 - i1 + SIMPLEX_G3;
+    const y1 = y0 - j1 + SIMPLEX_G3;
+    const z1 = z0 - k1 + SIMPLEX_G3;
+    const x2 = x0 - i2 + 2 * SIMPLEX_G3;
+    const y2 = y0 - j2 + 2 * SIMPLEX_G3;
+    const z2 = z0 - k2 + 2 * SIMPLEX_G3;
+    const x3 = x0 - 1 + 3 * SIMPLEX_G3;
+    const y3 = y0 - 1 + 3 * SIMPLEX_G3;
+    const z3 = z0 - 1 + 3 * SIMPLEX_G3;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    // Contributions from the four corners
+    let n = 0;
+    let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+    if (t0 > 0) {
+      const g = SIMPLEX_GRADIENTS[permMod12[ii + perm[jj + perm[kk]]]];
+      t0 *= t0;
+      n += t0 * t0 * (g[0] * x0 + g[1] * y0 + g[2] * z0);
+    }
+    let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+    if (t1 > 0) {
+      const g =
+        SIMPLEX_GRADIENTS[permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]];
+      t1 *= t1;
+      n += t1 * t1 * (g[0] * x1 + g[1] * y1 + g[2] * z1);
+    }
+    let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+    if (t2 > 0) {
+      const g =
+        SIMPLEX_GRADIENTS[permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]];
+      t2 *= t2;
+      n += t2 * t2 * (g[0] * x2 + g[1] * y2 + g[2] * z2);
+    }
+    let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+    if (t3 > 0) {
+      const g = SIMPLEX_GRADIENTS[permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]];
+      t3 *= t3;
+      n += t3 * t3 * (g[0] * x3 + g[1] * y3 + g[2] * z3);
+    }
+
+    // Scale to roughly [-1, 1]
+    return 32 * n;
+  }
+
+  // Alias matching the ImprovedNoise interface
+  noise(x, y, z) {
+    return this.noise3(x, y, z);
+  }
+
+  // Fractal Brownian motion, normalized to roughly [-1, 1]
+  fbm(x, y, z, options = {}) {
+    const {
+      octaves = 5,
+      frequency = 1,
+      lacunarity = 2,
+      gain = 0.5,
+    } = options;
+
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    let freq = frequency;
+
+    for (let octave = 0; octave < octaves; octave++) {
+      sum += this.noise3(x * freq, y * freq, z * freq) * amplitude;
+      total += amplitude;
+      amplitude *= gain;
+      freq *= lacunarity;
+    }
+
+    return sum / total;
+  }
+
+  // Ridged multifractal noise in [0, 1] - sharp crests for mountains and cracks
+  ridged(x, y, z, options = {}) {
+    const {
+      octaves = 5,
+      frequency = 1,
+      lacunarity = 2,
+      gain = 0.5,
+    } = options;
+
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    let freq = frequency;
+    let weight = 1;
+
+    for (let octave = 0; octave < octaves; octave++) {
+      let signal = 1 - Math.abs(this.noise3(x * freq, y * freq, z * freq));
+      signal *= signal * weight;
+      weight = Math.min(1, Math.max(0, signal * 2));
+      sum += signal * amplitude;
+      total += amplitude;
+      amplitude *= gain;
+      freq *= lacunarity;
+    }
+
+    return sum / total;
+  }
+
+  // Domain-warped fBm - swirling, continent- and cloud-like shapes
+  warped(x, y, z, options = {}) {
+    const { warp = 0.5, ...fbmOptions } = options;
+    const warpOptions = { ...fbmOptions, octaves: 3 };
+
+    const wx = this.fbm(x + 5.2, y + 1.3, z + 2.8, warpOptions);
+    const wy = this.fbm(x + 1.7, y + 9.2, z + 3.4, warpOptions);
+    const wz = this.fbm(x + 8.3, y + 2.8, z + 7.1, warpOptions);
+
+    return this.fbm(x + warp * wx, y + warp * wy, z + warp * wz, fbmOptions);
+  }
+
+  // Unit-sphere point for equirectangular texture coordinates.
+  // u runs west to east in [0, 1], v runs north to south in [0, 1].
+  // Matches the UV layout of THREE.SphereGeometry with flipY textures.
+  static equirectangularPoint(u, v) {
+    const phi = u * Math.PI * 2;
+    const theta = v * Math.PI;
+    const sinTheta = Math.sin(theta);
+
+    return {
+      x: -Math.cos(phi) * sinTheta,
+      y: Math.cos(theta),
+      z: Math.sin(phi) * sinTheta,
+    };
+  }
+}
+
+globalThis.PlanetNoise = PlanetNoise;
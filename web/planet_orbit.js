@@ -0,0 +1,96 @@
+// Keplerian Orbit Model
+// Places a planet on its elliptical orbit by solving Kepler's equation and
+// provides habitable-zone and Solar System reference data for the system view
+
+const SOLAR_SYSTEM_ORBITS = [
+  { name: "Mercury", semiMajorAxis: 0.387, eccentricity: 0.2056 },
+  { name: "Venus", semiMajorAxis: 0.723, eccentricity: 0.0068 },
+  { name: "Earth", semiMajorAxis: 1.0, eccentricity: 0.0167 },
+  { name: "Mars", semiMajorAxis: 1.524, eccentricity: 0.0934 },
+];
+
+class KeplerOrbit {
+  constructor({ semiMajorAxis, eccentricity, orbitalPeriod, stellarMass }) {
+    this.semiMajorAxis = semiMajorAxis > 0 ? semiMajorAxis : 1.0; // AU
+    this.eccentricity = Math.min(Math.max(eccentricity || 0, 0), 0.99);
+    this.stellarMass = stellarMass > 0 ? stellarMass : 1.0; // Solar masses
+
+    // Fall back to Kepler's third law when the period is unknown
+    this.period =
+      orbitalPeriod > 0
+        ? orbitalPeriod
+        : 365.25 *
+          Math.sqrt(Math.pow(this.semiMajorAxis, 3) / this.stellarMass); // Days
+  }
+
+  get periapsis() {
+    return this.semiMajorAxis * (1 - this.eccentricity);
+  }
+
+  get apoapsis() {
+    return this.semiMajorAxis * (1 + this.eccentricity);
+  }
+
+  // Solve M = E - e·sin(E) for the eccentric anomaly E (Newton-Raphson)
+  static solveKepler(meanAnomaly, eccentricity) {
+    const M = meanAnomaly % (Math.PI * 2);
+    let E = eccentricity < 0.8 ? M : Math.PI;
+
+    for (let i = 0; i < 30; i++) {
+      const delta =
+        (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-10) break;
+    }
+
+    return E;
+  }
+
+  // Position in the orbital plane (AU) with the star at the origin focus
+  // and periapsis along +x, `days` after periapsis passage
+  positionAt(days) {
+    const meanAnomaly = ((Math.PI * 2) / this.period) * days;
+    const E = KeplerOrbit.solveKepler(meanAnomaly, this.eccentricity);
+    return this.positionAtEccentricAnomaly(E);
+  }
+
+  positionAtEccentricAnomaly(E) {
+    const a = this.semiMajorAxis;
+    const e = this.eccentricity;
+    const x = a * (Math.cos(E) - e);
+    const z = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    return {
+      x,
+      z,
+      distance: Math.hypot(x, z),
+      trueAnomaly: Math.atan2(z, x),
+    };
+  }
+
+  // Points along the full ellipse, for drawing the orbit path
+  pathPoints(segments = 256) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      points.push(this.positionAtEccentricAnomaly((i / segments) * Math.PI * 2));
+    }
+    return points;
+  }
+
+  // Conservative habitable zone from the runaway/maximum greenhouse fluxes
+  static habitableZone(luminosity) {
+    return {
+      inner: Math.sqrt(luminosity / 1.1),
+      outer: Math.sqrt(luminosity / 0.53),
+    };
+  }
+
+  static solarSystemOrbits() {
+    return SOLAR_SYSTEM_ORBITS.map((planet) => ({
+      name: planet.name,
+      orbit: new KeplerOrbit({ ...planet, stellarMass: 1.0 }),
+    }));
+  }
+}
+
+globalThis.KeplerOrbit = KeplerOrbit;
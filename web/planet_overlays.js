@@ -0,0 +1,368 @@
+// Planet Data Overlays
+// Scalar fields the full 3D viewer can shade its globe with instead of the
+// biome colors: surface temperature from latitude, insolation and altitude,
+// elevation with contour lines, liquid-water stability, local habitability
+// and predicted ice coverage. Every field comes from the terrain heights
+// (see PlanetTerrain) and the planet data the host sent (`temperature`,
+// `habitability`, `stellarTemperature`, `atmospherePressure`), so it needs
+// no extra input. createMesh() draws a field over a copy of the surface
+// geometry; legend() describes the color bar. THREE is passed in.
+
+// Field id -> legend title, unit, color stops (0-1) and fixed range (null
+// ranges follow the data); `labels` replace the numeric ends of the legend
+const DATA_OVERLAY_FIELDS = {
+  temperature: {
+    label: "Surface temperature",
+    unit: "K",
+    range: null,
+    colors: [
+      [0, 0x313695],
+      [0.25, 0x4575b4],
+      [0.5, 0xffffbf],
+      [0.75, 0xf46d43],
+      [1, 0xa50026],
+    ],
+  },
+  elevation: {
+    label: "Elevation",
+    unit: "km",
+    range: null,
+    contours: true,
+    colors: [
+      [0, 0x08306b],
+      [0.45, 0x6baed6],
+      [0.5, 0x238b45],
+      [0.75, 0xd9c27e],
+      [1, 0xffffff],
+    ],
+  },
+  water: {
+    label: "Liquid water stability",
+    unit: "",
+    // Below 0 freezes, above 1 boils (see conditions())
+    range: [-0.5, 1.5],
+    colors: [
+      [0, 0xe0f3ff],
+      [0.24, 0x9ecae1],
+      [0.26, 0x41ab5d],
+      [0.74, 0x238b45],
+      [0.76, 0xfdae61],
+      [1, 0xd73027],
+    ],
+    labels: [
+      [0.125, "Frozen"],
+      [0.5, "Liquid"],
+      [0.875, "Boiling"],
+    ],
+  },
+  habitability: {
+    label: "Local habitability",
+    unit: "%",
+    range: [0, 100],
+    colors: [
+      [0, 0x2b1d3a],
+      [0.4, 0x7a3e6e],
+      [0.7, 0xd98c3c],
+      [1, 0x7ddb5b],
+    ],
+  },
+  ice: {
+    label: "Predicted ice coverage",
+    unit: "%",
+    range: [0, 100],
+    colors: [
+      [0, 0x4a3b2a],
+      [0.5, 0x8c9fb0],
+      [1, 0xffffff],
+    ],
+  },
+};
+
+// Kilometres of real relief per unit of terrain height at 1 g (the mesh
+// exaggerates relief many times over to stay visible)
+const DATA_OVERLAY_RELIEF_KM = 10;
+
+// Atmospheric lapse rate, K per km of altitude
+const DATA_OVERLAY_LAPSE_RATE = 6.5;
+
+// Water: triple-point pressure (atm), latent heat of vaporization (J/mol)
+const WATER_TRIPLE_POINT_PRESSURE = 0.006;
+const WATER_LATENT_HEAT = 40660;
+
+// Texels in the colormap texture
+const DATA_OVERLAY_COLORMAP_SIZE = 256;
+
+class PlanetOverlays {
+  constructor(terrain) {
+    this.terrain = terrain;
+    this.planetData = terrain.planetData;
+
+    // Without a known surface pressure, worlds with an atmosphere get 1 atm
+    const { atmospherePressure } = this.planetData;
+    this.pressure =
+      atmospherePressure ??
+      (PlanetAppearance.hasAtmosphere(terrain.appearance, this.planetData)
+        ? 1
+        : 0);
+    this.boilingPoint = PlanetOverlays.boilingPoint(this.pressure);
+  }
+
+  static fieldIds() {
+    return Object.keys(DATA_OVERLAY_FIELDS);
+  }
+
+  static field(id) {
+    return DATA_OVERLAY_FIELDS[id] || null;
+  }
+
+  // Every field at a unit direction; `height` is the terrain's relative
+  // height there (PlanetTerrain.sample().height)
+  conditions(direction, height) {
+    const { terrain, planetData } = this;
+    const elevation =
+      (height - terrain.params.seaLevel) *
+      DATA_OVERLAY_RELIEF_KM *
+      terrain.model.gravityFactor;
+
+    // Annual-mean insolation relative to the planet average: the
+    // second-order Legendre fit for Earth-like obliquity, or the cosine of
+    // the star's zenith angle on locked planets, whose night side is held
+    // up by heat carried over from the day side
+    let insolation;
+    if (terrain.isTidallyLocked) {
+      const cosZenith = PlanetTerrain.dot(direction, terrain.substellarPoint);
+      insolation = Math.max(4 * cosZenith, 0.35);
+    } else {
+      const sinLatitude = direction.y;
+      insolation = 1 - (0.482 * (3 * sinLatitude * sinLatitude - 1)) / 2;
+    }
+    const temperature =
+      planetData.temperature * Math.pow(insolation, 0.25) -
+      DATA_OVERLAY_LAPSE_RATE * Math.max(elevation, 0);
+
+    // 0 at the freezing point, 1 at the boiling point; below the triple
+    // point ice sublimes without melting
+    const water =
+      this.pressure < WATER_TRIPLE_POINT_PRESSURE
+        ? temperature < 273.15
+          ? -0.5
+          : 1.5
+        : (temperature - 273.15) / (this.boilingPoint - 273.15);
+
+    // Ice reflects less of a cool star's near-infrared light, so it needs
+    // colder ground to persist around M dwarfs
+    const stellarTemperature = planetData.stellarTemperature ?? 5778;
+    const starWarmth = Math.min(1, Math.max(0.4, stellarTemperature / 5778));
+    const freezing = 273.15 - 10 * (1 - starWarmth);
+    const polarCap = Math.abs(direction.y) > terrain.params.iceCapLatitude;
+    const frozen = PlanetOverlays.smoothstep(
+      freezing + 5,
+      freezing - 15,
+      temperature
+    );
+    const ice = polarCap ? 100 : 100 * frozen;
+
+    // The planet's score where conditions are best, falling off where
+    // water can't stay liquid, away from comfortable temperatures, at
+    // altitude and under stars too dim for photosynthesis
+    const liquid =
+      1 -
+      PlanetOverlays.smoothstep(0, 0.25, Math.max(-water, water - 1, 0));
+    const comfort = Math.exp(-0.5 * Math.pow((temperature - 288) / 40, 2));
+    const altitude = 1 - PlanetOverlays.smoothstep(3, 8, elevation);
+    const light =
+      0.6 + 0.4 * PlanetOverlays.smoothstep(2500, 4500, stellarTemperature);
+    const habitability =
+      (planetData.habitability ?? 100) * liquid * comfort * altitude * light;
+
+    return { temperature, elevation, water, habitability, ice };
+  }
+
+  // A field over the vertices of the displaced surface mesh: values
+  // normalized to the legend range (0-1), the range, and the contour
+  // spacing in normalized units (0 for none)
+  compute(id, positions) {
+    const field = DATA_OVERLAY_FIELDS[id];
+    const { planetRadius, model } = this.terrain;
+    const count = positions.length / 3;
+    const raw = new Float32Array(count);
+    const direction = { x: 0, y: 0, z: 0 };
+
+    for (let v = 0; v < count; v++) {
+      const i = v * 3;
+      const length = Math.hypot(
+        positions[i],
+        positions[i + 1],
+        positions[i + 2]
+      );
+      direction.x = positions[i] / length;
+      direction.y = positions[i + 1] / length;
+      direction.z = positions[i + 2] / length;
+      const height = (length - planetRadius) / model.maxDisplacement;
+      raw[v] = this.conditions(direction, height)[id];
+    }
+
+    let [min, max] = field.range || PlanetOverlays.extent(raw);
+    let contourStep = 0;
+    if (!field.range) {
+      const step = PlanetOverlays.niceStep((max - min) / 10);
+      min = Math.floor(min / step) * step;
+      max = Math.max(min + step, Math.ceil(max / step) * step);
+      if (field.contours) contourStep = step / (max - min);
+    }
+
+    const values = raw.map((value) =>
+      Math.min(1, Math.max(0, (value - min) / (max - min)))
+    );
+    return { values, min, max, contourStep };
+  }
+
+  // Mesh drawing field `id` over `geometry` (the surface mesh's, which is
+  // copied), lit from `material.uniforms.lightDirection` (world, toward
+  // the star); `userData` keeps the field and its range for the legend
+  createMesh(THREE, id, geometry) {
+    const field = DATA_OVERLAY_FIELDS[id];
+    const { values, min, max, contourStep } = this.compute(
+      id,
+      geometry.attributes.position.array
+    );
+    const overlay = geometry.clone();
+    overlay.deleteAttribute("color");
+    overlay.setAttribute("value", new THREE.BufferAttribute(values, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        colormap: { value: PlanetOverlays.colormapTexture(THREE, field) },
+        lightDirection: { value: new THREE.Vector3(1, 0, 0) },
+        contourStep: { value: contourStep },
+      },
+      vertexShader: `
+        attribute float value;
+        varying float vValue;
+        varying vec3 vNormal;
+        void main() {
+          vValue = value;
+          vNormal = normalize(mat3(modelMatrix) * normal);
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D colormap;
+        uniform vec3 lightDirection;
+        uniform float contourStep;
+        varying float vValue;
+        varying vec3 vNormal;
+        void main() {
+          vec3 color = texture2D(colormap, vec2(vValue, 0.5)).rgb;
+          // Relief stays readable; the night side is dimmed, not dark
+          float diffuse = max(dot(normalize(vNormal), lightDirection), 0.0);
+          color *= 0.45 + 0.55 * diffuse;
+          if (contourStep > 0.0) {
+            float level = vValue / contourStep;
+            float distance = abs(fract(level - 0.5) - 0.5);
+            float line = 1.0 - smoothstep(0.0, fwidth(level) * 1.5, distance);
+            color = mix(color, vec3(0.05), line * 0.8);
+          }
+          gl_FragColor = vec4(color, 1.0);
+        }
+      `,
+    });
+
+    const mesh = new THREE.Mesh(overlay, material);
+    mesh.name = "DataOverlay";
+    mesh.userData = { field: id, min, max };
+    return mesh;
+  }
+
+  // Title, CSS gradient and labels (at 0-1 along the bar) of a field's
+  // color bar
+  static legend(id, { min, max }) {
+    const field = DATA_OVERLAY_FIELDS[id];
+    const stops = field.colors.map(
+      ([at, hex]) =>
+        `#${hex.toString(16).padStart(6, "0")} ${(at * 100).toFixed(1)}%`
+    );
+    return {
+      title: field.label,
+      gradient: `linear-gradient(to right, ${stops.join(", ")})`,
+      labels: field.labels || [
+        [0, PlanetOverlays.format(id, min)],
+        [1, PlanetOverlays.format(id, max)],
+      ],
+    };
+  }
+
+  // A field's value for display: with its unit, or the nearest label of
+  // fields with a fixed range and labels (e.g. "Liquid")
+  static format(id, value) {
+    const field = DATA_OVERLAY_FIELDS[id];
+    if (field.labels) {
+      const [min, max] = field.range;
+      const at = (value - min) / (max - min);
+      const nearest = (a, b) => Math.abs(a[0] - at) - Math.abs(b[0] - at);
+      return [...field.labels].sort(nearest)[0][1];
+    }
+    const unit = field.unit ? ` ${field.unit}` : "";
+    return `${Number(value.toPrecision(3))}${unit}`;
+  }
+
+  // Color stops sampled into a texture for the fragment shader
+  static colormapTexture(THREE, field) {
+    const size = DATA_OVERLAY_COLORMAP_SIZE;
+    const data = new Uint8Array(size * 4);
+    const color = new THREE.Color();
+    for (let i = 0; i < size; i++) {
+      PlanetOverlays.colorAt(THREE, field.colors, i / (size - 1), color);
+      data[i * 4] = Math.round(color.r * 255);
+      data[i * 4 + 1] = Math.round(color.g * 255);
+      data[i * 4 + 2] = Math.round(color.b * 255);
+      data[i * 4 + 3] = 255;
+    }
+    const texture = new THREE.DataTexture(data, size, 1);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  static colorAt(THREE, stops, t, target) {
+    const next = stops.findIndex(([at]) => at >= t);
+    if (next === 0) return target.setHex(stops[0][1]);
+    if (next === -1) return target.setHex(stops[stops.length - 1][1]);
+    const [fromAt, from] = stops[next - 1];
+    const [toAt, to] = stops[next];
+    return target
+      .setHex(from)
+      .lerp(new THREE.Color(to), (t - fromAt) / (toAt - fromAt));
+  }
+
+  // Clausius-Clapeyron from 373.15 K at 1 atm
+  static boilingPoint(pressure) {
+    if (pressure < WATER_TRIPLE_POINT_PRESSURE) return 273.15;
+    return 1 / (1 / 373.15 - (8.314 / WATER_LATENT_HEAT) * Math.log(pressure));
+  }
+
+  static extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    return [min, max];
+  }
+
+  // 1, 2 or 5 times a power of ten, at least `step`
+  static niceStep(step) {
+    const power = Math.pow(10, Math.floor(Math.log10(step || 1)));
+    const scaled = step / power;
+    return (scaled <= 1 ? 1 : scaled <= 2 ? 2 : scaled <= 5 ? 5 : 10) * power;
+  }
+
+  static smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+  }
+}
+
+globalThis.PlanetOverlays = PlanetOverlays;
@@ -0,0 +1,463 @@
+// Viewer Message Protocol
+// Versioned postMessage protocol between the Flutter host and the viewer
+// iframes, with origin allow-listing, request/response correlation and
+// structured rejections. The Dart side lives in lib/services/viewer_channel.dart.
+//
+// Every message is an envelope, sent as a JSON string:
+//   { protocol: "astrosynth-viewer", version: 1, type, id?, replyTo?,
+//     channel?, payload }
+//
+// Host -> viewer requests carry a unique `id` and are answered with `ack`
+// (accepted) or `error` (rejected), then with one completion event:
+//   planetData       payload: planet data object            -> rendered
+//   updatePlanet     payload: { planetData, duration? } merged into the
+//                      current planet, changes tweened over `duration`
+//                      ms                                   -> rendered
+//   enhancementCode  payload: { code, fromCache, planetName } -> rendered
+//   aiGeneratedCode  payload: { code, planetData }          -> rendered
+//   getState         payload: {}                            -> stateChanged
+//   capture          payload: { kind: "image" | "turntable", width?, height?,
+//                      transparent?, seconds?, fps? }       -> captured
+//   exportModel      payload: { format: "glb" | "obj" }     -> exported
+//   bakeMaps         payload: { width? } (height is width / 2) -> exported
+//   getAnnotations   payload: {}                   -> annotationsChanged
+//   setAnnotations   payload: { markers: [{ id?, name, latitude,
+//                      longitude, ... }] } replaces the surface markers
+//                                                  -> annotationsChanged
+//   flyTo            payload: { latitude, longitude, altitude? (km),
+//                      duration? (ms) } glides the camera there
+//                                                  -> flightEnded
+//   playTour         payload: { tour? } plays a tour ({ title?, waypoints })
+//                      or the planet's own                -> tourChanged
+//   tourControl      payload: { action: "pause" | "resume" | "skip" |
+//                      "stop" }                           -> tourChanged
+//
+// Viewer -> host events (`replyTo` set when answering a request):
+//   ready          { viewer, version, accepts } once the viewer listens
+//   ack            { type } request accepted
+//   rendered       request finished; viewer-specific summary
+//   error          { code, reason, ...details } request rejected or failed
+//   cameraChanged  { position, target, distance } throttled while moving
+//   stateChanged   viewer-specific state (toggles, biome, system view, ...)
+//   captured       { kind, filename, mimeType, width, height, dataUrl } for
+//                  `capture` requests, or unsolicited from the controls bar
+//   exported       { format, files: [{ filename, mimeType, dataUrl }] } for
+//                  `exportModel` and `bakeMaps` (format "maps") requests or
+//                  the controls bar
+//   annotationsChanged { planet, markers: [{ id, name, latitude, longitude,
+//                  elevation, terrain }] } for the annotation requests, or
+//                  whenever the user adds or removes a marker
+//   flightEnded    { arrived, latitude, longitude, altitude } once a `flyTo`
+//                  flight lands (`arrived` false when it was cut short)
+//   tourChanged    { playing, title, index, count, caption, paused } for
+//                  the tour requests, or as a tour moves between stops,
+//                  pauses and ends
+//
+// Rejection codes: INVALID_MESSAGE, UNSUPPORTED_VERSION, UNKNOWN_TYPE,
+// MISSING_ID, CHANNEL_MISMATCH, INVALID_PAYLOAD. Failures while rendering
+// use the handler's error code (e.g. sandbox codes) or RENDER_FAILED.
+// Messages from origins outside the allow-list are dropped without a reply.
+
+const VIEWER_PROTOCOL = "astrosynth-viewer";
+const VIEWER_PROTOCOL_VERSION = 1;
+
+const VIEWER_CAMERA_THROTTLE_MS = 200;
+const VIEWER_MAX_CODE_LENGTH = 100000;
+const VIEWER_MAX_CAPTURE_SIZE = 16384;
+const VIEWER_MAX_TURNTABLE_SECONDS = 60;
+const VIEWER_MAX_MAP_WIDTH = 8192;
+const VIEWER_MAX_UPDATE_DURATION = 10000;
+const VIEWER_MAX_MARKERS = 500;
+const VIEWER_MAX_FLIGHT_DURATION = 60000;
+const VIEWER_MAX_TOUR_WAYPOINTS = 100;
+const VIEWER_TOUR_ACTIONS = ["pause", "resume", "skip", "stop"];
+
+// Payload checks per request type; return a reason string when invalid
+const VIEWER_REQUEST_VALIDATORS = {
+  planetData: (payload) =>
+    ViewerProtocol.isPlainObject(payload) ? null : "payload must be an object",
+  updatePlanet: (payload) => {
+    if (
+      !ViewerProtocol.isPlainObject(payload) ||
+      !ViewerProtocol.isPlainObject(payload.planetData)
+    ) {
+      return "payload.planetData must be an object";
+    }
+    const { duration } = payload;
+    const valid =
+      typeof duration === "number" &&
+      duration >= 0 &&
+      duration <= VIEWER_MAX_UPDATE_DURATION;
+    return duration === undefined || valid
+      ? null
+      : `payload.duration must be a number in [0, ${VIEWER_MAX_UPDATE_DURATION}]`;
+  },
+  enhancementCode: (payload) => ViewerProtocol.validateCode(payload),
+  aiGeneratedCode: (payload) =>
+    ViewerProtocol.validateCode(payload) ||
+    (ViewerProtocol.isPlainObject(payload.planetData)
+      ? null
+      : "payload.planetData must be an object"),
+  getState: () => null,
+  capture: (payload) => ViewerProtocol.validateCapture(payload),
+  exportModel: (payload) =>
+    ViewerProtocol.isPlainObject(payload) &&
+    ["glb", "obj"].includes(payload.format)
+      ? null
+      : 'payload.format must be "glb" or "obj"',
+  bakeMaps: (payload) => {
+    if (!ViewerProtocol.isPlainObject(payload)) {
+      return "payload must be an object";
+    }
+    const { width } = payload;
+    const valid =
+      typeof width === "number" && width >= 2 && width <= VIEWER_MAX_MAP_WIDTH;
+    return width === undefined || valid
+      ? null
+      : `payload.width must be a number in [2, ${VIEWER_MAX_MAP_WIDTH}]`;
+  },
+  getAnnotations: () => null,
+  setAnnotations: (payload) => ViewerProtocol.validateMarkers(payload),
+  flyTo: (payload) => ViewerProtocol.validateFlight(payload),
+  playTour: (payload) => {
+    if (!ViewerProtocol.isPlainObject(payload)) {
+      return "payload must be an object";
+    }
+    const { tour } = payload;
+    if (tour === undefined) return null;
+    const valid =
+      ViewerProtocol.isPlainObject(tour) &&
+      Array.isArray(tour.waypoints) &&
+      tour.waypoints.length > 0 &&
+      tour.waypoints.length <= VIEWER_MAX_TOUR_WAYPOINTS;
+    return valid
+      ? null
+      : `payload.tour.waypoints must hold 1-${VIEWER_MAX_TOUR_WAYPOINTS} waypoints`;
+  },
+  tourControl: (payload) =>
+    ViewerProtocol.isPlainObject(payload) &&
+    VIEWER_TOUR_ACTIONS.includes(payload.action)
+      ? null
+      : `payload.action must be one of ${VIEWER_TOUR_ACTIONS.join(", ")}`,
+};
+
+// Event sent when a request completes successfully
+const VIEWER_REQUEST_COMPLETIONS = {
+  planetData: "rendered",
+  updatePlanet: "rendered",
+  enhancementCode: "rendered",
+  aiGeneratedCode: "rendered",
+  getState: "stateChanged",
+  capture: "captured",
+  exportModel: "exported",
+  bakeMaps: "exported",
+  getAnnotations: "annotationsChanged",
+  setAnnotations: "annotationsChanged",
+  flyTo: "flightEnded",
+  playTour: "tourChanged",
+  tourControl: "tourChanged",
+};
+
+class ViewerProtocol {
+  // `viewer` names this viewer in `ready`; `handlers` maps the request types
+  // it accepts to functions returning the completion payload (or a promise).
+  // `allowedOrigins` defaults to the viewer's own origin and is only set in
+  // code: the page that frames the viewer picks its URL, so the URL can't
+  // widen it.
+  constructor({ viewer, handlers, allowedOrigins, channel }) {
+    const params = new URLSearchParams(window.location.search);
+
+    this.viewer = viewer;
+    this.handlers = handlers;
+    this.channel = channel ?? params.get("channel");
+    this.allowedOrigins = allowedOrigins || [window.location.origin];
+    this.hostOrigin = null;
+    this.cameraTimer = null;
+    this.pendingCamera = null;
+
+    this.onMessage = (event) => this.handleMessage(event);
+  }
+
+  static isPlainObject(value) {
+    return (
+      value !== null && typeof value === "object" && !Array.isArray(value)
+    );
+  }
+
+  static validateCode(payload) {
+    if (!ViewerProtocol.isPlainObject(payload)) {
+      return "payload must be an object";
+    }
+    if (typeof payload.code !== "string" || payload.code.trim() === "") {
+      return "payload.code must be a non-empty string";
+    }
+    if (payload.code.length > VIEWER_MAX_CODE_LENGTH) {
+      return `payload.code exceeds ${VIEWER_MAX_CODE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  static validateCapture(payload) {
+    if (!ViewerProtocol.isPlainObject(payload)) {
+      return "payload must be an object";
+    }
+    if (!["image", "turntable"].includes(payload.kind)) {
+      return 'payload.kind must be "image" or "turntable"';
+    }
+
+    const limits = {
+      width: VIEWER_MAX_CAPTURE_SIZE,
+      height: VIEWER_MAX_CAPTURE_SIZE,
+      seconds: VIEWER_MAX_TURNTABLE_SECONDS,
+      fps: 60,
+    };
+    for (const [field, max] of Object.entries(limits)) {
+      const value = payload[field];
+      const valid = typeof value === "number" && value > 0 && value <= max;
+      if (value !== undefined && !valid) {
+        return `payload.${field} must be a number in (0, ${max}]`;
+      }
+    }
+    if (
+      payload.transparent !== undefined &&
+      typeof payload.transparent !== "boolean"
+    ) {
+      return "payload.transparent must be a boolean";
+    }
+    return null;
+  }
+
+  static validateMarkers(payload) {
+    if (
+      !ViewerProtocol.isPlainObject(payload) ||
+      !Array.isArray(payload.markers)
+    ) {
+      return "payload.markers must be an array";
+    }
+    if (payload.markers.length > VIEWER_MAX_MARKERS) {
+      return `payload.markers holds at most ${VIEWER_MAX_MARKERS} markers`;
+    }
+    const invalid = payload.markers.findIndex(
+      (marker) =>
+        !ViewerProtocol.isPlainObject(marker) ||
+        typeof marker.latitude !== "number" ||
+        Math.abs(marker.latitude) > 90 ||
+        typeof marker.longitude !== "number" ||
+        Math.abs(marker.longitude) > 180
+    );
+    return invalid === -1
+      ? null
+      : `payload.markers[${invalid}] needs a latitude in [-90, 90] and a ` +
+          "longitude in [-180, 180]";
+  }
+
+  static validateFlight(payload) {
+    if (!ViewerProtocol.isPlainObject(payload)) {
+      return "payload must be an object";
+    }
+    const { latitude, longitude, altitude, duration } = payload;
+    if (
+      typeof latitude !== "number" ||
+      Math.abs(latitude) > 90 ||
+      typeof longitude !== "number" ||
+      Math.abs(longitude) > 180
+    ) {
+      return (
+        "payload needs a latitude in [-90, 90] and a longitude in " +
+        "[-180, 180]"
+      );
+    }
+    if (
+      altitude !== undefined &&
+      !(typeof altitude === "number" && altitude >= 0)
+    ) {
+      return "payload.altitude must be a number >= 0";
+    }
+    const validDuration =
+      typeof duration === "number" &&
+      duration >= 0 &&
+      duration <= VIEWER_MAX_FLIGHT_DURATION;
+    return duration === undefined || validDuration
+      ? null
+      : `payload.duration must be a number in [0, ${VIEWER_MAX_FLIGHT_DURATION}]`;
+  }
+
+  start() {
+    window.addEventListener("message", this.onMessage);
+    this.send("ready", {
+      viewer: this.viewer,
+      version: VIEWER_PROTOCOL_VERSION,
+      accepts: Object.keys(this.handlers),
+    });
+  }
+
+  stop() {
+    window.removeEventListener("message", this.onMessage);
+    clearTimeout(this.cameraTimer);
+  }
+
+  isAllowedOrigin(origin) {
+    return this.allowedOrigins.includes(origin);
+  }
+
+  handleMessage(event) {
+    if (event.source === window) return;
+
+    let message = event.data;
+    if (typeof message === "string") {
+      try {
+        message = JSON.parse(message);
+      } catch (e) {
+        return; // Not ours
+      }
+    }
+    if (!ViewerProtocol.isPlainObject(message)) return;
+    if (message.protocol !== VIEWER_PROTOCOL) return;
+
+    if (!this.isAllowedOrigin(event.origin)) {
+      console.warn(
+        `[PROTOCOL] Dropped ${message.type} from disallowed origin ${event.origin}`
+      );
+      return;
+    }
+
+    const reply = { source: event.source, origin: event.origin };
+    const reason = this.validate(message);
+    if (reason) {
+      console.warn(`[PROTOCOL] Rejected ${message.type}: ${reason.reason}`);
+      this.send("error", reason, { ...reply, replyTo: message.id });
+      return;
+    }
+
+    this.hostOrigin = event.origin;
+    this.dispatch(message, reply);
+  }
+
+  // Returns { code, reason } when the message must be rejected
+  validate(message) {
+    if (message.version !== VIEWER_PROTOCOL_VERSION) {
+      return {
+        code: "UNSUPPORTED_VERSION",
+        reason: `version ${message.version} is not supported (expected ${VIEWER_PROTOCOL_VERSION})`,
+      };
+    }
+    if (typeof message.type !== "string" || !message.type) {
+      return { code: "INVALID_MESSAGE", reason: "type must be a string" };
+    }
+    if (!this.handlers[message.type]) {
+      return {
+        code: "UNKNOWN_TYPE",
+        reason: `${this.viewer} does not accept "${message.type}"`,
+      };
+    }
+    if (typeof message.id !== "string" || !message.id) {
+      return {
+        code: "MISSING_ID",
+        reason: "requests need a string id for correlation",
+      };
+    }
+    if (this.channel && message.channel !== this.channel) {
+      return {
+        code: "CHANNEL_MISMATCH",
+        reason: `message is for channel "${message.channel}", this viewer is "${this.channel}"`,
+      };
+    }
+
+    const payloadReason = VIEWER_REQUEST_VALIDATORS[message.type](
+      message.payload
+    );
+    if (payloadReason) {
+      return { code: "INVALID_PAYLOAD", reason: payloadReason };
+    }
+    return null;
+  }
+
+  async dispatch(message, reply) {
+    const target = { ...reply, replyTo: message.id };
+    this.send("ack", { type: message.type }, target);
+
+    try {
+      const result = await this.handlers[message.type](message.payload);
+      this.send(VIEWER_REQUEST_COMPLETIONS[message.type], result || {}, target);
+    } catch (error) {
+      console.error(`[PROTOCOL] ${message.type} failed:`, error);
+      this.send("error", ViewerProtocol.describeFailure(error), target);
+    }
+  }
+
+  // Handler errors may carry a `code` and structured `details`
+  static describeFailure(error) {
+    return {
+      code: (error && error.code) || "RENDER_FAILED",
+      reason: error && error.message ? error.message : String(error),
+      ...(error && error.details),
+    };
+  }
+
+  // Error that handlers throw to report a structured failure
+  static failure(code, reason, details = {}) {
+    const error = new Error(reason);
+    error.code = code;
+    error.details = details;
+    return error;
+  }
+
+  // Replies go to the requesting window; unsolicited events to the parent,
+  // addressed to the last host origin (or every allowed origin until then)
+  send(type, payload, { source, origin, replyTo } = {}) {
+    const target = source || window.parent;
+    if (!target || target === window) return;
+
+    const message = JSON.stringify({
+      protocol: VIEWER_PROTOCOL,
+      version: VIEWER_PROTOCOL_VERSION,
+      type,
+      ...(replyTo ? { replyTo } : {}),
+      ...(this.channel ? { channel: this.channel } : {}),
+      payload,
+    });
+
+    const origins = origin
+      ? [origin]
+      : this.hostOrigin
+      ? [this.hostOrigin]
+      : this.allowedOrigins;
+    for (const targetOrigin of origins) {
+      // Opaque origins (file://) can only be addressed with "*"
+      target.postMessage(
+        message,
+        targetOrigin === "null" ? "*" : targetOrigin
+      );
+    }
+  }
+
+  sendState(state) {
+    this.send("stateChanged", state);
+  }
+
+  // Throttled: at most one cameraChanged per interval, always ending on the
+  // latest position
+  sendCamera(camera) {
+    this.pendingCamera = camera;
+    if (this.cameraTimer) return;
+
+    this.send("cameraChanged", camera);
+    this.pendingCamera = null;
+    this.cameraTimer = setTimeout(() => {
+      this.cameraTimer = null;
+      if (this.pendingCamera) this.sendCamera(this.pendingCamera);
+    }, VIEWER_CAMERA_THROTTLE_MS);
+  }
+
+  // Camera summary from a three.js camera and OrbitControls-style target
+  static describeCamera(camera, target) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+      position: camera.position.toArray().map(round),
+      target: target.toArray().map(round),
+      distance: round(camera.position.distanceTo(target)),
+    };
+  }
+}
+
+globalThis.ViewerProtocol = ViewerProtocol;
@@ -0,0 +1,104 @@
+// Seeded Random Number Generator for planet rendering
+// Every renderer derives its randomness from the planet identity so the same
+// planet looks identical in thumbnails, detail views and shared screenshots
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Derive a stable seed from planet data.
+  // An explicit `seed` field wins; otherwise name plus physical parameters.
+  static seedFromPlanet(planetData) {
+    const data = planetData || {};
+
+    if (typeof data.seed === "number" && Number.isFinite(data.seed)) {
+      return Math.floor(data.seed) >>> 0;
+    }
+    if (typeof data.seed === "string" && data.seed.length > 0) {
+      return SeededRandom.hashString(data.seed);
+    }
+
+    const identity = [
+      data.name || "Unknown",
+      data.biome || "",
+      SeededRandom.formatParameter(data.temperature),
+      SeededRandom.formatParameter(data.mass),
+      SeededRandom.formatParameter(data.radius),
+    ].join("|");
+
+    return SeededRandom.hashString(identity);
+  }
+
+  // Seed after merging `changes` over a planet's data. Only a new name or
+  // an explicit seed makes a different planet; physical tweaks
+  // (temperature, mass, radius, biome) keep its terrain.
+  static seedForUpdate(planetData, changes) {
+    const current = SeededRandom.seedFromPlanet(planetData);
+    const next = changes || {};
+    if (next.seed != null) {
+      return SeededRandom.seedFromPlanet({ seed: next.seed });
+    }
+    if (next.name !== undefined && next.name !== (planetData || {}).name) {
+      return SeededRandom.seedFromPlanet({
+        ...planetData,
+        ...next,
+        seed: null,
+      });
+    }
+    return current;
+  }
+
+  static fromPlanet(planetData) {
+    return new SeededRandom(SeededRandom.seedFromPlanet(planetData));
+  }
+
+  // FNV-1a 32-bit string hash
+  static hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Round parameters so tiny float differences between hosts don't change the seed
+  static formatParameter(value) {
+    return typeof value === "number" && Number.isFinite(value)
+      ? value.toFixed(3)
+      : "";
+  }
+
+  // Mulberry32 - returns a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Independent stream for one feature, so adding draws elsewhere
+  // doesn't change how this feature looks
+  fork(label) {
+    return new SeededRandom(
+      SeededRandom.hashString(`${this.seed}:${label}`)
+    );
+  }
+}
+
+globalThis.SeededRandom = SeededRandom;
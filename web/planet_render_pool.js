@@ -0,0 +1,158 @@
+// Planet Render Pool
+// One offscreen WebGL context shared by many planet tiles. Browsers cap live
+// WebGL contexts (around 16) and drop the oldest, so grids of 3D planets
+// render each tile's scene in turn with the shared renderer and copy the
+// frame into the tile's own 2D canvas. Each animation frame serves a few
+// tiles: visible ones first, stalest first (round robin). Scenes of tiles
+// that stay offscreen are released least recently used first and rebuilt
+// when they scroll back into view. THREE is passed in.
+//
+// A tile is any object with:
+//   canvas          2D canvas the frame is copied into; its size is the
+//                   render size
+//   scene, camera   what to draw (scene is null while released)
+//   buildScene()    recreates the scene after a release
+//   releaseScene()  frees the scene's GPU resources
+//   advance(delta)  optional; advances the tile's animation by `delta` s
+
+const POOL_DEFAULTS = { maxScenes: 12, framesPerTick: 4 };
+const POOL_MAX_DELTA = 0.25;
+
+class PlanetRenderPool {
+  constructor(THREE, options = {}) {
+    this.THREE = THREE;
+    this.maxScenes = options.maxScenes || POOL_DEFAULTS.maxScenes;
+    this.framesPerTick = options.framesPerTick || POOL_DEFAULTS.framesPerTick;
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    this.renderer.setPixelRatio(1);
+    this.entries = new Map();
+    this.frameId = null;
+    this.suspended = 0;
+    this.clock = 0;
+
+    this.observer =
+      typeof IntersectionObserver === "undefined"
+        ? null
+        : new IntersectionObserver((records) =>
+            records.forEach((record) => this.onIntersection(record))
+          );
+    this.tick = () => {
+      this.frameId = requestAnimationFrame(this.tick);
+      if (this.suspended === 0) this.renderNext();
+    };
+  }
+
+  // Tiles count as visible until the observer reports otherwise
+  add(tile) {
+    if (this.entries.has(tile)) return;
+
+    this.entries.set(tile, {
+      tile,
+      visible: this.observer === null,
+      renderedAt: null,
+      servedAt: 0,
+      usedAt: ++this.clock,
+      context: null,
+    });
+    if (this.observer) this.observer.observe(tile.canvas);
+    if (this.frameId === null) {
+      this.frameId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  remove(tile) {
+    if (!this.entries.delete(tile)) return;
+
+    if (this.observer) this.observer.unobserve(tile.canvas);
+    if (this.entries.size === 0) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  // Exclusive use of the shared renderer (e.g. a turntable recording);
+  // calls nest
+  suspend() {
+    this.suspended++;
+  }
+
+  resume() {
+    this.suspended = Math.max(0, this.suspended - 1);
+  }
+
+  onIntersection(record) {
+    for (const entry of this.entries.values()) {
+      if (entry.tile.canvas !== record.target) continue;
+      entry.visible = record.isIntersecting;
+      if (entry.visible) entry.usedAt = ++this.clock;
+    }
+  }
+
+  // Visible tiles, stalest first; offscreen tiles only until they have
+  // their first frame
+  queue() {
+    return [...this.entries.values()]
+      .filter((entry) => entry.visible || entry.renderedAt === null)
+      .sort(
+        (a, b) =>
+          Number(b.visible) - Number(a.visible) || a.servedAt - b.servedAt
+      );
+  }
+
+  renderNext() {
+    const now = performance.now();
+    this.queue()
+      .slice(0, this.framesPerTick)
+      .forEach((entry) => this.renderEntry(entry, now));
+    this.evict();
+  }
+
+  renderEntry(entry, now) {
+    const { tile } = entry;
+    const { width, height } = tile.canvas;
+    if (width === 0 || height === 0) return;
+
+    if (!tile.scene) tile.buildScene();
+    if (tile.advance) {
+      const delta =
+        entry.renderedAt === null ? 0 : (now - entry.renderedAt) / 1000;
+      tile.advance(Math.min(delta, POOL_MAX_DELTA));
+    }
+
+    const size = this.renderer.getSize(new this.THREE.Vector2());
+    if (size.x !== width || size.y !== height) {
+      this.renderer.setSize(width, height, false);
+    }
+    this.renderer.render(tile.scene, tile.camera);
+
+    // Copy before the browser composites and clears the drawing buffer
+    entry.context = entry.context || tile.canvas.getContext("2d");
+    entry.context.clearRect(0, 0, width, height);
+    entry.context.drawImage(this.renderer.domElement, 0, 0);
+
+    entry.renderedAt = now;
+    entry.servedAt = entry.usedAt = ++this.clock;
+  }
+
+  // Releases least recently used offscreen scenes beyond `maxScenes`;
+  // visible tiles always keep theirs
+  evict() {
+    const live = [...this.entries.values()].filter(
+      (entry) => entry.tile.scene
+    );
+    let excess = live.length - this.maxScenes;
+    if (excess <= 0) return;
+
+    live
+      .filter((entry) => !entry.visible)
+      .sort((a, b) => a.usedAt - b.usedAt)
+      .forEach((entry) => {
+        if (excess <= 0) return;
+        entry.tile.releaseScene();
+        excess--;
+      });
+  }
+}
+
+globalThis.PlanetRenderPool = PlanetRenderPool;
@@ -0,0 +1,581 @@
+// AI Code Sandbox
+// Runs model-generated Three.js code in an isolated worker with no DOM or
+// network access. The worker only records a scene description through a
+// capability-limited stand-in for THREE; the host validates that description
+// and builds the real objects, within time and object budgets.
+
+const SANDBOX_DEFAULT_BUDGETS = {
+  timeMs: 3000,
+  objects: 300, // Objects, geometries, materials and textures combined
+  vertices: 500000,
+  texturePixels: 2048 * 2048,
+};
+
+// Failures resolve as { ok: false, error: { code, message, line, column } }:
+//   SYNTAX           code failed to compile
+//   RUNTIME          code threw while running
+//   TIMEOUT          time budget exceeded, worker terminated
+//   BUDGET           object, vertex or texture budget exceeded
+//   CAPABILITY       code used an API the sandbox does not expose
+//   ENTRY_NOT_FOUND  expected entry function was not defined
+//   INVALID_RESULT   scene description failed host validation
+//   CANCELLED        superseded by a newer run
+//   UNAVAILABLE      worker could not be started
+
+function sandboxSegments(value, min) {
+  return Math.max(min, Math.floor(value));
+}
+
+// Geometry constructors the sandbox exposes, with a vertex count estimate from
+// the constructor arguments (defaults follow three.js)
+const SANDBOX_GEOMETRIES = {
+  BoxGeometry: (w, h, d, ws = 1, hs = 1, ds = 1) => {
+    const x = sandboxSegments(ws, 1) + 1;
+    const y = sandboxSegments(hs, 1) + 1;
+    const z = sandboxSegments(ds, 1) + 1;
+    return 2 * (x * y + x * z + y * z);
+  },
+  CircleGeometry: (r, segments = 32) => sandboxSegments(segments, 3) + 2,
+  ConeGeometry: (r, h, radial = 32, heightSegments = 1) =>
+    SANDBOX_GEOMETRIES.CylinderGeometry(0, r, h, radial, heightSegments),
+  CylinderGeometry: (rt, rb, h, radial = 32, heightSegments = 1) => {
+    const radialCount = sandboxSegments(radial, 3);
+    return (
+      (radialCount + 1) * (sandboxSegments(heightSegments, 1) + 1) +
+      2 * (radialCount * 2 + 1)
+    );
+  },
+  DodecahedronGeometry: (r, detail = 0) =>
+    108 * Math.pow(sandboxSegments(detail, 0) + 1, 2),
+  IcosahedronGeometry: (r, detail = 0) =>
+    60 * Math.pow(sandboxSegments(detail, 0) + 1, 2),
+  OctahedronGeometry: (r, detail = 0) =>
+    24 * Math.pow(sandboxSegments(detail, 0) + 1, 2),
+  PlaneGeometry: (w, h, ws = 1, hs = 1) =>
+    (sandboxSegments(ws, 1) + 1) * (sandboxSegments(hs, 1) + 1),
+  RingGeometry: (inner, outer, theta = 32, phi = 1) =>
+    (sandboxSegments(theta, 3) + 1) * (sandboxSegments(phi, 1) + 1),
+  SphereGeometry: (r, ws = 32, hs = 16) =>
+    (sandboxSegments(ws, 3) + 1) * (sandboxSegments(hs, 2) + 1),
+  TetrahedronGeometry: (r, detail = 0) =>
+    12 * Math.pow(sandboxSegments(detail, 0) + 1, 2),
+  TorusGeometry: (r, tube, radial = 12, tubular = 48) =>
+    (sandboxSegments(radial, 2) + 1) * (sandboxSegments(tubular, 3) + 1),
+  TorusKnotGeometry: (r, tube, tubular = 64, radial = 8) =>
+    (sandboxSegments(tubular, 3) + 1) * (sandboxSegments(radial, 3) + 1),
+};
+
+const SANDBOX_GEOMETRY_OPS = [
+  "rotateX",
+  "rotateY",
+  "rotateZ",
+  "translate",
+  "scale",
+];
+
+const SANDBOX_BUFFER_ATTRIBUTES = ["position", "normal", "color", "uv", "size"];
+
+const SANDBOX_MATERIALS = [
+  "MeshBasicMaterial",
+  "MeshLambertMaterial",
+  "MeshPhongMaterial",
+  "MeshStandardMaterial",
+  "MeshPhysicalMaterial",
+  "PointsMaterial",
+  "LineBasicMaterial",
+];
+
+const SANDBOX_MATERIAL_PARAMS = [
+  "color",
+  "emissive",
+  "emissiveIntensity",
+  "specular",
+  "shininess",
+  "roughness",
+  "metalness",
+  "opacity",
+  "transparent",
+  "side",
+  "blending",
+  "depthWrite",
+  "depthTest",
+  "wireframe",
+  "flatShading",
+  "vertexColors",
+  "map",
+  "bumpMap",
+  "bumpScale",
+  "emissiveMap",
+  "alphaMap",
+  "normalMap",
+  "roughnessMap",
+  "size",
+  "sizeAttenuation",
+  "alphaTest",
+  "fog",
+  "linewidth",
+];
+
+// Material properties AI code may change on the host's own planet mesh
+const SANDBOX_PLANET_MATERIAL_PARAMS = [
+  "color",
+  "emissive",
+  "emissiveIntensity",
+  "specular",
+  "shininess",
+  "roughness",
+  "metalness",
+  "opacity",
+  "transparent",
+  "wireframe",
+  "flatShading",
+];
+
+const SANDBOX_OBJECTS = [
+  "Group",
+  "Object3D",
+  "Mesh",
+  "Points",
+  "Line",
+  "LineLoop",
+  "LineSegments",
+];
+
+// Light constructors and the properties passed as their arguments, in order
+const SANDBOX_LIGHTS = {
+  AmbientLight: ["color", "intensity"],
+  DirectionalLight: ["color", "intensity"],
+  PointLight: ["color", "intensity", "distance", "decay"],
+  HemisphereLight: ["color", "groundColor", "intensity"],
+};
+
+// three.js constants (identical values in every release the viewers use)
+const SANDBOX_CONSTANTS = {
+  FrontSide: 0,
+  BackSide: 1,
+  DoubleSide: 2,
+  NoBlending: 0,
+  NormalBlending: 1,
+  AdditiveBlending: 2,
+  SubtractiveBlending: 3,
+  MultiplyBlending: 4,
+  RepeatWrapping: 1000,
+  ClampToEdgeWrapping: 1001,
+  MirroredRepeatWrapping: 1002,
+};
+
+// Resolved against this script so pages in other directories find the worker
+const SANDBOX_WORKER_URL =
+  typeof document !== "undefined" && document.currentScript
+    ? new URL("planet_sandbox_worker.js", document.currentScript.src).href
+    : "planet_sandbox_worker.js";
+
+class SandboxError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "SandboxError";
+    this.code = code;
+    this.line = details.line;
+    this.column = details.column;
+  }
+}
+
+class PlanetSandbox {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || SANDBOX_WORKER_URL;
+    this.budgets = { ...SANDBOX_DEFAULT_BUDGETS, ...options.budgets };
+    this.job = null;
+  }
+
+  // Run `code` in a fresh worker and call its `entry` function.
+  // Resolves with { ok: true, description, warnings } or { ok: false, error };
+  // never rejects. Starting a new run cancels the previous one.
+  run({ code, entry, capabilities = {}, context = {} }) {
+    this.cancel();
+
+    return new Promise((resolve) => {
+      let worker;
+      try {
+        worker = new Worker(this.workerUrl);
+      } catch (error) {
+        resolve(PlanetSandbox.failure("UNAVAILABLE", error.message));
+        return;
+      }
+
+      const channel = new MessageChannel();
+      const job = {};
+      let timer = null;
+
+      job.finish = (outcome) => {
+        if (job.done) return;
+        job.done = true;
+        clearTimeout(timer);
+        worker.terminate();
+        channel.port1.close();
+        if (this.job === job) this.job = null;
+        resolve(outcome);
+      };
+      this.job = job;
+
+      timer = setTimeout(() => {
+        job.finish(
+          PlanetSandbox.failure(
+            "TIMEOUT",
+            `Code did not finish within ${this.budgets.timeMs} ms`
+          )
+        );
+      }, this.budgets.timeMs);
+
+      // Replies arrive on a private port; the worker's own postMessage is
+      // reachable by the sandboxed code, so it is never listened to
+      channel.port1.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === "result") {
+          job.finish({
+            ok: true,
+            description: message.description,
+            warnings: message.description.warnings || [],
+          });
+        } else if (message.type === "error") {
+          job.finish({ ok: false, error: message.error });
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        job.finish(
+          PlanetSandbox.failure(
+            "UNAVAILABLE",
+            event.message || "Sandbox worker failed to start"
+          )
+        );
+      };
+
+      worker.postMessage(
+        {
+          type: "run",
+          code: String(code || ""),
+          entry,
+          capabilities,
+          context,
+          budgets: this.budgets,
+        },
+        [channel.port2]
+      );
+    });
+  }
+
+  cancel() {
+    if (this.job) {
+      this.job.finish(
+        PlanetSandbox.failure("CANCELLED", "Superseded by newer code")
+      );
+    }
+  }
+
+  // Build real three.js objects from a scene description.
+  // `targets` holds the host objects the sandbox handles stand for:
+  // { scene, planet, camera, controls }. Objects the code added to its scene
+  // go into the returned `group`; the caller decides where to attach it.
+  materialize(description, THREE, targets = {}) {
+    const created = [];
+    try {
+      return this.build(description, THREE, targets, created);
+    } catch (error) {
+      created.forEach((resource) => resource.dispose());
+      throw error;
+    }
+  }
+
+  build(description, THREE, targets, created) {
+    const planetChildren = [];
+    const budgets = this.budgets;
+
+    const textures = new Map();
+    const geometries = new Map();
+    const materials = new Map();
+    const nodes = new Map();
+
+    const itemCount =
+      description.nodes.length +
+      description.geometries.length +
+      description.materials.length +
+      description.textures.length;
+    if (itemCount > budgets.objects) {
+      throw new SandboxError(
+        "BUDGET",
+        `Scene has ${itemCount} items, budget is ${budgets.objects}`
+      );
+    }
+
+    let pixels = 0;
+    for (const entry of description.textures) {
+      const size = [entry.width, entry.height];
+      if (!size.every((n) => Number.isInteger(n) && n > 0)) {
+        throw new SandboxError("INVALID_RESULT", "Malformed texture size");
+      }
+      pixels += entry.width * entry.height;
+      if (pixels > budgets.texturePixels) {
+        throw new SandboxError("BUDGET", "Texture pixel budget exceeded");
+      }
+
+      let texture;
+      if (entry.bitmap) {
+        const canvas = document.createElement("canvas");
+        canvas.width = entry.width;
+        canvas.height = entry.height;
+        canvas.getContext("2d").drawImage(entry.bitmap, 0, 0);
+        entry.bitmap.close();
+        texture = new THREE.CanvasTexture(canvas);
+      } else if (
+        entry.data &&
+        entry.data.length === entry.width * entry.height * 4
+      ) {
+        texture = new THREE.DataTexture(entry.data, entry.width, entry.height);
+      } else {
+        throw new SandboxError("INVALID_RESULT", "Malformed texture data");
+      }
+
+      texture.wrapS = entry.wrapS;
+      texture.wrapT = entry.wrapT;
+      texture.repeat.set(entry.repeat[0], entry.repeat[1]);
+      texture.needsUpdate = true;
+      textures.set(entry.id, texture);
+      created.push(texture);
+    }
+
+    const decode = (value) =>
+      PlanetSandbox.decodeValue(value, THREE, textures);
+
+    let vertices = 0;
+    for (const entry of description.geometries) {
+      let geometry;
+      if (entry.type === "BufferGeometry") {
+        geometry = new THREE.BufferGeometry();
+        created.push(geometry);
+        for (const [name, attribute] of Object.entries(entry.attributes)) {
+          if (!SANDBOX_BUFFER_ATTRIBUTES.includes(name)) continue;
+          geometry.setAttribute(
+            name,
+            new THREE.Float32BufferAttribute(attribute.array, attribute.itemSize)
+          );
+        }
+        if (entry.index) {
+          geometry.setIndex(new THREE.Uint32BufferAttribute(entry.index, 1));
+        }
+        if (entry.computeNormals) {
+          geometry.computeVertexNormals();
+        }
+        vertices += geometry.getAttribute("position")?.count || 0;
+        if (vertices > budgets.vertices) {
+          throw new SandboxError("BUDGET", "Vertex budget exceeded");
+        }
+      } else if (SANDBOX_GEOMETRIES[entry.type]) {
+        if (!PlanetSandbox.isPlainArguments(entry.args)) {
+          throw new SandboxError(
+            "INVALID_RESULT",
+            `Invalid ${entry.type} arguments`
+          );
+        }
+        // Checked before construction so oversized geometry is never built
+        vertices += SANDBOX_GEOMETRIES[entry.type](...entry.args);
+        if (vertices > budgets.vertices) {
+          throw new SandboxError("BUDGET", "Vertex budget exceeded");
+        }
+        geometry = new THREE[entry.type](...entry.args);
+        created.push(geometry);
+      } else {
+        throw new SandboxError(
+          "INVALID_RESULT",
+          `Geometry type ${entry.type} is not allowed`
+        );
+      }
+
+      for (const { op, args } of entry.ops) {
+        if (
+          SANDBOX_GEOMETRY_OPS.includes(op) &&
+          PlanetSandbox.isPlainArguments(args)
+        ) {
+          geometry[op](...args);
+        }
+      }
+
+      geometries.set(entry.id, geometry);
+    }
+
+    for (const entry of description.materials) {
+      if (!SANDBOX_MATERIALS.includes(entry.type)) {
+        throw new SandboxError(
+          "INVALID_RESULT",
+          `Material type ${entry.type} is not allowed`
+        );
+      }
+
+      const params = {};
+      for (const [key, value] of Object.entries(entry.params)) {
+        if (!SANDBOX_MATERIAL_PARAMS.includes(key)) continue;
+        params[key] = decode(value);
+      }
+
+      const material = new THREE[entry.type](params);
+      materials.set(entry.id, material);
+      created.push(material);
+    }
+
+    for (const entry of description.nodes) {
+      let object;
+      if (SANDBOX_LIGHTS[entry.type]) {
+        object = new THREE[entry.type](...entry.args.map(decode));
+      } else if (entry.type === "Group" || entry.type === "Object3D") {
+        object = new THREE[entry.type]();
+      } else if (SANDBOX_OBJECTS.includes(entry.type)) {
+        object = new THREE[entry.type](
+          geometries.get(entry.geometry),
+          materials.get(entry.material)
+        );
+      } else {
+        throw new SandboxError(
+          "INVALID_RESULT",
+          `Object type ${entry.type} is not allowed`
+        );
+      }
+
+      object.name = entry.name;
+      object.position.fromArray(entry.position);
+      object.rotation.set(...entry.rotation);
+      object.scale.fromArray(entry.scale);
+      object.visible = entry.visible;
+      object.castShadow = entry.castShadow;
+      object.receiveShadow = entry.receiveShadow;
+      object.renderOrder = entry.renderOrder;
+      nodes.set(entry.id, object);
+    }
+
+    const group = new THREE.Group();
+    group.name = "ai-sandbox";
+
+    for (const entry of description.nodes) {
+      const object = nodes.get(entry.id);
+      if (entry.parent === "scene") {
+        group.add(object);
+      } else if (entry.parent === "planet" && targets.planet) {
+        targets.planet.add(object);
+        planetChildren.push(object);
+      } else if (nodes.has(entry.parent)) {
+        nodes.get(entry.parent).add(object);
+      }
+    }
+
+    // lookAt needs the final hierarchy in place
+    for (const entry of description.nodes) {
+      if (entry.lookAt) {
+        nodes.get(entry.id).lookAt(...entry.lookAt);
+      }
+    }
+
+    if (targets.planet && description.planet) {
+      const changes = {};
+      for (const [key, value] of Object.entries(description.planet.material)) {
+        if (
+          SANDBOX_PLANET_MATERIAL_PARAMS.includes(key) &&
+          key in targets.planet.material
+        ) {
+          changes[key] = decode(value);
+        }
+      }
+      targets.planet.material.setValues(changes);
+      targets.planet.material.needsUpdate = true;
+    }
+
+    if (targets.scene && description.scene.background) {
+      targets.scene.background = decode(description.scene.background);
+    }
+
+    if (targets.camera && description.camera) {
+      targets.camera.position.fromArray(description.camera.position);
+      const lookAt = description.camera.lookAt || [0, 0, 0];
+      targets.camera.lookAt(...lookAt);
+      if (targets.controls) {
+        targets.controls.target.set(...lookAt);
+      }
+    }
+
+    return {
+      group,
+      result: nodes.get(description.result) || null,
+      warnings: description.warnings,
+      dispose() {
+        [group, ...planetChildren].forEach((object) => {
+          if (object.parent) object.parent.remove(object);
+        });
+        created.forEach((resource) => resource.dispose());
+      },
+    };
+  }
+
+  // Tagged values from the worker: { $color }, { $vector }, { $texture }
+  static decodeValue(value, THREE, textures) {
+    if (value && typeof value === "object") {
+      if ("$color" in value) return new THREE.Color(value.$color);
+      if ("$texture" in value) return textures.get(value.$texture) || null;
+      if ("$vector" in value) {
+        const [x, y, z, w] = value.$vector;
+        if (value.$vector.length === 2) return new THREE.Vector2(x, y);
+        if (value.$vector.length === 4) return new THREE.Vector4(x, y, z, w);
+        return new THREE.Vector3(x, y, z);
+      }
+      return null;
+    }
+    return value;
+  }
+
+  static isPlainArguments(args) {
+    return (
+      Array.isArray(args) &&
+      args.every(
+        (value) =>
+          value === undefined ||
+          value === null ||
+          typeof value === "boolean" ||
+          (typeof value === "number" && Number.isFinite(value))
+      )
+    );
+  }
+
+  // Snapshot of a host mesh for the sandbox's read-only `planet` handle
+  static describeMesh(mesh, radius) {
+    const material = {};
+    for (const key of SANDBOX_PLANET_MATERIAL_PARAMS) {
+      const value = mesh.material[key];
+      if (value && value.isColor) {
+        material[key] = { $color: value.getHex() };
+      } else if (typeof value === "number" || typeof value === "boolean") {
+        material[key] = value;
+      }
+    }
+
+    return {
+      radius,
+      materialType: mesh.material.type,
+      material,
+    };
+  }
+
+  static failure(code, message) {
+    return { ok: false, error: { code, message } };
+  }
+
+  // Structured error for anything thrown while materializing a description
+  static describeError(error) {
+    if (error instanceof SandboxError) {
+      return { code: error.code, message: error.message };
+    }
+    return {
+      code: "INVALID_RESULT",
+      message: error && error.message ? error.message : String(error),
+    };
+  }
+}
+
+globalThis.PlanetSandbox = PlanetSandbox;
+globalThis.SandboxError = SandboxError;
@@ -0,0 +1,1255 @@
+// AI Code Sandbox Worker
+// Executes one piece of model-generated code with no DOM or network access.
+// THREE is replaced by a recording stand-in whose objects serialize to a
+// scene description for PlanetSandbox.materialize on the host page.
+
+importScripts("planet_random.js", "planet_noise.js", "planet_sandbox.js");
+
+// Nothing below may reach the network or spawn more contexts
+const SANDBOX_BLOCKED_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "WebTransport",
+  "EventSource",
+  "BroadcastChannel",
+  "Worker",
+  "SharedWorker",
+  "importScripts",
+  "indexedDB",
+  "caches",
+];
+
+for (const name of SANDBOX_BLOCKED_GLOBALS) {
+  try {
+    Object.defineProperty(self, name, {
+      value: undefined,
+      writable: false,
+      configurable: false,
+    });
+  } catch (error) {
+    // Already non-configurable in this browser
+  }
+}
+
+// Nor build code from strings at run time (it could hide an import()): the
+// constructors of every kind of function are removed, and the Function and
+// eval globals are shadowed for the code (see SANDBOX_GLOBAL_NAMES)
+for (const kind of [
+  function () {},
+  function* () {},
+  async function () {},
+  async function* () {},
+]) {
+  Object.defineProperty(Object.getPrototypeOf(kind), "constructor", {
+    value: undefined,
+    writable: false,
+    configurable: false,
+  });
+}
+
+// Everything below lives in this closure: the code is compiled with
+// `new Function`, which sees global bindings, so the worker's own state
+// (the run's recorder and budgets) must not be one
+(() => {
+  const SANDBOX_COLOR_PARAMS = ["color", "emissive", "specular", "groundColor"];
+
+  const SANDBOX_NAMED_COLORS = {
+    white: 0xffffff,
+    black: 0x000000,
+    red: 0xff0000,
+    green: 0x008000,
+    blue: 0x0000ff,
+    yellow: 0xffff00,
+    cyan: 0x00ffff,
+    magenta: 0xff00ff,
+    orange: 0xffa500,
+    purple: 0x800080,
+    gray: 0x808080,
+    grey: 0x808080,
+  };
+
+  // Handles for host-owned objects; never serialized as new nodes
+  const SANDBOX_HANDLES = ["scene", "planet", "camera"];
+
+  // Handles whose descendants end up in the host scene
+  const SANDBOX_ROOTS = ["scene", "planet"];
+
+  let recorder = null;
+
+  // Per-run bookkeeping: ids, budgets and warnings
+  class SandboxRecorder {
+    constructor(budgets) {
+      this.budgets = budgets;
+      this.nextId = 0;
+      this.itemCount = 0;
+      this.vertexCount = 0;
+      this.objects = [];
+      this.warnings = [];
+    }
+
+    register(kind) {
+      this.itemCount++;
+      if (this.itemCount > this.budgets.objects) {
+        throw new SandboxError(
+          "BUDGET",
+          `More than ${this.budgets.objects} objects, geometries, materials and textures created`
+        );
+      }
+      return `${kind}-${++this.nextId}`;
+    }
+
+    addVertices(count) {
+      this.vertexCount += count;
+      if (this.vertexCount > this.budgets.vertices) {
+        throw new SandboxError(
+          "BUDGET",
+          `More than ${this.budgets.vertices} vertices requested`
+        );
+      }
+    }
+
+    warn(message) {
+      if (!this.warnings.includes(message)) {
+        this.warnings.push(message);
+      }
+    }
+  }
+
+  function capabilityError(message) {
+    return new SandboxError("CAPABILITY", message);
+  }
+
+  class SandboxVector2 {
+    constructor(x = 0, y = 0) {
+      this.x = x;
+      this.y = y;
+    }
+
+    set(x, y) {
+      this.x = x;
+      this.y = y;
+      return this;
+    }
+
+    copy(v) {
+      return this.set(v.x, v.y);
+    }
+
+    clone() {
+      return new SandboxVector2(this.x, this.y);
+    }
+
+    toArray() {
+      return [this.x, this.y];
+    }
+  }
+
+  // Also stands in for Euler rotations, which only need x/y/z and set()
+  class SandboxVector3 {
+    constructor(x = 0, y = 0, z = 0) {
+      this.x = x;
+      this.y = y;
+      this.z = z;
+    }
+
+    set(x, y, z) {
+      this.x = x;
+      this.y = y;
+      this.z = z;
+      return this;
+    }
+
+    setScalar(s) {
+      return this.set(s, s, s);
+    }
+
+    copy(v) {
+      return this.set(v.x, v.y, v.z);
+    }
+
+    clone() {
+      return new SandboxVector3(this.x, this.y, this.z);
+    }
+
+    add(v) {
+      return this.set(this.x + v.x, this.y + v.y, this.z + v.z);
+    }
+
+    addScalar(s) {
+      return this.set(this.x + s, this.y + s, this.z + s);
+    }
+
+    sub(v) {
+      return this.set(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    multiplyScalar(s) {
+      return this.set(this.x * s, this.y * s, this.z * s);
+    }
+
+    divideScalar(s) {
+      return this.multiplyScalar(1 / s);
+    }
+
+    length() {
+      return Math.hypot(this.x, this.y, this.z);
+    }
+
+    normalize() {
+      return this.divideScalar(this.length() || 1);
+    }
+
+    dot(v) {
+      return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+
+    cross(v) {
+      return this.set(
+        this.y * v.z - this.z * v.y,
+        this.z * v.x - this.x * v.z,
+        this.x * v.y - this.y * v.x
+      );
+    }
+
+    lerp(v, t) {
+      return this.set(
+        this.x + (v.x - this.x) * t,
+        this.y + (v.y - this.y) * t,
+        this.z + (v.z - this.z) * t
+      );
+    }
+
+    distanceTo(v) {
+      return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    setFromSphericalCoords(radius, phi, theta) {
+      const sinPhi = Math.sin(phi) * radius;
+      return this.set(
+        sinPhi * Math.sin(theta),
+        Math.cos(phi) * radius,
+        sinPhi * Math.cos(theta)
+      );
+    }
+
+    toArray() {
+      return [this.x, this.y, this.z];
+    }
+  }
+
+  class SandboxColor {
+    constructor(r, g, b) {
+      this.r = 1;
+      this.g = 1;
+      this.b = 1;
+      if (g !== undefined) {
+        this.setRGB(r, g, b);
+      } else if (r !== undefined) {
+        this.set(r);
+      }
+    }
+
+    set(value) {
+      if (value instanceof SandboxColor) return this.copy(value);
+      if (typeof value === "number") return this.setHex(value);
+      if (typeof value === "string") return this.setStyle(value);
+      return this;
+    }
+
+    setHex(hex) {
+      const value = Math.floor(hex);
+      return this.setRGB(
+        ((value >> 16) & 255) / 255,
+        ((value >> 8) & 255) / 255,
+        (value & 255) / 255
+      );
+    }
+
+    setRGB(r, g, b) {
+      this.r = r;
+      this.g = g;
+      this.b = b;
+      return this;
+    }
+
+    setHSL(h, s, l) {
+      const hue = ((h % 1) + 1) % 1;
+      if (s === 0) return this.setRGB(l, l, l);
+
+      const p = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+      const q = 2 * l - p;
+      const channel = (t) => {
+        const x = ((t % 1) + 1) % 1;
+        if (x < 1 / 6) return q + (p - q) * 6 * x;
+        if (x < 1 / 2) return p;
+        if (x < 2 / 3) return q + (p - q) * 6 * (2 / 3 - x);
+        return q;
+      };
+      return this.setRGB(channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3));
+    }
+
+    setStyle(style) {
+      const value = style.trim().toLowerCase();
+      const hex = value.match(/^(?:#|0x)([0-9a-f]{3}|[0-9a-f]{6})$/);
+      if (hex) {
+        const digits =
+          hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+        return this.setHex(parseInt(digits, 16));
+      }
+
+      const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+      if (rgb) {
+        return this.setRGB(rgb[1] / 255, rgb[2] / 255, rgb[3] / 255);
+      }
+
+      const hsl = value.match(/^hsla?\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%/);
+      if (hsl) {
+        return this.setHSL(hsl[1] / 360, hsl[2] / 100, hsl[3] / 100);
+      }
+
+      if (value in SANDBOX_NAMED_COLORS) {
+        return this.setHex(SANDBOX_NAMED_COLORS[value]);
+      }
+
+      recorder.warn(`Unsupported color "${style}" replaced with white`);
+      return this.setHex(0xffffff);
+    }
+
+    getHex() {
+      const byte = (c) => Math.round(Math.min(1, Math.max(0, c)) * 255);
+      return (byte(this.r) << 16) | (byte(this.g) << 8) | byte(this.b);
+    }
+
+    getHexString() {
+      return this.getHex().toString(16).padStart(6, "0");
+    }
+
+    copy(color) {
+      return this.setRGB(color.r, color.g, color.b);
+    }
+
+    clone() {
+      return new SandboxColor(this.r, this.g, this.b);
+    }
+
+    add(color) {
+      return this.setRGB(this.r + color.r, this.g + color.g, this.b + color.b);
+    }
+
+    multiplyScalar(s) {
+      return this.setRGB(this.r * s, this.g * s, this.b * s);
+    }
+
+    lerp(color, t) {
+      return this.setRGB(
+        this.r + (color.r - this.r) * t,
+        this.g + (color.g - this.g) * t,
+        this.b + (color.b - this.b) * t
+      );
+    }
+  }
+
+  class SandboxTexture {
+    constructor(source, kind) {
+      this.id = recorder.register("texture");
+      this.source = source;
+      this.kind = kind;
+      this.wrapS = SANDBOX_CONSTANTS.ClampToEdgeWrapping;
+      this.wrapT = SANDBOX_CONSTANTS.ClampToEdgeWrapping;
+      this.repeat = new SandboxVector2(1, 1);
+      this.needsUpdate = false;
+    }
+
+    dispose() {}
+  }
+
+  class SandboxCanvasTexture extends SandboxTexture {
+    constructor(canvas) {
+      if (
+        typeof OffscreenCanvas === "undefined" ||
+        !(canvas instanceof OffscreenCanvas)
+      ) {
+        throw capabilityError(
+          "Textures must be drawn on a canvas from document.createElement"
+        );
+      }
+      super(canvas, "canvas");
+    }
+  }
+
+  class SandboxDataTexture extends SandboxTexture {
+    constructor(data, width, height) {
+      if (!ArrayBuffer.isView(data) || data.length !== width * height * 4) {
+        throw capabilityError("DataTexture needs RGBA bytes for width × height");
+      }
+      super({ data, width, height }, "data");
+    }
+  }
+
+  class SandboxBufferAttribute {
+    constructor(array, itemSize) {
+      this.array = Float32Array.from(array);
+      this.itemSize = itemSize;
+      this.count = this.array.length / itemSize;
+      this.needsUpdate = false;
+    }
+
+    getX(index) {
+      return this.array[index * this.itemSize];
+    }
+
+    getY(index) {
+      return this.array[index * this.itemSize + 1];
+    }
+
+    getZ(index) {
+      return this.array[index * this.itemSize + 2];
+    }
+
+    setXYZ(index, x, y, z) {
+      const offset = index * this.itemSize;
+      this.array[offset] = x;
+      this.array[offset + 1] = y;
+      this.array[offset + 2] = z;
+      return this;
+    }
+  }
+
+  // Geometry transforms are replayed on the host in order
+  class SandboxGeometryBase {
+    constructor(type) {
+      this.id = recorder.register("geometry");
+      this.type = type;
+      this.ops = [];
+    }
+
+    rotateX(angle) {
+      return this.record("rotateX", [angle]);
+    }
+
+    rotateY(angle) {
+      return this.record("rotateY", [angle]);
+    }
+
+    rotateZ(angle) {
+      return this.record("rotateZ", [angle]);
+    }
+
+    translate(x, y, z) {
+      return this.record("translate", [x, y, z]);
+    }
+
+    scale(x, y, z) {
+      return this.record("scale", [x, y, z]);
+    }
+
+    record(op, args) {
+      this.ops.push({ op, args });
+      return this;
+    }
+
+    computeBoundingSphere() {}
+
+    computeBoundingBox() {}
+
+    dispose() {}
+  }
+
+  class SandboxGeometry extends SandboxGeometryBase {
+    constructor(type, args) {
+      super(type);
+      if (!PlanetSandbox.isPlainArguments(args)) {
+        throw capabilityError(`${type} only accepts numbers and booleans`);
+      }
+      recorder.addVertices(SANDBOX_GEOMETRIES[type](...args));
+      this.args = args;
+    }
+
+    get attributes() {
+      throw capabilityError(
+        `${this.type} vertex data is not accessible in the sandbox; build a BufferGeometry instead`
+      );
+    }
+
+    computeVertexNormals() {}
+  }
+
+  class SandboxBufferGeometry extends SandboxGeometryBase {
+    constructor() {
+      super("BufferGeometry");
+      this.attributes = {};
+      this.index = null;
+      this.computeNormals = false;
+    }
+
+    setAttribute(name, attribute) {
+      if (!(attribute instanceof SandboxBufferAttribute)) {
+        throw capabilityError("setAttribute needs a THREE.BufferAttribute");
+      }
+      if (!SANDBOX_BUFFER_ATTRIBUTES.includes(name)) {
+        recorder.warn(`Buffer attribute "${name}" is ignored by the sandbox`);
+      }
+      if (name === "position") {
+        recorder.addVertices(attribute.count);
+      }
+      this.attributes[name] = attribute;
+      return this;
+    }
+
+    getAttribute(name) {
+      return this.attributes[name];
+    }
+
+    setIndex(index) {
+      const values = index instanceof SandboxBufferAttribute ? index.array : index;
+      this.index = Uint32Array.from(values);
+      return this;
+    }
+
+    setFromPoints(points) {
+      const positions = [];
+      points.forEach((point) => positions.push(point.x, point.y, point.z || 0));
+      return this.setAttribute(
+        "position",
+        new SandboxBufferAttribute(positions, 3)
+      );
+    }
+
+    computeVertexNormals() {
+      this.computeNormals = true;
+    }
+  }
+
+  // Read-only stand-in for the host planet's geometry
+  class SandboxHostGeometry {
+    constructor(radius) {
+      this.type = "SphereGeometry";
+      this.parameters = Object.freeze({ radius });
+    }
+
+    get attributes() {
+      throw capabilityError("The planet's geometry is read-only in the sandbox");
+    }
+  }
+
+  class SandboxMaterial {
+    constructor(type, params = {}) {
+      Object.defineProperty(this, "id", { value: recorder.register("material") });
+      Object.defineProperty(this, "type", { value: type });
+
+      this.color = new SandboxColor(0xffffff);
+      if (/^Mesh(Lambert|Phong|Standard|Physical)Material$/.test(type)) {
+        this.emissive = new SandboxColor(0x000000);
+      }
+      if (type === "MeshPhongMaterial") {
+        this.specular = new SandboxColor(0x111111);
+      }
+      this.setValues(params);
+    }
+
+    setValues(params) {
+      for (const [key, value] of Object.entries(params || {})) {
+        if (SANDBOX_COLOR_PARAMS.includes(key) && !(value instanceof SandboxColor)) {
+          this[key] = new SandboxColor(value);
+        } else {
+          this[key] = value;
+        }
+      }
+    }
+
+    clone() {
+      return new SandboxMaterial(this.type, { ...this });
+    }
+
+    dispose() {}
+  }
+
+  class SandboxObject3D {
+    constructor(type, handle) {
+      this.id = handle || recorder.register("object");
+      this.type = type;
+      this.name = "";
+      this.parent = null;
+      this.children = [];
+      this.position = new SandboxVector3();
+      this.rotation = new SandboxVector3();
+      this.scale = new SandboxVector3(1, 1, 1);
+      this.visible = true;
+      this.castShadow = false;
+      this.receiveShadow = false;
+      this.renderOrder = 0;
+      this.userData = {};
+      this.lookAtTarget = null;
+      recorder.objects.push(this);
+    }
+
+    add(...objects) {
+      for (const object of objects) {
+        if (!(object instanceof SandboxObject3D)) {
+          throw capabilityError("Only objects created with THREE can be added");
+        }
+        if (object === this || SANDBOX_HANDLES.includes(object.id)) continue;
+        if (object.parent) object.parent.remove(object);
+        object.parent = this;
+        this.children.push(object);
+      }
+      return this;
+    }
+
+    remove(...objects) {
+      for (const object of objects) {
+        const index = this.children.indexOf(object);
+        if (index !== -1) {
+          this.children.splice(index, 1);
+          object.parent = null;
+        }
+      }
+      return this;
+    }
+
+    traverse(callback) {
+      callback(this);
+      this.children.slice().forEach((child) => child.traverse(callback));
+    }
+
+    getObjectByName(name) {
+      let found;
+      this.traverse((object) => {
+        if (!found && object.name === name) found = object;
+      });
+      return found;
+    }
+
+    lookAt(x, y, z) {
+      this.lookAtTarget =
+        x instanceof SandboxVector3 ? x.toArray() : [x, y, z];
+    }
+
+    rotateX(angle) {
+      this.rotation.x += angle;
+      return this;
+    }
+
+    rotateY(angle) {
+      this.rotation.y += angle;
+      return this;
+    }
+
+    rotateZ(angle) {
+      this.rotation.z += angle;
+      return this;
+    }
+
+    updateMatrixWorld() {}
+  }
+
+  class SandboxDrawable extends SandboxObject3D {
+    constructor(type, geometry, material, handle) {
+      super(type, handle);
+      if (geometry !== undefined && !(geometry instanceof SandboxGeometryBase)) {
+        throw capabilityError(`${type} needs a THREE geometry`);
+      }
+      if (Array.isArray(material)) {
+        recorder.warn("Material arrays are not supported; using the first one");
+        material = material[0];
+      }
+      if (material !== undefined && !(material instanceof SandboxMaterial)) {
+        throw capabilityError(`${type} needs a THREE material`);
+      }
+      this.geometry = geometry;
+      this.material = material;
+    }
+  }
+
+  class SandboxLight extends SandboxObject3D {
+    constructor(type, args) {
+      super(type);
+      const [color = 0xffffff, ...rest] = args;
+      this.color = new SandboxColor(color);
+      if (type === "HemisphereLight") {
+        const [groundColor = 0xffffff, intensity = 1] = rest;
+        this.groundColor = new SandboxColor(groundColor);
+        this.intensity = intensity;
+      } else {
+        const [intensity = 1, distance = 0, decay = 2] = rest;
+        this.intensity = intensity;
+        this.distance = distance;
+        this.decay = decay;
+      }
+    }
+  }
+
+  // The capability-limited THREE namespace seen by sandboxed code
+  function createSandboxThree() {
+    const namespace = {
+      ...SANDBOX_CONSTANTS,
+      Vector2: SandboxVector2,
+      Vector3: SandboxVector3,
+      Euler: SandboxVector3,
+      Color: SandboxColor,
+      BufferGeometry: SandboxBufferGeometry,
+      BufferAttribute: SandboxBufferAttribute,
+      Float32BufferAttribute: SandboxBufferAttribute,
+      CanvasTexture: SandboxCanvasTexture,
+      Texture: SandboxCanvasTexture,
+      DataTexture: SandboxDataTexture,
+      Group: class extends SandboxObject3D {
+        constructor() {
+          super("Group");
+        }
+      },
+      Object3D: class extends SandboxObject3D {
+        constructor() {
+          super("Object3D");
+        }
+      },
+      MathUtils: {
+        degToRad: (degrees) => (degrees * Math.PI) / 180,
+        radToDeg: (radians) => (radians * 180) / Math.PI,
+        clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+        lerp: (a, b, t) => a + (b - a) * t,
+        smoothstep: (x, min, max) => {
+          const t = Math.max(0, Math.min(1, (x - min) / (max - min)));
+          return t * t * (3 - 2 * t);
+        },
+        randFloat: (low, high) => low + Math.random() * (high - low),
+        randFloatSpread: (range) => range * (0.5 - Math.random()),
+        randInt: (low, high) => low + Math.floor(Math.random() * (high - low + 1)),
+      },
+      TextureLoader: class {
+        constructor() {
+          throw capabilityError("Loading textures from URLs is not allowed");
+        }
+      },
+    };
+
+    for (const type of Object.keys(SANDBOX_GEOMETRIES)) {
+      namespace[type] = class extends SandboxGeometry {
+        constructor(...args) {
+          super(type, args);
+        }
+      };
+    }
+
+    for (const type of SANDBOX_MATERIALS) {
+      namespace[type] = class extends SandboxMaterial {
+        constructor(params) {
+          super(type, params);
+        }
+      };
+    }
+
+    for (const type of SANDBOX_OBJECTS) {
+      if (namespace[type]) continue;
+      namespace[type] = class extends SandboxDrawable {
+        constructor(geometry, material) {
+          super(type, geometry, material);
+        }
+      };
+    }
+
+    for (const type of Object.keys(SANDBOX_LIGHTS)) {
+      namespace[type] = class extends SandboxLight {
+        constructor(...args) {
+          super(type, args);
+        }
+      };
+    }
+
+    Object.freeze(namespace);
+    return new Proxy(namespace, {
+      get(target, key) {
+        if (typeof key === "symbol" || key in target) return target[key];
+        throw capabilityError(`THREE.${key} is not available in the sandbox`);
+      },
+    });
+  }
+
+  // Drop-in for the three.js examples SimplexNoise, seeded from the planet
+  class SandboxSimplexNoise {
+    constructor() {
+      this.generator = new PlanetNoise(recorder.seed);
+    }
+
+    noise(x, y) {
+      return this.generator.noise3(x, y, 0);
+    }
+
+    noise3d(x, y, z) {
+      return this.generator.noise3(x, y, z);
+    }
+
+    noise4d(x, y, z, w) {
+      return this.generator.noise3(x + w * 0.71, y - w * 0.37, z + w * 0.53);
+    }
+  }
+
+  function createHandles(context, capabilities) {
+    const scene = new SandboxObject3D("Scene", "scene");
+    scene.background = null;
+    scene.fog = null;
+
+    let planet = null;
+    if (context.planet) {
+      planet = new SandboxDrawable("Mesh", undefined, undefined, "planet");
+      planet.geometry = new SandboxHostGeometry(context.planet.radius);
+      planet.material = new SandboxMaterial(context.planet.materialType, {});
+      for (const [key, value] of Object.entries(context.planet.material)) {
+        planet.material[key] =
+          value && typeof value === "object"
+            ? new SandboxColor(value.$color)
+            : value;
+      }
+      planet.parent = scene;
+      scene.children.push(planet);
+    }
+
+    const camera = new SandboxObject3D("PerspectiveCamera", "camera");
+    camera.position.set(...(context.camera?.position || [0, 0, 10]));
+    camera.fov = 60;
+    camera.aspect = context.viewport
+      ? context.viewport.width / context.viewport.height
+      : 1;
+    camera.updateProjectionMatrix = () => {};
+
+    const renderer = {
+      domElement: null,
+      shadowMap: { enabled: false },
+      render() {
+        recorder.warn("renderer.render() is ignored; the viewer renders the scene");
+      },
+      setSize() {},
+      setPixelRatio() {},
+      setClearColor(color) {
+        if (capabilities.sceneBackground) {
+          scene.background = new SandboxColor(color);
+        }
+      },
+    };
+
+    return { scene, planet, camera, renderer };
+  }
+
+  function encodeValue(value, key) {
+    if (SANDBOX_COLOR_PARAMS.includes(key) && !(value instanceof SandboxColor)) {
+      value = new SandboxColor(value);
+    }
+    if (value instanceof SandboxColor) return { $color: value.getHex() };
+    if (value instanceof SandboxVector3) return { $vector: value.toArray() };
+    if (value instanceof SandboxVector2) return { $vector: value.toArray() };
+    if (value instanceof SandboxTexture) return { $texture: value.id };
+    if (value === null || typeof value === "boolean") return value;
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+    return undefined;
+  }
+
+  function encodeMaterialParams(material) {
+    const params = {};
+    for (const [key, value] of Object.entries(material)) {
+      if (key === "needsUpdate" || key === "userData" || key === "name") continue;
+      if (!SANDBOX_MATERIAL_PARAMS.includes(key)) {
+        recorder.warn(`Material property "${key}" is ignored by the sandbox`);
+        continue;
+      }
+
+      const encoded = encodeValue(value, key);
+      if (encoded === undefined) {
+        recorder.warn(`Material property "${key}" has an unsupported value`);
+      } else {
+        params[key] = encoded;
+      }
+    }
+    return params;
+  }
+
+  function isAttached(object) {
+    let current = object.parent;
+    while (current) {
+      if (SANDBOX_ROOTS.includes(current.id)) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+
+  // Serialize everything reachable from the scene and planet handles
+  function describeScene(handles, context, capabilities, result) {
+    const geometries = new Map();
+    const materials = new Map();
+    const textures = new Map();
+    const transfer = new Set();
+    const canvasBitmaps = new Map();
+    let pixels = 0;
+
+    const addTexture = (texture) => {
+      if (!(texture instanceof SandboxTexture) || textures.has(texture.id)) return;
+
+      const entry = {
+        id: texture.id,
+        wrapS: texture.wrapS,
+        wrapT: texture.wrapT,
+        repeat: texture.repeat.toArray(),
+      };
+      if (texture.kind === "canvas") {
+        const canvas = texture.source;
+        if (!canvasBitmaps.has(canvas)) {
+          canvasBitmaps.set(canvas, canvas.transferToImageBitmap());
+        }
+        entry.bitmap = canvasBitmaps.get(canvas);
+        entry.width = entry.bitmap.width;
+        entry.height = entry.bitmap.height;
+        transfer.add(entry.bitmap);
+      } else {
+        entry.data = Uint8Array.from(texture.source.data);
+        entry.width = texture.source.width;
+        entry.height = texture.source.height;
+        transfer.add(entry.data.buffer);
+      }
+      pixels += entry.width * entry.height;
+      if (pixels > recorder.budgets.texturePixels) {
+        throw new SandboxError(
+          "BUDGET",
+          `Textures exceed ${recorder.budgets.texturePixels} pixels`
+        );
+      }
+      textures.set(texture.id, entry);
+    };
+
+    const addMaterial = (material) => {
+      if (!material || materials.has(material.id)) return;
+      Object.values(material).forEach(addTexture);
+      materials.set(material.id, {
+        id: material.id,
+        type: material.type,
+        params: encodeMaterialParams(material),
+      });
+    };
+
+    const addGeometry = (geometry) => {
+      if (!geometry || geometries.has(geometry.id)) return;
+      const entry = { id: geometry.id, type: geometry.type, ops: geometry.ops };
+      if (geometry instanceof SandboxBufferGeometry) {
+        entry.attributes = {};
+        for (const [name, attribute] of Object.entries(geometry.attributes)) {
+          entry.attributes[name] = {
+            array: attribute.array,
+            itemSize: attribute.itemSize,
+          };
+          transfer.add(attribute.array.buffer);
+        }
+        entry.index = geometry.index;
+        if (geometry.index) transfer.add(geometry.index.buffer);
+        entry.computeNormals = geometry.computeNormals;
+      } else {
+        entry.args = geometry.args;
+      }
+      geometries.set(geometry.id, entry);
+    };
+
+    const nodes = [];
+    for (const object of recorder.objects) {
+      if (SANDBOX_HANDLES.includes(object.id) || !isAttached(object)) continue;
+
+      const node = {
+        id: object.id,
+        type: object.type,
+        name: String(object.name || ""),
+        parent: object.parent.id,
+        position: object.position.toArray(),
+        rotation: object.rotation.toArray(),
+        scale: object.scale.toArray(),
+        visible: object.visible !== false,
+        castShadow: object.castShadow === true,
+        receiveShadow: object.receiveShadow === true,
+        renderOrder: Number(object.renderOrder) || 0,
+        lookAt: object.lookAtTarget,
+      };
+
+      if (object instanceof SandboxLight) {
+        node.args = SANDBOX_LIGHTS[object.type].map((key) =>
+          encodeValue(object[key], key)
+        );
+      } else if (object instanceof SandboxDrawable) {
+        addGeometry(object.geometry);
+        addMaterial(object.material);
+        node.geometry = object.geometry?.id;
+        node.material = object.material?.id;
+      }
+      nodes.push(node);
+    }
+
+    const description = {
+      nodes,
+      geometries: [...geometries.values()],
+      materials: [...materials.values()],
+      textures: [...textures.values()],
+      scene: { background: null },
+      planet: null,
+      camera: null,
+      result: result ? result.id : null,
+      warnings: recorder.warnings,
+    };
+
+    const { scene, planet, camera } = handles;
+    if (scene.background) {
+      if (capabilities.sceneBackground) {
+        description.scene.background = encodeValue(scene.background, "color");
+      } else {
+        recorder.warn("Changing the scene background is not allowed here");
+      }
+    }
+    if (scene.fog) {
+      recorder.warn("Scene fog is managed by the viewer and was ignored");
+    }
+
+    if (planet) {
+      description.planet = { material: {} };
+      for (const key of SANDBOX_PLANET_MATERIAL_PARAMS) {
+        if (!(key in planet.material)) continue;
+        const encoded = encodeValue(planet.material[key], key);
+        const original = context.planet.material[key];
+        if (JSON.stringify(encoded) !== JSON.stringify(original)) {
+          description.planet.material[key] = encoded;
+        }
+      }
+      const moved =
+        planet.position.length() !== 0 ||
+        planet.rotation.length() !== 0 ||
+        planet.scale.toArray().some((value) => value !== 1);
+      if (moved) {
+        recorder.warn("The planet's transform is managed by the viewer");
+      }
+    }
+
+    const initialCamera = context.camera?.position || [0, 0, 10];
+    const cameraMoved = camera.position
+      .toArray()
+      .some((value, i) => value !== initialCamera[i]);
+    if (cameraMoved || camera.lookAtTarget) {
+      if (capabilities.camera) {
+        description.camera = {
+          position: camera.position.toArray(),
+          lookAt: camera.lookAtTarget,
+        };
+      } else {
+        recorder.warn("Moving the camera is not allowed here");
+      }
+    }
+
+    return { description, transfer: [...transfer] };
+  }
+
+  // Names visible to sandboxed code. Anything not listed resolves to the
+  // locked-down worker global, which has no DOM or network access.
+  const SANDBOX_GLOBAL_NAMES = [
+    "THREE",
+    "scene",
+    "camera",
+    "renderer",
+    "planetData",
+    "document",
+    "window",
+    "self",
+    "globalThis",
+    "postMessage",
+    "close",
+    "requestAnimationFrame",
+    "cancelAnimationFrame",
+    "setTimeout",
+    "setInterval",
+    "clearTimeout",
+    "clearInterval",
+    "SimplexNoise",
+    "PlanetNoise",
+    "SeededRandom",
+    "Function",
+    "eval",
+  ];
+
+  function createGlobals(handles, context) {
+    const animationStub = () => {
+      recorder.warn(
+        "Animation loops and timers are ignored; the viewer animates the scene"
+      );
+      return 0;
+    };
+
+    const sandboxDocument = Object.freeze({
+      createElement(tag) {
+        if (String(tag).toLowerCase() !== "canvas") {
+          throw capabilityError(`document.createElement("${tag}") is not allowed`);
+        }
+        if (typeof OffscreenCanvas === "undefined") {
+          throw capabilityError("Canvas textures are not supported in this browser");
+        }
+        return new OffscreenCanvas(300, 150);
+      },
+    });
+
+    const viewport = context.viewport || { width: 800, height: 600 };
+    const sandboxWindow = Object.freeze({
+      innerWidth: viewport.width,
+      innerHeight: viewport.height,
+      devicePixelRatio: 1,
+    });
+
+    return {
+      THREE: createSandboxThree(),
+      scene: handles.scene,
+      camera: handles.camera,
+      renderer: handles.renderer,
+      planetData: Object.freeze({ ...context.planetData }),
+      document: sandboxDocument,
+      window: sandboxWindow,
+      self: undefined,
+      globalThis: undefined,
+      postMessage: undefined,
+      close: undefined,
+      requestAnimationFrame: animationStub,
+      cancelAnimationFrame: () => {},
+      setTimeout: animationStub,
+      setInterval: animationStub,
+      clearTimeout: () => {},
+      clearInterval: () => {},
+      SimplexNoise: SandboxSimplexNoise,
+      PlanetNoise,
+      SeededRandom,
+      Function: undefined,
+      eval: undefined,
+    };
+  }
+
+  // The code runs in its own function scope so it may redeclare names such as
+  // `scene`; the entry function is handed back to the caller. Strict mode keeps
+  // `this` in plain calls undefined rather than the worker global.
+  function wrapSandboxCode(code, entry) {
+    return `return (function () {\n"use strict";\n${code}\n;return typeof ${entry} === "function" ? ${entry} : undefined;\n})();`;
+  }
+
+  // Line numbers in stacks of `new Function` code include a header; measure it
+  const SANDBOX_LINE_OFFSET = (() => {
+    try {
+      new Function(wrapSandboxCode("throw new Error()", "entry"))();
+    } catch (error) {
+      const location = parseLocation(error);
+      if (location) return location.line - 1;
+    }
+    return 0;
+  })();
+
+  function parseLocation(error) {
+    const match = String(error && error.stack).match(
+      /(?:<anonymous>|> Function):(\d+):(\d+)/
+    );
+    return match ? { line: Number(match[1]), column: Number(match[2]) } : null;
+  }
+
+  function describeRuntimeError(error, code) {
+    if (error instanceof SandboxError) {
+      return { code: error.code, message: error.message };
+    }
+
+    const described = {
+      code,
+      message:
+        error && error.message
+          ? `${error.name || "Error"}: ${error.message}`
+          : String(error),
+    };
+    const location = parseLocation(error);
+    if (location) {
+      described.line = location.line - SANDBOX_LINE_OFFSET;
+      described.column = location.column;
+    }
+    return described;
+  }
+
+  function runJob({ code, entry, capabilities, context, budgets }, port) {
+    recorder = new SandboxRecorder(budgets);
+    recorder.seed = SeededRandom.seedFromPlanet(context.planetData);
+
+    if (!/^[A-Za-z_$][\w$]*$/.test(entry || "")) {
+      port.postMessage({
+        type: "error",
+        error: { code: "ENTRY_NOT_FOUND", message: `Invalid entry "${entry}"` },
+      });
+      return;
+    }
+
+    // import() would load code from the network, and a worker can't switch
+    // it off, so the code may not use it at all
+    if (/\bimport\b/.test(code)) {
+      port.postMessage({
+        type: "error",
+        error: describeRuntimeError(
+          capabilityError("import is not allowed in the sandbox"),
+          "CAPABILITY"
+        ),
+      });
+      return;
+    }
+
+    let compiled;
+    try {
+      compiled = new Function(
+        ...SANDBOX_GLOBAL_NAMES,
+        wrapSandboxCode(code, entry)
+      );
+    } catch (error) {
+      port.postMessage({
+        type: "error",
+        error: describeRuntimeError(error, "SYNTAX"),
+      });
+      return;
+    }
+
+    try {
+      const handles = createHandles(context, capabilities);
+      const globals = createGlobals(handles, context);
+      const entryFunction = compiled(
+        ...SANDBOX_GLOBAL_NAMES.map((name) => globals[name])
+      );
+      if (!entryFunction) {
+        throw new SandboxError(
+          "ENTRY_NOT_FOUND",
+          `${entry}() was not defined by the code`
+        );
+      }
+
+      const args = handles.planet ? [handles.scene, handles.planet] : [];
+      const returned = entryFunction(...args);
+
+      // A returned object that was never added still belongs in the scene
+      let result = null;
+      if (
+        returned instanceof SandboxObject3D &&
+        !SANDBOX_HANDLES.includes(returned.id)
+      ) {
+        result = returned;
+        if (!isAttached(result)) {
+          handles.scene.add(result);
+        }
+      }
+
+      const { description, transfer } = describeScene(
+        handles,
+        context,
+        capabilities,
+        result
+      );
+      port.postMessage({ type: "result", description }, transfer);
+    } catch (error) {
+      port.postMessage({
+        type: "error",
+        error: describeRuntimeError(error, "RUNTIME"),
+      });
+    }
+  }
+
+  self.onmessage = (event) => {
+    self.onmessage = null;
+    if (event.data && event.data.type === "run" && event.ports[0]) {
+      runJob(event.data, event.ports[0]);
+    }
+  };
+})();
@@ -0,0 +1,301 @@
+// Planet Data Schema
+// Validates and normalizes incoming planet data before any renderer uses it:
+// coerces strings and unit-tagged values, clamps to physical ranges, fills
+// documented defaults and reports every change as a warning for the host
+//
+// Canonical units: temperatures in K, planet mass and radius in Earth units,
+// gravity in g, distances in AU, periods in days, star mass and radius in
+// solar units. Numeric fields also accept "1.2 MJ"-style strings or
+// { value, unit } objects in any unit listed for the field.
+//
+// Warning codes: MISSING (required field defaulted), INVALID (unusable value
+// replaced or dropped), OUT_OF_RANGE (clamped). Fields not in the schema pass
+// through unchanged.
+
+const PLANET_UNITS = {
+  temperature: {
+    k: (v) => v,
+    c: (v) => v + 273.15,
+    f: (v) => ((v - 32) * 5) / 9 + 273.15,
+  },
+  mass: {
+    me: (v) => v,
+    "m⊕": (v) => v,
+    mearth: (v) => v,
+    mj: (v) => v * 317.83,
+    mjup: (v) => v * 317.83,
+    kg: (v) => v / 5.972e24,
+  },
+  radius: {
+    re: (v) => v,
+    "r⊕": (v) => v,
+    rearth: (v) => v,
+    rj: (v) => v * 11.209,
+    rjup: (v) => v * 11.209,
+    km: (v) => v / 6371,
+  },
+  gravity: {
+    g: (v) => v,
+    "m/s2": (v) => v / 9.80665,
+  },
+  distance: {
+    au: (v) => v,
+    km: (v) => v / 1.496e8,
+  },
+  period: {
+    d: (v) => v,
+    day: (v) => v,
+    days: (v) => v,
+    h: (v) => v / 24,
+    hours: (v) => v / 24,
+    yr: (v) => v * 365.25,
+    years: (v) => v * 365.25,
+  },
+  stellarMass: {
+    msun: (v) => v,
+    "m☉": (v) => v,
+    kg: (v) => v / 1.989e30,
+  },
+  stellarRadius: {
+    rsun: (v) => v,
+    "r☉": (v) => v,
+    km: (v) => v / 695700,
+  },
+};
+
+// Fields with a `default` are always present after normalization; the others
+// stay null when missing and renderers fall back on their own models.
+// Only `required` fields warn when missing. Gravity defaults to mass / radius².
+const PLANET_DATA_SCHEMA = {
+  name: { type: "string", required: true, default: "Unknown" },
+  biome: { type: "string" },
+  seed: { type: "seed" },
+
+  temperature: {
+    type: "number",
+    units: "temperature",
+    min: 3,
+    max: 5000,
+    required: true,
+    default: 288,
+  },
+  mass: {
+    type: "number",
+    units: "mass",
+    min: 1e-4,
+    max: 4000,
+    required: true,
+    default: 1.0,
+  },
+  radius: {
+    type: "number",
+    units: "radius",
+    min: 0.05,
+    max: 30,
+    required: true,
+    default: 1.0,
+  },
+  gravity: { type: "number", units: "gravity", min: 0.01, max: 100 },
+  density: { type: "number", min: 0.01, max: 100 },
+
+  semiMajorAxis: {
+    type: "number",
+    units: "distance",
+    min: 1e-3,
+    max: 1e4,
+    default: 1.0,
+  },
+  eccentricity: { type: "number", min: 0, max: 0.99, default: 0 },
+  orbitalPeriod: { type: "number", units: "period", min: 0.01, max: 1e8 },
+  isTidallyLocked: { type: "boolean", default: false },
+
+  stellarType: { type: "string" },
+  stellarTemperature: {
+    type: "number",
+    units: "temperature",
+    min: 500,
+    max: 60000,
+  },
+  stellarMass: { type: "number", units: "stellarMass", min: 0.01, max: 300 },
+  stellarRadius: {
+    type: "number",
+    units: "stellarRadius",
+    min: 0.01,
+    max: 2000,
+  },
+
+  atmosphere: { type: "string" },
+  atmospherePressure: { type: "number", min: 0, max: 1000 },
+  oceanFraction: { type: "number", min: 0, max: 1 },
+  lifeCoverage: { type: "number", min: 0, max: 1 },
+  lifeforms: { type: "text" },
+  habitability: { type: "number", min: 0, max: 100 },
+  hasStrongMagneticField: { type: "boolean" },
+  tectonicActivity: { type: "number", min: 0, max: 1 },
+  ageIndicator: { type: "number", min: 0, max: 1 },
+};
+
+class PlanetSchema {
+  // Returns { data, warnings }; never throws and never mutates the input
+  static normalize(planetData) {
+    const warnings = [];
+    const warn = (field, code, message) =>
+      warnings.push({ field, code, message });
+
+    const input = PlanetSchema.isPlainObject(planetData) ? planetData : {};
+    if (planetData != null && input !== planetData) {
+      warn(null, "INVALID", "planet data must be an object, using defaults");
+    }
+
+    const data = { ...input };
+    Object.entries(PLANET_DATA_SCHEMA).forEach(([field, spec]) => {
+      data[field] = PlanetSchema.coerceField(field, spec, input[field], warn);
+    });
+
+    // Seed from the identity as received, before defaults are filled in, so
+    // planets keep the look they had before normalization existed
+    if (data.seed == null) {
+      data.seed = SeededRandom.seedFromPlanet(data);
+    }
+
+    Object.entries(PLANET_DATA_SCHEMA).forEach(([field, spec]) => {
+      if (data[field] == null && spec.default !== undefined) {
+        data[field] = spec.default;
+        if (spec.required && PlanetSchema.isMissing(input[field])) {
+          warn(field, "MISSING", `${field} missing, using ${spec.default}`);
+        }
+      }
+    });
+
+    if (data.gravity == null) {
+      data.gravity = PlanetSchema.clampValue(
+        "gravity",
+        data.mass / (data.radius * data.radius),
+        PLANET_DATA_SCHEMA.gravity,
+        warn
+      );
+    }
+
+    return { data, warnings };
+  }
+
+  // Archive rows use null or "" for unknown values
+  static isMissing(value) {
+    return value === undefined || value === null || value === "";
+  }
+
+  static coerceField(field, spec, value, warn) {
+    if (PlanetSchema.isMissing(value)) return null;
+
+    switch (spec.type) {
+      case "number": {
+        const number = PlanetSchema.toNumber(value, spec.units);
+        if (number === null) {
+          warn(field, "INVALID", `${field} ${JSON.stringify(value)} ignored`);
+          return null;
+        }
+        return PlanetSchema.clampValue(field, number, spec, warn);
+      }
+      case "boolean": {
+        if (typeof value === "boolean") return value;
+        if (value === "true" || value === 1) return true;
+        if (value === "false" || value === 0) return false;
+        warn(field, "INVALID", `${field} ${JSON.stringify(value)} ignored`);
+        return null;
+      }
+      case "string": {
+        if (typeof value === "number") return String(value);
+        if (typeof value === "string" && value.trim()) return value.trim();
+        warn(field, "INVALID", `${field} must be a non-empty string`);
+        return null;
+      }
+      case "text": {
+        // A description string or a list of strings
+        if (typeof value === "string") return value;
+        if (Array.isArray(value)) {
+          return value.filter((item) => typeof item === "string");
+        }
+        warn(field, "INVALID", `${field} must be a string or list of strings`);
+        return null;
+      }
+      case "seed": {
+        if (typeof value === "number" && Number.isFinite(value)) return value;
+        if (typeof value === "string" && value.length > 0) return value;
+        warn(field, "INVALID", "seed must be a finite number or a string");
+        return null;
+      }
+      default:
+        return value;
+    }
+  }
+
+  // Negative or non-finite values of a non-negative quantity are garbage,
+  // not measurements to clamp
+  static clampValue(field, value, spec, warn) {
+    if (!Number.isFinite(value) || (spec.min >= 0 && value < 0)) {
+      warn(field, "INVALID", `${field} ${value} ignored`);
+      return null;
+    }
+    if (value < spec.min || value > spec.max) {
+      const clamped = Math.min(spec.max, Math.max(spec.min, value));
+      warn(
+        field,
+        "OUT_OF_RANGE",
+        `${field} ${value} clamped to ${clamped} (range ${spec.min}-${spec.max})`
+      );
+      return clamped;
+    }
+    return value;
+  }
+
+  // Plain numbers, numeric strings with an optional unit suffix, or
+  // { value, unit }; null when the value (or its unit) can't be used
+  static toNumber(value, units) {
+    let amount = value;
+    let unit = "";
+
+    if (PlanetSchema.isPlainObject(value)) {
+      amount = value.value;
+      unit = value.unit || "";
+    }
+    if (typeof amount === "string") {
+      const match = amount.match(
+        /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i
+      );
+      if (!match) return null;
+      amount = parseFloat(match[1]);
+      unit = unit || match[2];
+    }
+    if (typeof amount !== "number") return null;
+
+    const unitKey = PlanetSchema.normalizeUnit(unit);
+    if (!unitKey) return amount;
+
+    const convert = units && PLANET_UNITS[units][unitKey];
+    return convert ? convert(amount) : null;
+  }
+
+  static normalizeUnit(unit) {
+    return String(unit)
+      .toLowerCase()
+      .replace(/[°\s_]/g, "")
+      .replace(/(\^2|²)$/, "2");
+  }
+
+  static isPlainObject(value) {
+    return (
+      value !== null && typeof value === "object" && !Array.isArray(value)
+    );
+  }
+
+  // One console line per planet instead of one per field
+  static logWarnings(data, warnings) {
+    if (warnings.length === 0) return;
+    console.warn(
+      `[SCHEMA] ${data.name}: ${warnings.length} planet data issue(s)`,
+      warnings.map((warning) => warning.message)
+    );
+  }
+}
+
+globalThis.PlanetSchema = PlanetSchema;
@@ -0,0 +1,147 @@
+// Stellar Lighting Model
+// Converts host star properties into light color and intensity for the
+// 3D viewers: blackbody color along the Planckian locus, luminosity from
+// temperature and radius (or mass), and irradiance at the planet's orbit
+
+const SOLAR_TEMPERATURE = 5772; // K
+
+// Typical effective temperatures when only the spectral type is known
+const SPECTRAL_CLASS_TEMPERATURES = {
+  O: 35000,
+  B: 15000,
+  A: 8500,
+  F: 6700,
+  G: 5700,
+  K: 4500,
+  M: 3200,
+};
+
+class StellarLighting {
+  // Everything a viewer needs to light a planet from its planet data
+  static forPlanet(planetData) {
+    const data = planetData || {};
+    const temperature =
+      data.stellarTemperature > 0
+        ? data.stellarTemperature
+        : StellarLighting.temperatureFromSpectralType(data.stellarType);
+    const luminosity = StellarLighting.luminosity({
+      stellarTemperature: temperature,
+      stellarRadius: data.stellarRadius,
+      stellarMass: data.stellarMass,
+    });
+    const irradiance =
+      data.semiMajorAxis > 0
+        ? luminosity / (data.semiMajorAxis * data.semiMajorAxis)
+        : 1;
+    const rgb = StellarLighting.temperatureToRgb(temperature);
+
+    return {
+      temperature,
+      luminosity, // Solar luminosities
+      irradiance, // Relative to Earth
+      rgb,
+      color: StellarLighting.rgbToHex(rgb),
+      intensityScale: StellarLighting.intensityScale(irradiance),
+    };
+  }
+
+  static temperatureFromSpectralType(stellarType) {
+    const spectralClass =
+      typeof stellarType === "string" ? stellarType.charAt(0).toUpperCase() : "";
+    return SPECTRAL_CLASS_TEMPERATURES[spectralClass] || SOLAR_TEMPERATURE;
+  }
+
+  // Stefan-Boltzmann: L = R² (T / T☉)⁴, radius estimated from mass if needed
+  static luminosity({ stellarTemperature, stellarRadius, stellarMass }) {
+    let radius = null;
+    if (stellarRadius > 0) {
+      radius = stellarRadius;
+    } else if (stellarMass > 0) {
+      radius = StellarLighting.radiusFromMass(stellarMass);
+    }
+
+    if (stellarTemperature > 0) {
+      return (
+        Math.pow(radius || 1, 2) *
+        Math.pow(stellarTemperature / SOLAR_TEMPERATURE, 4)
+      );
+    }
+    if (stellarMass > 0) {
+      return StellarLighting.massLuminosity(stellarMass);
+    }
+    return 1;
+  }
+
+  // Main-sequence mass-radius relation (solar units)
+  static radiusFromMass(stellarMass) {
+    return stellarMass < 1
+      ? Math.pow(stellarMass, 0.8)
+      : Math.pow(stellarMass, 0.57);
+  }
+
+  // Main-sequence mass-luminosity relation (solar units)
+  static massLuminosity(stellarMass) {
+    if (stellarMass < 0.43) return 0.23 * Math.pow(stellarMass, 2.3);
+    if (stellarMass < 2) return Math.pow(stellarMass, 4);
+    return 1.4 * Math.pow(stellarMass, 3.5);
+  }
+
+  // Perceptual multiplier for a viewer's base light intensity.
+  // Logarithmic so 0.01x-100x Earth irradiance stays within a usable range.
+  static intensityScale(irradiance) {
+    const scale = 1 + 0.35 * Math.log10(Math.max(irradiance, 1e-6));
+    return Math.min(2.2, Math.max(0.35, scale));
+  }
+
+  // Blackbody color as sRGB components in [0, 1].
+  // Uses the Kim et al. cubic approximation of the Planckian locus.
+  static temperatureToRgb(kelvin) {
+    const T = Math.min(25000, Math.max(1667, kelvin || SOLAR_TEMPERATURE));
+    const T2 = T * T;
+    const T3 = T2 * T;
+
+    const x =
+      T <= 4000
+        ? -0.2661239e9 / T3 - 0.2343589e6 / T2 + 0.8776956e3 / T + 0.17991
+        : -3.0258469e9 / T3 + 2.1070379e6 / T2 + 0.2226347e3 / T + 0.24039;
+    const x2 = x * x;
+    const x3 = x2 * x;
+
+    let y;
+    if (T <= 2222) {
+      y = -1.1063814 * x3 - 1.3481102 * x2 + 2.18555832 * x - 0.20219683;
+    } else if (T <= 4000) {
+      y = -0.9549476 * x3 - 1.37418593 * x2 + 2.09137015 * x - 0.16748867;
+    } else {
+      y = 3.081758 * x3 - 5.8733867 * x2 + 3.75112997 * x - 0.37001483;
+    }
+
+    // xyY (Y = 1) -> XYZ -> linear sRGB
+    const X = x / y;
+    const Z = (1 - x - y) / y;
+    const linear = [
+      3.2406 * X - 1.5372 - 0.4986 * Z,
+      -0.9689 * X + 1.8758 + 0.0415 * Z,
+      0.0557 * X - 0.204 + 1.057 * Z,
+    ].map((c) => Math.max(0, c));
+
+    // Normalize to the brightest channel, then gamma-encode
+    const max = Math.max(...linear);
+    const [r, g, b] = linear.map((c) => {
+      const v = c / max;
+      return v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    });
+
+    return { r, g, b };
+  }
+
+  static rgbToHex({ r, g, b }) {
+    return (
+      (Math.round(r * 255) << 16) |
+      (Math.round(g * 255) << 8) |
+      Math.round(b * 255)
+    );
+  }
+}
+
+globalThis.StellarLighting = StellarLighting;
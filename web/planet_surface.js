@@ -0,0 +1,402 @@
+// Planet Surface
+// Procedural surface of the interactive 3D viewer: color, bump height and
+// cloud cover at any unit-sphere point, and equirectangular RGBA layers
+// painted from them. THREE-independent so the same code runs on the page
+// (placeholders, map baking) and in the texture worker (see
+// PlanetTextureJobs). Needs SeededRandom, PlanetNoise and PlanetAppearance
+// loaded first.
+
+// Full-detail size of each texture layer (width x height)
+const SURFACE_LAYERS = {
+  surface: [1024, 512],
+  bump: [512, 256],
+  clouds: [512, 256],
+};
+
+// Rows painted between progress reports
+const SURFACE_PROGRESS_ROWS = 16;
+
+// Ocean fraction and life coverage are rounded to this step, so a planet
+// moving through a timeline repaints in steps rather than every frame
+const SURFACE_COVERAGE_STEP = 0.02;
+
+// Sphere points sampled to place sea level and the vegetation edge
+const SURFACE_COVERAGE_SAMPLES = 512;
+
+// Kilometres of elevation per unit of the land noise (the bump relief is
+// cosmetic, so pickers report the continents' rise instead)
+const SURFACE_RELIEF_KM = 6;
+
+// Names of dry ground by surface pattern, for surface pickers
+const SURFACE_TERRAIN_NAMES = {
+  ocean: "Continent",
+  dunes: "Dune field",
+  lava: "Lava plain",
+  ice: "Ice sheet",
+  craters: "Cratered plain",
+};
+
+// Seas on worlds without an ocean pattern, and vegetation
+const SURFACE_WATER_COLOR = { r: 30, g: 90, b: 138 };
+const SURFACE_LIFE_COLOR = { r: 46, g: 107, b: 42 };
+
+class PlanetSurface {
+  constructor({ planetData, appearance, seed }) {
+    this.planetData = planetData;
+    this.appearance = appearance;
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+    this.noise = new PlanetNoise(seed);
+    this.coverageSamples = {};
+  }
+
+  // Plain-data copy of the constructor options (e.g. for a worker)
+  get options() {
+    return {
+      planetData: this.planetData,
+      appearance: this.appearance,
+      seed: this.seed,
+    };
+  }
+
+  // Everything the surface layer depends on: equal signatures paint the
+  // same texture (the bump and cloud layers depend on the seed alone)
+  get signature() {
+    return JSON.stringify({
+      seed: this.seed,
+      colors: this.colors(),
+      style: this.style(),
+    });
+  }
+
+  colors() {
+    const { temperature: temp } = this.planetData;
+
+    // Base colors from the shared appearance model
+    const colors = {
+      base: this.appearance.colors.base,
+      land: this.appearance.colors.land,
+      atmosphere: this.appearance.colors.atmosphere,
+      emissive: this.appearance.colors.emissive,
+    };
+
+    // Temperature modifications
+    if (temp > 1500) {
+      colors.base = 0xffffff;
+      colors.emissive = 0xffaa00;
+    } else if (temp > 800) {
+      colors.base = PlanetSurface.adjustColor(colors.base, 1.2, 0.1);
+      colors.emissive = 0xff6600;
+    } else if (temp < 100) {
+      colors.base = PlanetSurface.adjustColor(colors.base, 0.7, 0.2);
+    }
+
+    return colors;
+  }
+
+  // Surface color (0-255 channels) at a unit-sphere point, shared by the
+  // texture and map baking
+  colorSampler() {
+    const colors = this.colors();
+    const baseColor = PlanetSurface.hexToRgb(colors.base);
+    const surface = this.style();
+    const landColor =
+      colors.land !== undefined ? PlanetSurface.hexToRgb(colors.land) : null;
+
+    return (point) => this.sampleColor(point, baseColor, landColor, surface);
+  }
+
+  // Bump height in [-1, 1]
+  height(point) {
+    return this.noise.fbm(point.x, point.y, point.z, {
+      frequency: 4,
+      octaves: 6,
+    });
+  }
+
+  // Continents rise where this is high; sea level is a value of it
+  landNoise(point) {
+    return this.noise.warped(point.x, point.y, point.z, {
+      frequency: 1.5,
+      warp: 0.6,
+    });
+  }
+
+  // Vegetation grows where this is high
+  lifeNoise(point) {
+    return this.noise.fbm(point.x + 31.7, point.y + 8.3, point.z + 2.9, {
+      frequency: 3,
+      octaves: 3,
+    });
+  }
+
+  // The value of a noise field (landNoise or lifeNoise) below which
+  // `fraction` of the sphere lies
+  coverageLevel(field, fraction) {
+    if (!this.coverageSamples[field]) {
+      const sample = field === "land" ? this.landNoise : this.lifeNoise;
+      this.coverageSamples[field] = PlanetSurface.spherePoints(
+        SURFACE_COVERAGE_SAMPLES
+      )
+        .map((point) => sample.call(this, point))
+        .sort((a, b) => a - b);
+    }
+    const values = this.coverageSamples[field];
+    const step = Math.round(fraction / SURFACE_COVERAGE_STEP);
+    const quantized = Math.max(0, Math.min(1, step * SURFACE_COVERAGE_STEP));
+    // Clear of every sample at the ends (finite, so it survives JSON)
+    if (quantized <= 0) return values[0] - 1;
+    if (quantized >= 1) return values[values.length - 1] + 1;
+    return values[Math.floor(quantized * values.length)];
+  }
+
+  // { elevation (km from sea level, null on giants), terrain (a name) } at
+  // a unit-sphere point
+  describe(point) {
+    const surface = this.style();
+    if (surface.pattern === "bands") {
+      return { elevation: null, terrain: "Cloud deck" };
+    }
+
+    const land = this.landNoise(point);
+    const elevation = (land - (surface.seaLevel ?? 0)) * SURFACE_RELIEF_KM;
+    let terrain = SURFACE_TERRAIN_NAMES[surface.pattern] || "Plain";
+    if (surface.seaLevel !== undefined && land <= surface.seaLevel) {
+      terrain = surface.pattern === "ocean" ? "Ocean" : "Sea";
+    } else if (
+      surface.lifeLevel !== undefined &&
+      this.lifeNoise(point) > surface.lifeLevel
+    ) {
+      terrain = "Vegetation";
+    }
+    return { elevation, terrain };
+  }
+
+  // Cloud cover in [0, 1] at a unit-sphere point
+  cloudCoverage(point) {
+    // Offset the domain so clouds don't follow the terrain
+    const coverage = this.noise.warped(
+      point.x + 17.3,
+      point.y + 4.1,
+      point.z + 9.7,
+      { frequency: 3, warp: 0.8 }
+    );
+    const t = Math.max(0, Math.min(1, coverage / 0.45));
+    return t * t * (3 - 2 * t);
+  }
+
+  // Writes one layer's RGBA texel for a unit-sphere point into `out`
+  shader(layer) {
+    if (layer === "surface") {
+      const sampleColor = this.colorSampler();
+      return (point, out) => {
+        const color = sampleColor(point);
+        out[0] = color.r;
+        out[1] = color.g;
+        out[2] = color.b;
+        out[3] = 255;
+      };
+    }
+    if (layer === "bump") {
+      return (point, out) => {
+        const value = Math.floor((this.height(point) + 1) * 127.5);
+        out[0] = value;
+        out[1] = value;
+        out[2] = value;
+        out[3] = 255;
+      };
+    }
+    if (layer === "clouds") {
+      return (point, out) => {
+        out[0] = 255;
+        out[1] = 255;
+        out[2] = 255;
+        out[3] = Math.floor(this.cloudCoverage(point) * 0.8 * 255);
+      };
+    }
+    throw new Error(`Unknown surface layer "${layer}"`);
+  }
+
+  // Paint an equirectangular layer by sampling every texel on the unit
+  // sphere, so the map wraps at the meridian and doesn't pinch at the poles.
+  // `scale` shrinks the full-detail size (placeholders).
+  paint(layer, { scale = 1, onProgress } = {}) {
+    const shader = this.shader(layer);
+    const width = Math.max(2, Math.round(SURFACE_LAYERS[layer][0] * scale));
+    const height = Math.max(1, Math.round(SURFACE_LAYERS[layer][1] * scale));
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const out = [0, 0, 0, 255];
+
+    for (let y = 0; y < height; y++) {
+      const v = (y + 0.5) / height;
+      for (let x = 0; x < width; x++) {
+        const point = PlanetNoise.equirectangularPoint((x + 0.5) / width, v);
+        shader(point, out);
+
+        const i = (y * width + x) * 4;
+        pixels[i] = out[0];
+        pixels[i + 1] = out[1];
+        pixels[i + 2] = out[2];
+        pixels[i + 3] = out[3];
+      }
+
+      if (onProgress && (y + 1) % SURFACE_PROGRESS_ROWS === 0) {
+        onProgress((y + 1) / height);
+      }
+    }
+
+    return { layer, width, height, pixels };
+  }
+
+  style() {
+    const appearance = this.appearance;
+    const style = { pattern: appearance.surfacePattern };
+
+    if (appearance.surfacePattern === "bands") {
+      style.bandCount = 5 + (this.seed % 4);
+      style.storm = null;
+
+      if (PlanetAppearance.hasStorm(appearance, this.seed)) {
+        const random = this.random.fork("stormPosition");
+        style.storm = PlanetNoise.equirectangularPoint(
+          random.next(),
+          random.range(0.3, 0.7)
+        );
+        style.stormColor = PlanetSurface.hexToRgb(appearance.colors.storm);
+      }
+    } else {
+      // Seas fill the lowest `oceanFraction` of the land noise (ocean
+      // worlds default to a fixed level) and vegetation covers the top
+      // `lifeCoverage` of the life noise on dry land
+      const { oceanFraction, lifeCoverage } = this.planetData;
+      if (oceanFraction != null) {
+        style.seaLevel = this.coverageLevel("land", oceanFraction);
+      } else if (appearance.surfacePattern === "ocean") {
+        style.seaLevel = 0.15;
+      }
+      if (lifeCoverage > 0) {
+        style.lifeLevel = this.coverageLevel("life", 1 - lifeCoverage);
+      }
+    }
+
+    return style;
+  }
+
+  sampleColor(point, baseColor, landColor, surface) {
+    const noise = this.noise;
+    const { x, y, z } = point;
+
+    // Broad tonal variation plus fine surface grain
+    let shade =
+      noise.fbm(x, y, z, { frequency: 2, octaves: 5 }) * 0.18 +
+      noise.noise3(x * 64, y * 64, z * 64) * 0.04;
+    let overlay = null;
+    let overlayAmount = 0;
+    const wet =
+      surface.seaLevel !== undefined &&
+      this.landNoise(point) <= surface.seaLevel;
+
+    if (surface.pattern === "bands") {
+      // Zonal bands with turbulent edges
+      const warp = noise.fbm(x, y, z, { frequency: 3, octaves: 3 }) * 0.12;
+      shade =
+        Math.sin((y + warp) * surface.bandCount * Math.PI) * 0.15 + shade * 0.3;
+
+      if (surface.storm) {
+        const distance = Math.hypot(
+          x - surface.storm.x,
+          (y - surface.storm.y) * 1.6,
+          z - surface.storm.z
+        );
+        if (distance < 0.25) {
+          overlay = surface.stormColor;
+          overlayAmount = (1 - distance / 0.25) * 0.6;
+        }
+      }
+    } else if (surface.pattern === "craters") {
+      const crater = noise.ridged(x, y, z, { frequency: 4, octaves: 4 });
+      shade += (crater - 0.5) * 0.3;
+    } else if (surface.pattern === "lava") {
+      const vein = noise.ridged(x, y, z, { frequency: 3, octaves: 3 });
+      if (vein > 0.75) {
+        overlay = { r: 255, g: 100, b: 0 };
+        overlayAmount = Math.min(1, (vein - 0.75) / 0.2);
+      }
+    } else if (surface.pattern === "ice") {
+      const crack = noise.ridged(x, y, z, { frequency: 5, octaves: 3 });
+      if (crack > 0.8) {
+        overlay = { r: 200, g: 230, b: 255 };
+        overlayAmount = Math.min(1, (crack - 0.8) / 0.2) * 0.5;
+      }
+    } else if (surface.pattern === "ocean") {
+      // Continents from domain-warped noise
+      if (!wet) {
+        overlay = landColor || {
+          r: Math.min(255, baseColor.r + 40),
+          g: Math.min(255, baseColor.g + 40),
+          b: Math.min(255, baseColor.b + 40),
+        };
+        overlayAmount = 0.7;
+      } else {
+        shade += Math.sin(y * 60 + noise.noise3(x * 8, y * 8, z * 8)) * 0.03;
+      }
+    } else if (surface.pattern === "dunes") {
+      const drift = noise.fbm(x, y, z, { frequency: 2, octaves: 3 }) * 4;
+      shade += Math.sin(y * 40 + drift) * 0.08;
+    }
+
+    if (wet && surface.pattern !== "ocean") {
+      overlay = SURFACE_WATER_COLOR;
+      overlayAmount = 0.8;
+    } else if (
+      !wet &&
+      surface.lifeLevel !== undefined &&
+      this.lifeNoise(point) > surface.lifeLevel
+    ) {
+      overlay = SURFACE_LIFE_COLOR;
+      overlayAmount = 0.6;
+    }
+
+    let r = baseColor.r * (1 + shade);
+    let g = baseColor.g * (1 + shade);
+    let b = baseColor.b * (1 + shade);
+
+    if (overlay) {
+      r += (overlay.r - r) * overlayAmount;
+      g += (overlay.g - g) * overlayAmount;
+      b += (overlay.b - b) * overlayAmount;
+    }
+
+    return {
+      r: Math.max(0, Math.min(255, r)),
+      g: Math.max(0, Math.min(255, g)),
+      b: Math.max(0, Math.min(255, b)),
+    };
+  }
+
+  // Evenly spread unit-sphere points (Fibonacci lattice)
+  static spherePoints(count) {
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    return Array.from({ length: count }, (_, i) => {
+      const y = 1 - ((i + 0.5) / count) * 2;
+      const ring = Math.sqrt(1 - y * y);
+      const angle = i * goldenAngle;
+      return { x: Math.cos(angle) * ring, y, z: Math.sin(angle) * ring };
+    });
+  }
+
+  static adjustColor(color, brightness, saturation) {
+    // Simple color adjustment (placeholder)
+    return color;
+  }
+
+  static hexToRgb(hex) {
+    return {
+      r: (hex >> 16) & 255,
+      g: (hex >> 8) & 255,
+      b: hex & 255,
+    };
+  }
+}
+
+globalThis.PlanetSurface = PlanetSurface;
@@ -0,0 +1,603 @@
+// Planet Terrain
+// Procedural terrain of the full 3D viewer: displaced heights, biome
+// colors and cloud cover at any unit direction, from the planet data, its
+// resolved appearance and the seed. Colors are linear RGB in 0-1 (what
+// three's vertex colors expect). THREE-independent so the same code runs
+// on the page and in the texture worker (see PlanetTextureJobs).
+// Needs PlanetNoise, PlanetAppearance and PlanetBiosphere loaded first.
+
+// Surface zones of tidally locked "eyeball" planets
+const TERRAIN_EYEBALL_COLORS = {
+  nightIce: 0xe8f0ff,
+  nightRock: 0x2a2a2a,
+  twilight: 0x5a6a70,
+  ocean: 0x0a4f7a,
+  melt: 0xff5a1f,
+};
+
+// Names of the ground by height on the color ramp (above sea level), for
+// surface pickers; seas and basins are below 0
+const TERRAIN_CLASSES = [
+  [0.1, "Lowland"],
+  [0.4, "Upland"],
+  [0.7, "Highland"],
+  [Infinity, "Mountains"],
+];
+
+// Vertices displaced between progress reports
+const TERRAIN_PROGRESS_STEP = 2048;
+
+// Tunable look of the terrain, shared by this CPU path and the GPU shader
+// (see PlanetTerrainShader); defaults come from the biome appearance
+const TERRAIN_PARAMS = [
+  // Shifts the color ramp: higher floods more of the surface
+  { name: "seaLevel", label: "Sea level", min: -1, max: 1, step: 0.01 },
+  // Gain between noise octaves: higher is more jagged
+  { name: "roughness", label: "Roughness", min: 0.2, max: 0.8, step: 0.01 },
+  // 0 none, 1 the default share of cratered ground
+  {
+    name: "craterDensity",
+    label: "Crater density",
+    min: 0,
+    max: 4,
+    step: 0.05,
+  },
+  // |y| of the unit direction above which the polar caps start; 1 is none
+  {
+    name: "iceCapLatitude",
+    label: "Ice-cap latitude",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+];
+
+class PlanetTerrain {
+  // `substellarPoint` is a unit { x, y, z } toward the star; only used
+  // when `isTidallyLocked`. `planetRadius` is in scene units. `params`
+  // overrides the biome's TERRAIN_PARAMS defaults.
+  constructor({
+    planetData,
+    appearance,
+    seed,
+    planetRadius,
+    hasStorm = false,
+    isTidallyLocked = false,
+    substellarPoint = null,
+    params = {},
+  }) {
+    this.planetData = planetData;
+    this.appearance = appearance;
+    this.seed = seed;
+    this.planetRadius = planetRadius;
+    this.hasStorm = hasStorm;
+    this.isTidallyLocked = isTidallyLocked && substellarPoint !== null;
+    this.substellarPoint = substellarPoint;
+    this.params = { ...PlanetTerrain.defaultParams(appearance), ...params };
+    this.noise = new PlanetNoise(seed);
+    this.model = this.createModel();
+    this.biosphere = PlanetBiosphere.fromPlanet(planetData);
+  }
+
+  // Plain-data copy of the constructor options (e.g. for a worker)
+  get options() {
+    return {
+      planetData: this.planetData,
+      appearance: this.appearance,
+      seed: this.seed,
+      planetRadius: this.planetRadius,
+      hasStorm: this.hasStorm,
+      isTidallyLocked: this.isTidallyLocked,
+      substellarPoint: this.substellarPoint,
+      params: this.params,
+    };
+  }
+
+  // Everything the terrain depends on: equal signatures give the same
+  // heights and colors
+  get signature() {
+    const { temperature, mass, gravity, radius } = this.planetData;
+    return JSON.stringify({
+      ...this.options,
+      planetData: { temperature, mass, gravity, radius },
+      biosphere: this.biosphere,
+    });
+  }
+
+  // Per-planet terrain factors, computed once and shared by every sample
+  createModel() {
+    const { temperature, mass, gravity } = this.planetData;
+    const radiusEarthRadii = this.planetData.radius;
+    const gasGiant = this.appearance.features.gasGiant;
+
+    // === SCIENTIFIC TERRAIN GENERATION ===
+
+    // 1. GRAVITY EFFECT: Higher gravity = flatter terrain (mountains can't be as tall)
+    // Surface gravity = planet_mass / (planet_radius)^2
+    // Earth's surface gravity is used as baseline
+    const surfaceGravity =
+      gravity / Math.pow(Math.max(radiusEarthRadii, 0.1), 2);
+    const gravityFactor = Math.pow(1 / Math.max(surfaceGravity, 0.1), 0.4);
+
+    // 2. TEMPERATURE EFFECT: Affects erosion and weathering
+    // Hot planets (>400K): more erosion, smoother
+    // Cold planets (<200K): less erosion, preserve sharp features
+    // Temperate (200-400K): moderate erosion
+    const tempFactor = temperature > 400 ? 0.6 : temperature < 200 ? 1.3 : 1.0;
+
+    // 3. SIZE EFFECT: Larger planets have more varied terrain
+    const sizeFactor = Math.pow(Math.max(radiusEarthRadii, 0.3), 0.3);
+
+    // 4. TECTONIC ACTIVITY: Based on planet size and age
+    // Larger rocky planets = more active tectonics
+    const tectonicActivity = gasGiant
+      ? 0
+      : mass > 0.5 && mass < 3.0
+      ? 1.2
+      : 0.8;
+
+    return {
+      gravityFactor,
+      tempFactor,
+      sizeFactor,
+      // Base amplitude for the fBm terrain height
+      amplitude: gravityFactor * tempFactor * sizeFactor,
+      tectonicActivity,
+      // Older, smaller planets have more visible craters
+      // (atmosphere on larger planets erodes craters)
+      craters: mass < 2.0 && !gasGiant,
+      // Earth-sized planets: up to 10% relief
+      // Larger planets: higher absolute relief but lower % due to gravity
+      maxDisplacement: this.planetRadius * 0.12 * gravityFactor,
+    };
+  }
+
+  // Terrain at a unit direction: relative height, radial displacement
+  // in scene units and linear color
+  sample(normalized) {
+    const model = this.model;
+    const appearance = this.appearance;
+    const { temperature, mass } = this.planetData;
+
+    // Six-octave fBm; it is normalized, so scale by the summed
+    // octave amplitudes (~2) to keep the relief of the old loop
+    const noiseValue = this.noise.fbm(
+      normalized.x,
+      normalized.y,
+      normalized.z,
+      { frequency: 2.0, octaves: 6, gain: this.params.roughness }
+    );
+    let height = noiseValue * 2.0 * model.amplitude * model.tectonicActivity;
+
+    // 5. Apply biome-specific modifications with scientific basis
+    height = this.applyBiomeModifications(
+      height,
+      appearance.terrain,
+      normalized,
+      temperature,
+      mass,
+      this.planetData.radius // Original radius in Earth radii
+    );
+
+    // 6. IMPACT CRATERS (the density lowers the noise threshold)
+    if (model.craters) {
+      const craterNoise = this.noise.noise3(
+        normalized.x * 25,
+        normalized.y * 25,
+        normalized.z * 25
+      );
+      const threshold = 1 - 0.15 * this.params.craterDensity;
+      if (craterNoise > threshold) {
+        const craterDepth = (craterNoise - threshold) * 3.0;
+        height -= craterDepth * (1 / Math.max(mass, 0.5));
+      }
+    }
+
+    // 7. Color based on height, biome, temperature, and latitude
+    const latitude = Math.abs(normalized.y);
+    const finalHeight = height + normalized.y * 0.3;
+    const color = this.terrainColor(
+      finalHeight,
+      appearance,
+      temperature,
+      normalized,
+      latitude,
+      mass
+    );
+
+    // 8. Life: vegetation on land, microbial mats in shallow seas
+    if (
+      this.biosphere &&
+      !appearance.features.gasGiant &&
+      latitude <= this.params.iceCapLatitude
+    ) {
+      PlanetBiosphere.colorTerrain(color, this.biosphere, {
+        direction: normalized,
+        value: finalHeight - this.params.seaLevel,
+        latitude,
+        temperature,
+        hasSeas: appearance.surfacePattern === "ocean",
+        noise: this.noise,
+      });
+    }
+
+    // 9. Tidally locked: ocean/melt under the star, ice on the night side
+    if (this.isTidallyLocked) {
+      this.applyEyeballColoring(
+        color,
+        height,
+        PlanetTerrain.dot(normalized, this.substellarPoint),
+        temperature
+      );
+    }
+
+    return {
+      height,
+      displacement: model.maxDisplacement * height,
+      color,
+    };
+  }
+
+  // Pushes every vertex of a sphere centered on the origin out along its
+  // direction and returns matching linear colors (3 floats per vertex).
+  // `positions` is modified in place.
+  displace(positions, onProgress) {
+    const colors = new Float32Array(positions.length);
+    const direction = { x: 0, y: 0, z: 0 };
+    const count = positions.length / 3;
+
+    for (let v = 0; v < count; v++) {
+      const i = v * 3;
+      const length =
+        Math.hypot(positions[i], positions[i + 1], positions[i + 2]) || 1;
+      direction.x = positions[i] / length;
+      direction.y = positions[i + 1] / length;
+      direction.z = positions[i + 2] / length;
+      const { displacement, color } = this.sample(direction);
+
+      positions[i] += direction.x * displacement;
+      positions[i + 1] += direction.y * displacement;
+      positions[i + 2] += direction.z * displacement;
+
+      colors[i] = color.r;
+      colors[i + 1] = color.g;
+      colors[i + 2] = color.b;
+
+      if (onProgress && (v + 1) % TERRAIN_PROGRESS_STEP === 0) {
+        onProgress((v + 1) / count);
+      }
+    }
+    return colors;
+  }
+
+  applyBiomeModifications(
+    height,
+    terrain,
+    normalizedPos,
+    temperature,
+    mass,
+    radius
+  ) {
+    if (terrain === "desert") {
+      // Deserts: Wind erosion creates dunes (scale with atmosphere thickness)
+      // Lower mass = thinner atmosphere = sharper dunes
+      const atmosphereFactor = Math.min(mass / 1.0, 1.5);
+      height *= 0.35 * atmosphereFactor;
+
+      // Large-scale dune formations
+      const duneNoise = this.noise.noise3(
+        normalizedPos.x * 8,
+        normalizedPos.y * 8,
+        normalizedPos.z * 8
+      );
+      height += duneNoise * 0.25;
+
+      // Small ripples (based on temperature - hotter = more active)
+      const rippleFactor = temperature > 350 ? 1.2 : 0.8;
+      const rippleNoise = this.noise.noise3(
+        normalizedPos.x * 30,
+        normalizedPos.y * 30,
+        normalizedPos.z * 30
+      );
+      height += rippleNoise * 0.08 * rippleFactor;
+    } else if (terrain === "volcanic") {
+      // Volcanic: Young, active surfaces with dramatic relief
+      // Shield volcanoes (low slopes) vs stratovolcanoes (steep)
+      const volcanoType = mass > 1.5 ? "shield" : "strato";
+
+      if (volcanoType === "shield") {
+        // Shield volcanoes: gentle slopes, like Hawaii
+        height = Math.pow(Math.abs(height), 1.3) * Math.sign(height);
+      } else {
+        // Stratovolcanoes: steep, dramatic peaks
+        height = Math.pow(Math.abs(height), 2.0) * Math.sign(height);
+      }
+
+      // Volcanic cones and calderas
+      const volcanoNoise = this.noise.noise3(
+        normalizedPos.x * 3,
+        normalizedPos.y * 3,
+        normalizedPos.z * 3
+      );
+      if (volcanoNoise > 0.45) {
+        const caldera = (volcanoNoise - 0.45) * 2.5;
+        height += caldera;
+
+        // Crater at peak
+        if (volcanoNoise > 0.7) {
+          height -= (volcanoNoise - 0.7) * 1.5;
+        }
+      }
+
+      // Lava flows (smoother than surrounding terrain)
+      const lavaFlow = this.noise.noise3(
+        normalizedPos.x * 15,
+        normalizedPos.y * 15,
+        normalizedPos.z * 15
+      );
+      if (lavaFlow > 0.6) {
+        height *= 0.7; // Smooth lava plains
+      }
+    } else if (terrain === "ice") {
+      // Ice worlds: Glacial erosion creates U-shaped valleys
+      // Cryovolcanism on larger ice moons
+      height *= 0.45;
+
+      // Glacial valleys
+      const valleyNoise = this.noise.noise3(
+        normalizedPos.x * 5,
+        normalizedPos.y * 5,
+        normalizedPos.z * 5
+      );
+      if (valleyNoise < -0.2) {
+        height += (valleyNoise + 0.2) * 0.8; // Carved valleys
+      }
+
+      // Ice caps (thicker at poles, handled in color)
+      // Subsurface ocean = smoother ice shell
+      if (mass > 0.02 && radius < 50) {
+        // Moon-sized with potential ocean
+        height *= 0.7; // Smoother shell over liquid ocean
+      }
+    } else if (terrain === "ocean") {
+      // Ocean worlds: Volcanic islands, continental shelves, ocean trenches
+      // Depth varies with tectonic activity
+
+      // Continental plate distribution
+      const plateNoise = this.noise.noise3(
+        normalizedPos.x * 2,
+        normalizedPos.y * 2,
+        normalizedPos.z * 2
+      );
+
+      if (plateNoise > 0.25) {
+        // Islands and continents
+        const landHeight = (plateNoise - 0.25) * 1.8;
+        height = landHeight;
+
+        // Mountain ranges at plate boundaries
+        const mountainNoise = this.noise.noise3(
+          normalizedPos.x * 8,
+          normalizedPos.y * 8,
+          normalizedPos.z * 8
+        );
+        if (mountainNoise > 0.5 && plateNoise > 0.4) {
+          height += (mountainNoise - 0.5) * 1.0;
+        }
+      } else {
+        // Ocean floor
+        height = -0.6 + plateNoise * 0.5;
+
+        // Ocean trenches (subduction zones)
+        const trenchNoise = this.noise.noise3(
+          normalizedPos.x * 12,
+          normalizedPos.y * 12,
+          normalizedPos.z * 12
+        );
+        if (trenchNoise < -0.6) {
+          height -= (trenchNoise + 0.6) * 2.0; // Deep trenches
+        }
+      }
+    } else if (terrain === "gas") {
+      // Gas giants: Banded structure, oval storms
+      // Bands are zonal jets at different latitudes
+      const latitude = Math.abs(normalizedPos.y);
+
+      // Large-scale bands (alternating eastward/westward jets)
+      height = Math.sin(normalizedPos.y * 18 + normalizedPos.x * 2) * 0.06;
+
+      // Turbulence at band boundaries
+      const turbulence = this.noise.noise3(
+        normalizedPos.x * 15,
+        normalizedPos.y * 15,
+        normalizedPos.z * 15
+      );
+      height += turbulence * 0.03;
+
+      // Great storm (like Jupiter's Great Red Spot)
+      const stormX = Math.abs(normalizedPos.x - 0.3);
+      const stormY = Math.abs(normalizedPos.y + 0.15);
+      if (this.hasStorm && stormX < 0.2 && stormY < 0.12) {
+        const stormDist = Math.sqrt(
+          Math.pow(stormX / 0.2, 2) + Math.pow(stormY / 0.12, 2)
+        );
+        if (stormDist < 1.0) {
+          height += (1.0 - stormDist) * 0.15; // Raised storm
+        }
+      }
+    } else {
+      // Temperate/Rocky: Earth-like with varied terrain
+      // Continental drift, mountain building, erosion
+      height *= 0.85;
+
+      // Mountain ranges (orogenic belts)
+      const mountainNoise = this.noise.noise3(
+        normalizedPos.x * 2.5,
+        normalizedPos.y * 2.5,
+        normalizedPos.z * 2.5
+      );
+      if (mountainNoise > 0.35) {
+        // Young, tall mountains
+        height += Math.pow((mountainNoise - 0.35) * 2, 1.5);
+      }
+
+      // River valleys (water erosion)
+      const riverNoise = this.noise.noise3(
+        normalizedPos.x * 12,
+        normalizedPos.y * 12,
+        normalizedPos.z * 12
+      );
+      if (riverNoise < -0.3 && height > 0) {
+        height *= 0.7; // Carved river valleys
+      }
+
+      // Plateaus (ancient, flat uplifted regions)
+      const plateauNoise = this.noise.noise3(
+        normalizedPos.x * 1.5,
+        normalizedPos.y * 1.5,
+        normalizedPos.z * 1.5
+      );
+      if (plateauNoise > 0.6) {
+        height = 0.5 + (plateauNoise - 0.6) * 0.3; // Flat-topped plateaus
+      }
+    }
+
+    return height;
+  }
+
+  // Day/night zoning of a tidally locked "eyeball" planet.
+  // cosZenith is the cosine of the angle from the substellar point.
+  applyEyeballColoring(color, height, cosZenith, temperature) {
+    const smoothstep = (edge0, edge1, x) => {
+      const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+      return t * t * (3 - 2 * t);
+    };
+    const colors = TERRAIN_EYEBALL_COLORS;
+    const isHot = temperature > 500;
+
+    // Night side: permanent ice sheet (bare cooled rock on hot worlds)
+    const night = smoothstep(-0.05, -0.35, cosZenith);
+    if (night > 0) {
+      const ground = isHot ? colors.nightRock : colors.nightIce;
+      PlanetTerrain.lerp(color, ground, night);
+    }
+
+    // Twilight ring: dim, cold band along the terminator
+    const twilight = 1 - smoothstep(0, 0.2, Math.abs(cosZenith));
+    PlanetTerrain.lerp(color, colors.twilight, twilight * 0.35);
+
+    // Substellar zone: open ocean, or a melt pool on hot worlds
+    const substellar = smoothstep(0.55, 0.8, cosZenith);
+    if (substellar > 0) {
+      if (isHot) {
+        PlanetTerrain.lerp(color, colors.melt, substellar);
+      } else if (temperature > 150 && height < 0.5) {
+        PlanetTerrain.lerp(color, colors.ocean, substellar);
+      }
+    }
+  }
+
+  terrainColor(height, appearance, temperature, normalizedPos, latitude, mass) {
+    // Latitude variation affects temperature distribution
+    // Poles are colder, equator is warmer
+    if (latitude > this.params.iceCapLatitude) {
+      return PlanetTerrain.linearColor(PlanetTerrain.iceCapColor(appearance));
+    }
+
+    if (appearance.terrain === "gas") {
+      // Giant bands (Jupiter-like), ramp indexed by band value
+      const bandValue = Math.sin(normalizedPos.y * 15) * 0.5 + 0.5;
+      const hex = PlanetAppearance.sampleRamp(appearance.ramp, bandValue);
+
+      // Add the Great Red Spot effect
+      const spotX = Math.abs(normalizedPos.x - 0.3);
+      const spotY = Math.abs(normalizedPos.y + 0.2);
+      if (this.hasStorm && spotX < 0.15 && spotY < 0.1) {
+        return PlanetTerrain.linearColor(appearance.colors.storm);
+      }
+      return PlanetTerrain.linearColor(hex);
+    }
+
+    const value = height - this.params.seaLevel;
+    return PlanetTerrain.linearColor(
+      PlanetAppearance.sampleRamp(appearance.ramp, value)
+    );
+  }
+
+  // Coarse name of the ground at a unit direction with relative `height`
+  // (sample().height)
+  classify(direction, height) {
+    if (this.appearance.terrain === "gas") return "Cloud deck";
+    if (Math.abs(direction.y) > this.params.iceCapLatitude) return "Ice cap";
+
+    const value = height + direction.y * 0.3 - this.params.seaLevel;
+    if (value < 0) {
+      return this.appearance.surfacePattern === "ocean" ? "Ocean" : "Basin";
+    }
+    return TERRAIN_CLASSES.find(([below]) => value < below)[1];
+  }
+
+  // Cloud cover (0 or 1) at a unit direction
+  cloudCoverage(direction) {
+    const cloudNoise = this.noise.noise3(
+      direction.x * 5,
+      direction.y * 5,
+      direction.z * 5
+    );
+
+    // Locked planets: convection piles clouds over the substellar point
+    const substellarBoost = this.isTidallyLocked
+      ? PlanetTerrain.dot(direction, this.substellarPoint) * 0.5
+      : 0;
+
+    return cloudNoise + substellarBoost > 0.2 ? 1 : 0;
+  }
+
+  static defaultParams(appearance) {
+    return {
+      seaLevel: 0,
+      roughness: 0.5,
+      craterDensity: 1,
+      iceCapLatitude: appearance.polarCap ? appearance.polarCap.latitude : 1,
+    };
+  }
+
+  static iceCapColor(appearance) {
+    return appearance.polarCap ? appearance.polarCap.color : 0xffffff;
+  }
+
+  static dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  // In-place blend of linear colors; `target` is a hex sRGB color
+  static lerp(color, target, t) {
+    const { r, g, b } = PlanetTerrain.linearColor(target);
+    color.r += (r - color.r) * t;
+    color.g += (g - color.g) * t;
+    color.b += (b - color.b) * t;
+    return color;
+  }
+
+  // Hex sRGB color to linear RGB in 0-1
+  static linearColor(hex) {
+    const toLinear = (channel) => {
+      const c = channel / 255;
+      return c < 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return {
+      r: toLinear((hex >> 16) & 255),
+      g: toLinear((hex >> 8) & 255),
+      b: toLinear(hex & 255),
+    };
+  }
+
+  // Linear RGB in 0-1 to sRGB channels in 0-255
+  static toSRGB({ r, g, b }) {
+    const toSRGB = (c) =>
+      (c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255;
+    return { r: toSRGB(r), g: toSRGB(g), b: toSRGB(b) };
+  }
+}
+
+globalThis.PlanetTerrain = PlanetTerrain;
@@ -0,0 +1,477 @@
+// Planet Terrain Shader
+// GPU port of PlanetTerrain for live tuning: the seeded simplex noise, the
+// biome height modifiers and the color ramps run in a MeshStandardMaterial
+// patched through onBeforeCompile, so lighting and shadows stay three's.
+// The vertex shader displaces an undisplaced cube-sphere and derives
+// normals from neighboring heights; the fragment shader colors each pixel
+// from the interpolated height. The TERRAIN_PARAMS are uniforms and can
+// change every frame; everything else is fixed per planet, like the CPU
+// terrain, which stays the source of truth for export, baking and LOD.
+// Biosphere tints (see PlanetBiosphere) are left out of the port.
+// THREE is passed in. Needs PlanetTerrain and PlanetTerrainLod loaded first.
+
+// Quads along each cube face edge of the shader mesh
+const TERRAIN_SHADER_RESOLUTION = 96;
+
+// Uniform names of the tunable params
+const TERRAIN_SHADER_UNIFORMS = {
+  seaLevel: "terrainSeaLevel",
+  roughness: "terrainRoughness",
+  craterDensity: "terrainCraterDensity",
+  iceCapLatitude: "terrainIceCapLatitude",
+};
+
+// Seeded simplex noise and terrain height, a line-by-line port of
+// PlanetNoise and PlanetTerrain.sample (vertex stage)
+const TERRAIN_GLSL_HEIGHT = `
+uniform sampler2D terrainPerm;
+uniform float terrainRoughness;
+uniform float terrainCraterDensity;
+uniform float terrainRadius;
+uniform float terrainMaxDisplacement;
+uniform float terrainAmplitude;
+uniform float terrainTectonicActivity;
+uniform float terrainCraters;
+uniform float terrainMass;
+uniform float terrainTemperature;
+uniform float terrainRadiusEarthRadii;
+uniform float terrainHasStorm;
+uniform float terrainNormalStep;
+
+varying vec3 vTerrainDirection;
+varying float vTerrainHeight;
+
+const vec3 SIMPLEX_GRADIENTS[12] = vec3[12](
+  vec3(1.0, 1.0, 0.0), vec3(-1.0, 1.0, 0.0),
+  vec3(1.0, -1.0, 0.0), vec3(-1.0, -1.0, 0.0),
+  vec3(1.0, 0.0, 1.0), vec3(-1.0, 0.0, 1.0),
+  vec3(1.0, 0.0, -1.0), vec3(-1.0, 0.0, -1.0),
+  vec3(0.0, 1.0, 1.0), vec3(0.0, -1.0, 1.0),
+  vec3(0.0, 1.0, -1.0), vec3(0.0, -1.0, -1.0)
+);
+
+int terrainPermAt(int i) {
+  return int(texelFetch(terrainPerm, ivec2(i, 0), 0).r * 255.0 + 0.5);
+}
+
+float simplexCorner(vec3 offset, int gradient) {
+  float t = 0.6 - dot(offset, offset);
+  if (t <= 0.0) return 0.0;
+  t *= t;
+  return t * t * dot(SIMPLEX_GRADIENTS[gradient], offset);
+}
+
+float noise3(vec3 p) {
+  const float F3 = 1.0 / 3.0;
+  const float G3 = 1.0 / 6.0;
+
+  float s = (p.x + p.y + p.z) * F3;
+  vec3 cell = floor(p + s);
+  float t = (cell.x + cell.y + cell.z) * G3;
+  vec3 x0 = p - (cell - t);
+
+  vec3 i1;
+  vec3 i2;
+  if (x0.x >= x0.y) {
+    if (x0.y >= x0.z) {
+      i1 = vec3(1.0, 0.0, 0.0); i2 = vec3(1.0, 1.0, 0.0);
+    } else if (x0.x >= x0.z) {
+      i1 = vec3(1.0, 0.0, 0.0); i2 = vec3(1.0, 0.0, 1.0);
+    } else {
+      i1 = vec3(0.0, 0.0, 1.0); i2 = vec3(1.0, 0.0, 1.0);
+    }
+  } else if (x0.y < x0.z) {
+    i1 = vec3(0.0, 0.0, 1.0); i2 = vec3(0.0, 1.0, 1.0);
+  } else if (x0.x < x0.z) {
+    i1 = vec3(0.0, 1.0, 0.0); i2 = vec3(0.0, 1.0, 1.0);
+  } else {
+    i1 = vec3(0.0, 1.0, 0.0); i2 = vec3(1.0, 1.0, 0.0);
+  }
+
+  vec3 x1 = x0 - i1 + G3;
+  vec3 x2 = x0 - i2 + 2.0 * G3;
+  vec3 x3 = x0 - 1.0 + 3.0 * G3;
+
+  ivec3 c = ivec3(mod(cell, 256.0));
+  ivec3 c1 = ivec3(i1);
+  ivec3 c2 = ivec3(i2);
+  int g0 = terrainPermAt(c.x + terrainPermAt(c.y + terrainPermAt(c.z))) % 12;
+  int g1 = terrainPermAt(
+    c.x + c1.x + terrainPermAt(c.y + c1.y + terrainPermAt(c.z + c1.z))
+  ) % 12;
+  int g2 = terrainPermAt(
+    c.x + c2.x + terrainPermAt(c.y + c2.y + terrainPermAt(c.z + c2.z))
+  ) % 12;
+  int g3 = terrainPermAt(
+    c.x + 1 + terrainPermAt(c.y + 1 + terrainPermAt(c.z + 1))
+  ) % 12;
+
+  return 32.0 * (
+    simplexCorner(x0, g0) + simplexCorner(x1, g1) +
+    simplexCorner(x2, g2) + simplexCorner(x3, g3)
+  );
+}
+
+float fbm(vec3 p, float frequency, int octaves, float gain) {
+  float sum = 0.0;
+  float amplitude = 1.0;
+  float total = 0.0;
+  float freq = frequency;
+  for (int octave = 0; octave < octaves; octave++) {
+    sum += noise3(p * freq) * amplitude;
+    total += amplitude;
+    amplitude *= gain;
+    freq *= 2.0;
+  }
+  return sum / total;
+}
+
+float biomeHeight(float height, vec3 n) {
+#if defined(TERRAIN_DESERT)
+  height *= 0.35 * min(terrainMass, 1.5);
+  height += noise3(n * 8.0) * 0.25;
+  float rippleFactor = terrainTemperature > 350.0 ? 1.2 : 0.8;
+  height += noise3(n * 30.0) * 0.08 * rippleFactor;
+#elif defined(TERRAIN_VOLCANIC)
+  float exponent = terrainMass > 1.5 ? 1.3 : 2.0;
+  height = pow(abs(height), exponent) * sign(height);
+  float volcano = noise3(n * 3.0);
+  if (volcano > 0.45) {
+    height += (volcano - 0.45) * 2.5;
+    if (volcano > 0.7) height -= (volcano - 0.7) * 1.5;
+  }
+  if (noise3(n * 15.0) > 0.6) height *= 0.7;
+#elif defined(TERRAIN_ICE)
+  height *= 0.45;
+  float valley = noise3(n * 5.0);
+  if (valley < -0.2) height += (valley + 0.2) * 0.8;
+  if (terrainMass > 0.02 && terrainRadiusEarthRadii < 50.0) height *= 0.7;
+#elif defined(TERRAIN_OCEAN)
+  float plate = noise3(n * 2.0);
+  if (plate > 0.25) {
+    height = (plate - 0.25) * 1.8;
+    float mountain = noise3(n * 8.0);
+    if (mountain > 0.5 && plate > 0.4) height += (mountain - 0.5) * 1.0;
+  } else {
+    height = -0.6 + plate * 0.5;
+    float trench = noise3(n * 12.0);
+    if (trench < -0.6) height -= (trench + 0.6) * 2.0;
+  }
+#elif defined(TERRAIN_GAS)
+  height = sin(n.y * 18.0 + n.x * 2.0) * 0.06;
+  height += noise3(n * 15.0) * 0.03;
+  vec2 storm = abs(vec2(n.x - 0.3, n.y + 0.15));
+  if (terrainHasStorm > 0.5 && storm.x < 0.2 && storm.y < 0.12) {
+    float stormDistance = length(storm / vec2(0.2, 0.12));
+    if (stormDistance < 1.0) height += (1.0 - stormDistance) * 0.15;
+  }
+#else
+  height *= 0.85;
+  float mountain = noise3(n * 2.5);
+  if (mountain > 0.35) height += pow((mountain - 0.35) * 2.0, 1.5);
+  if (noise3(n * 12.0) < -0.3 && height > 0.0) height *= 0.7;
+  float plateau = noise3(n * 1.5);
+  if (plateau > 0.6) height = 0.5 + (plateau - 0.6) * 0.3;
+#endif
+  return height;
+}
+
+float terrainHeight(vec3 n) {
+  float height = fbm(n, 2.0, 6, terrainRoughness) * 2.0 * terrainAmplitude *
+    terrainTectonicActivity;
+  height = biomeHeight(height, n);
+
+  if (terrainCraters > 0.5) {
+    float crater = noise3(n * 25.0);
+    float threshold = 1.0 - 0.15 * terrainCraterDensity;
+    if (crater > threshold) {
+      height -= (crater - threshold) * 3.0 / max(terrainMass, 0.5);
+    }
+  }
+  return height;
+}
+
+vec3 terrainPoint(vec3 direction) {
+  return direction *
+    (terrainRadius + terrainMaxDisplacement * terrainHeight(direction));
+}
+
+// Normal from heights a step away along tangents of the direction (as
+// PlanetTerrainLod.surfaceNormal)
+vec3 terrainNormal(vec3 n, vec3 center) {
+  vec3 axis = abs(n.x) < 0.9 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0);
+  vec3 tangent = normalize(cross(n, axis));
+  vec3 bitangent = cross(n, tangent);
+  vec3 east = terrainPoint(normalize(n + tangent * terrainNormalStep));
+  vec3 north = terrainPoint(normalize(n + bitangent * terrainNormalStep));
+  return normalize(cross(east - center, north - center));
+}
+`;
+
+// Color ramp, polar caps and eyeball zoning, a port of
+// PlanetTerrain.terrainColor and applyEyeballColoring (fragment stage)
+const TERRAIN_GLSL_COLOR = `
+uniform float terrainSeaLevel;
+uniform float terrainIceCapLatitude;
+uniform vec3 terrainIceCapColor;
+uniform float terrainRampStops[TERRAIN_RAMP_SIZE];
+uniform vec3 terrainRampColors[TERRAIN_RAMP_SIZE];
+uniform vec3 terrainStormColor;
+uniform float terrainHasStorm;
+uniform float terrainTemperature;
+uniform vec3 terrainSubstellarPoint;
+uniform vec3 terrainEyeballColors[5];
+
+varying vec3 vTerrainDirection;
+varying float vTerrainHeight;
+
+vec3 sampleRamp(float value) {
+  for (int i = 0; i < TERRAIN_RAMP_SIZE; i++) {
+    if (value < terrainRampStops[i]) return terrainRampColors[i];
+  }
+  return terrainRampColors[TERRAIN_RAMP_SIZE - 1];
+}
+
+// Also for edge0 > edge1, like the CPU helper
+float terrainSmoothstep(float edge0, float edge1, float x) {
+  float t = clamp((x - edge0) / (edge1 - edge0), 0.0, 1.0);
+  return t * t * (3.0 - 2.0 * t);
+}
+
+vec3 terrainColor(float height, vec3 n) {
+  vec3 color;
+  if (abs(n.y) > terrainIceCapLatitude) {
+    color = terrainIceCapColor;
+  } else {
+#if defined(TERRAIN_GAS)
+    vec2 spot = abs(vec2(n.x - 0.3, n.y + 0.2));
+    if (terrainHasStorm > 0.5 && spot.x < 0.15 && spot.y < 0.1) {
+      color = terrainStormColor;
+    } else {
+      color = sampleRamp(sin(n.y * 15.0) * 0.5 + 0.5);
+    }
+#else
+    color = sampleRamp(height + n.y * 0.3 - terrainSeaLevel);
+#endif
+  }
+
+#if defined(TERRAIN_EYEBALL)
+  // nightIce, nightRock, twilight, ocean, melt
+  float cosZenith = dot(n, terrainSubstellarPoint);
+  bool isHot = terrainTemperature > 500.0;
+  float night = terrainSmoothstep(-0.05, -0.35, cosZenith);
+  color = mix(
+    color,
+    isHot ? terrainEyeballColors[1] : terrainEyeballColors[0],
+    night
+  );
+  float twilight = 1.0 - terrainSmoothstep(0.0, 0.2, abs(cosZenith));
+  color = mix(color, terrainEyeballColors[2], twilight * 0.35);
+  float substellar = terrainSmoothstep(0.55, 0.8, cosZenith);
+  if (isHot) {
+    color = mix(color, terrainEyeballColors[4], substellar);
+  } else if (terrainTemperature > 150.0 && height < 0.5) {
+    color = mix(color, terrainEyeballColors[3], substellar);
+  }
+#endif
+  return color;
+}
+`;
+
+class PlanetTerrainShader {
+  constructor(THREE, terrain) {
+    this.THREE = THREE;
+    this.terrain = terrain;
+    this.params = { ...terrain.params };
+    this.permTexture = PlanetTerrainShader.permTexture(THREE, terrain.noise);
+    this.uniforms = this.createUniforms();
+    this.material = this.createMaterial();
+  }
+
+  createUniforms() {
+    const THREE = this.THREE;
+    const { terrain } = this;
+    const { appearance, planetData, model } = terrain;
+    const vector = (hex) => {
+      const { r, g, b } = PlanetTerrain.linearColor(hex);
+      return new THREE.Vector3(r, g, b);
+    };
+    const substellar = terrain.substellarPoint || { x: 1, y: 0, z: 0 };
+
+    const uniforms = {
+      terrainPerm: { value: this.permTexture },
+      terrainRadius: { value: terrain.planetRadius },
+      terrainMaxDisplacement: { value: model.maxDisplacement },
+      terrainAmplitude: { value: model.amplitude },
+      terrainTectonicActivity: { value: model.tectonicActivity },
+      terrainCraters: { value: model.craters ? 1 : 0 },
+      terrainMass: { value: planetData.mass },
+      terrainTemperature: { value: planetData.temperature },
+      terrainRadiusEarthRadii: { value: planetData.radius },
+      terrainHasStorm: { value: terrain.hasStorm ? 1 : 0 },
+      terrainNormalStep: {
+        value: (Math.PI / 4) * (2 / TERRAIN_SHADER_RESOLUTION),
+      },
+      terrainIceCapColor: {
+        value: vector(PlanetTerrain.iceCapColor(appearance)),
+      },
+      // Stepped stops; the open-ended last one becomes a huge threshold
+      terrainRampStops: {
+        value: appearance.ramp.map(([stop]) => Math.min(stop, 1e30)),
+      },
+      terrainRampColors: {
+        value: appearance.ramp.map(([, color]) => vector(color)),
+      },
+      terrainStormColor: { value: vector(appearance.colors.storm || 0) },
+      terrainSubstellarPoint: {
+        value: new THREE.Vector3(substellar.x, substellar.y, substellar.z),
+      },
+      terrainEyeballColors: {
+        value: [
+          TERRAIN_EYEBALL_COLORS.nightIce,
+          TERRAIN_EYEBALL_COLORS.nightRock,
+          TERRAIN_EYEBALL_COLORS.twilight,
+          TERRAIN_EYEBALL_COLORS.ocean,
+          TERRAIN_EYEBALL_COLORS.melt,
+        ].map(vector),
+      },
+    };
+    Object.entries(TERRAIN_SHADER_UNIFORMS).forEach(([param, name]) => {
+      uniforms[name] = { value: this.params[param] };
+    });
+    return uniforms;
+  }
+
+  createMaterial() {
+    const { terrain, uniforms } = this;
+    const material = new this.THREE.MeshStandardMaterial({
+      roughness: 0.7,
+      metalness: 0.1,
+    });
+    material.name = "TerrainShader";
+
+    const { appearance } = terrain;
+    material.defines = {
+      [`TERRAIN_${appearance.terrain.toUpperCase()}`]: "",
+      TERRAIN_RAMP_SIZE: appearance.ramp.length,
+    };
+    if (terrain.isTidallyLocked) material.defines.TERRAIN_EYEBALL = "";
+
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, uniforms);
+      // Normals come first in three's vertex shader, so the height is
+      // sampled there and reused for the position
+      shader.vertexShader = shader.vertexShader
+        .replace("#include <common>", `$&\n${TERRAIN_GLSL_HEIGHT}`)
+        .replace(
+          "#include <beginnormal_vertex>",
+          `vTerrainDirection = normalize(position);
+          vTerrainHeight = terrainHeight(vTerrainDirection);
+          vec3 terrainCenter = vTerrainDirection *
+            (terrainRadius + terrainMaxDisplacement * vTerrainHeight);
+          vec3 objectNormal = terrainNormal(vTerrainDirection, terrainCenter);`
+        )
+        .replace(
+          "#include <begin_vertex>",
+          "vec3 transformed = terrainCenter;"
+        );
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `$&\n${TERRAIN_GLSL_COLOR}`)
+        .replace(
+          "#include <color_fragment>",
+          `$&
+          diffuseColor.rgb *= terrainColor(
+            vTerrainHeight,
+            normalize(vTerrainDirection)
+          );`
+        );
+    };
+    return material;
+  }
+
+  // Undisplaced cube-sphere for the material; shadows would need a
+  // displaced depth material too, so it only receives them
+  createMesh() {
+    const THREE = this.THREE;
+    const n = TERRAIN_SHADER_RESOLUTION;
+    const row = n + 1;
+    const positions = new Float32Array(6 * row * row * 3);
+    const indices = new Uint32Array(6 * n * n * 6);
+    const radius = this.terrain.planetRadius;
+    let vertex = 0;
+    let index = 0;
+
+    for (let face = 0; face < 6; face++) {
+      const first = vertex;
+      for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+          const point = PlanetTerrainLod.facePoint(
+            face,
+            -1 + (2 * i) / n,
+            -1 + (2 * j) / n
+          );
+          positions[vertex * 3] = point.x * radius;
+          positions[vertex * 3 + 1] = point.y * radius;
+          positions[vertex * 3 + 2] = point.z * radius;
+          vertex++;
+        }
+      }
+      for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+          const a = first + j * row + i;
+          indices.set([a, a + 1, a + row + 1, a, a + row + 1, a + row], index);
+          index += 6;
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    // Lighting reads the shader's normals; this only satisfies three
+    geometry.setAttribute(
+      "normal",
+      new THREE.BufferAttribute(new Float32Array(positions.length), 3)
+    );
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    // Room for the relief in frustum culling
+    geometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3(),
+      radius + Math.abs(this.terrain.model.maxDisplacement) * 4
+    );
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = "TerrainShader";
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+
+  // Updates the given TERRAIN_PARAMS; takes effect on the next frame
+  setParams(params) {
+    Object.entries(params).forEach(([param, value]) => {
+      const name = TERRAIN_SHADER_UNIFORMS[param];
+      if (!name) return;
+      this.params[param] = value;
+      this.uniforms[name].value = value;
+    });
+  }
+
+  dispose() {
+    this.material.dispose();
+    this.permTexture.dispose();
+  }
+
+  // The noise's doubled permutation table as a 512×1 texture for texelFetch
+  static permTexture(THREE, noise) {
+    const texture = new THREE.DataTexture(
+      new Uint8Array(noise.perm),
+      noise.perm.length,
+      1,
+      THREE.RedFormat,
+      THREE.UnsignedByteType
+    );
+    texture.needsUpdate = true;
+    return texture;
+  }
+}
+
+globalThis.PlanetTerrainShader = PlanetTerrainShader;
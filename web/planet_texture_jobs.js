@@ -0,0 +1,256 @@
+// Planet Texture Jobs
+// Runs the heavy procedural generation (texture layers of the interactive
+// viewer, terrain displacement and LOD patches of the full viewer) in a
+// shared Web Worker so the page stays responsive while a planet opens. Jobs
+// run one at a time and report progress; results come back as transferred
+// buffers, and texture layers as ImageBitmaps painted on an OffscreenCanvas
+// where the worker has one. Without workers, or if the worker fails to
+// load, jobs run on the page instead.
+//
+// The jobs need SeededRandom, PlanetNoise, PlanetAppearance and
+// PlanetSurface (surface) or PlanetTerrain (terrain) loaded first, and
+// PlanetTerrainLod for patches.
+
+const TEXTURE_WORKER_URL = "planet_texture_worker.js";
+
+// Job functions shared by the worker and the page fallback. Each takes the
+// payload and a progress callback (0-1) and returns { result, transfer }.
+const TEXTURE_JOBS = {
+  // payload: { surface: PlanetSurface options, layers: [name] }
+  // result: { layers: { [name]: { width, height, pixels | bitmap } } }
+  surface: ({ surface, layers }, onProgress, { bitmaps = false } = {}) => {
+    const painter = new PlanetSurface(surface);
+    const total = layers.reduce(
+      (sum, name) => sum + SURFACE_LAYERS[name][0] * SURFACE_LAYERS[name][1],
+      0
+    );
+    const painted = {};
+    const transfer = [];
+    let done = 0;
+
+    for (const name of layers) {
+      const size = SURFACE_LAYERS[name][0] * SURFACE_LAYERS[name][1];
+      const layer = painter.paint(name, {
+        onProgress: (progress) => onProgress((done + progress * size) / total),
+      });
+      done += size;
+
+      const bitmap = bitmaps ? PlanetTextureJobs.toBitmap(layer) : null;
+      if (bitmap) {
+        painted[name] = { width: layer.width, height: layer.height, bitmap };
+        transfer.push(bitmap);
+      } else {
+        painted[name] = layer;
+        transfer.push(layer.pixels.buffer);
+      }
+    }
+    return { result: { layers: painted }, transfer };
+  },
+
+  // payload: { terrain: PlanetTerrain options, positions: Float32Array }
+  // result: { positions, colors } with the positions displaced
+  terrain: ({ terrain, positions }, onProgress) => {
+    const colors = new PlanetTerrain(terrain).displace(positions, onProgress);
+    return {
+      result: { positions, colors },
+      transfer: [positions.buffer, colors.buffer],
+    };
+  },
+
+  // payload: { terrain: PlanetTerrain options, patch: PlanetTerrainLod patch }
+  // result: { positions, normals, colors }
+  patch: ({ terrain, patch }) => {
+    const result = PlanetTerrainLod.buildPatch(
+      new PlanetTerrain(terrain),
+      patch
+    );
+    return {
+      result,
+      transfer: [
+        result.positions.buffer,
+        result.normals.buffer,
+        result.colors.buffer,
+      ],
+    };
+  },
+};
+
+// Failures reject with an Error carrying a `code`:
+//   JOB_FAILED  the job threw
+//   CANCELLED   cancelled by its owner before it started
+class PlanetTextureJobs {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || TEXTURE_WORKER_URL;
+    this.worker = null;
+    this.workerFailed = typeof Worker === "undefined";
+    this.queue = [];
+    this.active = null;
+    this.nextId = 0;
+  }
+
+  // One worker per page, created on first use
+  static shared() {
+    PlanetTextureJobs.instance =
+      PlanetTextureJobs.instance || new PlanetTextureJobs();
+    return PlanetTextureJobs.instance;
+  }
+
+  // Resolves with the job's result. `onProgress` gets 0-1; `owner` tags the
+  // job for cancel(). The payload is copied to the worker, so it stays
+  // usable here (and for the page fallback).
+  run(type, payload, { onProgress, owner = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: ++this.nextId,
+        type,
+        payload,
+        owner,
+        onProgress,
+        resolve,
+        reject,
+      });
+      this.next();
+    });
+  }
+
+  // Drops the owner's queued jobs; a job already running still finishes
+  cancel(owner) {
+    this.queue = this.queue.filter((job) => {
+      if (job.owner !== owner) return true;
+      job.reject(PlanetTextureJobs.failure("CANCELLED", "Job cancelled"));
+      return false;
+    });
+  }
+
+  next() {
+    if (this.active || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.active = job;
+    const worker = this.ensureWorker();
+    if (worker) {
+      worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+    } else {
+      this.runHere(job);
+    }
+  }
+
+  finish(job, error, result) {
+    if (this.active !== job) return;
+    this.active = null;
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+    this.next();
+  }
+
+  ensureWorker() {
+    if (this.workerFailed) return null;
+    if (this.worker) return this.worker;
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (error) {
+      this.fallBack(error.message);
+      return null;
+    }
+    this.worker.onmessage = (event) => this.onMessage(event.data || {});
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fallBack(event.message || "Texture worker failed to load");
+    };
+    return this.worker;
+  }
+
+  onMessage(message) {
+    const job = this.active;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === "progress") {
+      if (job.onProgress) job.onProgress(message.progress);
+    } else if (message.type === "result") {
+      this.finish(job, null, message.result);
+    } else if (message.type === "error") {
+      this.finish(
+        job,
+        PlanetTextureJobs.failure("JOB_FAILED", message.error.message)
+      );
+    }
+  }
+
+  // Switches to page jobs for good; the running job starts over here
+  fallBack(reason) {
+    console.warn(
+      `[TEXTURES] Worker unavailable, generating on the page: ${reason}`
+    );
+    this.workerFailed = true;
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (this.active) this.runHere(this.active);
+  }
+
+  // After a tick, so a placeholder can be drawn first
+  runHere(job) {
+    setTimeout(() => {
+      if (this.active !== job) return;
+      try {
+        const { result } = PlanetTextureJobs.execute(
+          job.type,
+          job.payload,
+          (progress) => job.onProgress && job.onProgress(progress)
+        );
+        this.finish(job, null, result);
+      } catch (error) {
+        this.finish(
+          job,
+          PlanetTextureJobs.failure("JOB_FAILED", error.message)
+        );
+      }
+    }, 0);
+  }
+
+  static execute(type, payload, onProgress, options) {
+    const job = TEXTURE_JOBS[type];
+    if (!job) throw new Error(`Unknown texture job "${type}"`);
+    return job(payload, onProgress, options);
+  }
+
+  // Layer pixels as an ImageBitmap, or null without OffscreenCanvas
+  static toBitmap({ width, height, pixels }) {
+    if (typeof OffscreenCanvas === "undefined") return null;
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext("2d");
+    if (!context || !canvas.transferToImageBitmap) return null;
+    context.putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvas.transferToImageBitmap();
+  }
+
+  // Page canvas holding a layer from either form of result (three's
+  // CanvasTexture keeps the usual flipY behavior for canvases)
+  static toCanvas({ width, height, pixels, bitmap }) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+    if (bitmap) {
+      context.drawImage(bitmap, 0, 0);
+      bitmap.close();
+    } else {
+      context.putImageData(new ImageData(pixels, width, height), 0, 0);
+    }
+    return canvas;
+  }
+
+  static failure(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+PlanetTextureJobs.instance = null;
+
+globalThis.PlanetTextureJobs = PlanetTextureJobs;
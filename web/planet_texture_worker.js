@@ -0,0 +1,38 @@
+// Planet Texture Worker
+// Runs PlanetTextureJobs off the page, one job at a time: progress is
+// posted while it runs, then the result with its buffers and bitmaps
+// transferred.
+
+importScripts(
+  "planet_random.js",
+  "planet_noise.js",
+  "planet_appearance.js",
+  "planet_surface.js",
+  "planet_biosphere.js",
+  "planet_terrain.js",
+  "planet_lod.js",
+  "planet_texture_jobs.js"
+);
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data || {};
+  const onProgress = (progress) => {
+    self.postMessage({ id, type: "progress", progress });
+  };
+
+  try {
+    const { result, transfer } = PlanetTextureJobs.execute(
+      type,
+      payload,
+      onProgress,
+      { bitmaps: true }
+    );
+    self.postMessage({ id, type: "result", result }, transfer);
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      error: { message: error.message || String(error) },
+    });
+  }
+};
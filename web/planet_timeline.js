@@ -0,0 +1,171 @@
+// Planet Timeline
+// Keyframed planet states over a planet's evolution, with play/pause/seek.
+// A viewer advances it every frame and applies the sampled state through
+// its live update(). Keyframes:
+//   { age (years), temperature (K), oceanFraction (0-1),
+//     atmosphere (surface pressure, atm), lifeCoverage (0-1), biome? }
+// Numbers interpolate linearly in age (a field missing from one side holds
+// the other side's value) and the biome switches at each keyframe that names
+// one. Every interval between keyframes takes the same share of the run, so
+// uneven keyframes still play evenly. THREE-independent.
+
+// Length of a full run, s
+const TIMELINE_DEFAULT_SECONDS = 20;
+
+// How often a playing timeline reports its time, s
+const TIMELINE_REPORT_INTERVAL = 0.1;
+
+// Keyframe fields and the planet data fields they drive
+const TIMELINE_FIELDS = {
+  temperature: "temperature",
+  oceanFraction: "oceanFraction",
+  atmosphere: "atmospherePressure",
+  lifeCoverage: "lifeCoverage",
+};
+
+// Invalid keyframes throw an Error with code INVALID_TIMELINE
+class PlanetTimeline {
+  // `onTime(age, playing)` hears about every seek, play and pause, and
+  // about the moving time while playing
+  constructor(
+    keyframes,
+    { seconds = TIMELINE_DEFAULT_SECONDS, loop = false, onTime = null } = {}
+  ) {
+    this.keyframes = PlanetTimeline.sortKeyframes(keyframes);
+    this.seconds = seconds;
+    this.loop = loop;
+    this.onTime = onTime;
+
+    // 0-1 through the run
+    this.position = 0;
+    this.playing = false;
+    this.sinceReport = 0;
+  }
+
+  get age() {
+    return this.ageAt(this.position);
+  }
+
+  get startAge() {
+    return this.keyframes[0].age;
+  }
+
+  get endAge() {
+    return this.keyframes[this.keyframes.length - 1].age;
+  }
+
+  // A finished run starts over
+  play() {
+    if (this.position >= 1) this.position = 0;
+    this.playing = true;
+    this.report();
+  }
+
+  pause() {
+    this.playing = false;
+    this.report();
+  }
+
+  seek(age) {
+    this.position = this.positionOf(age);
+    this.report();
+  }
+
+  // Moves a playing timeline on by `delta` seconds
+  advance(delta) {
+    if (!this.playing) return;
+
+    this.position += delta / this.seconds;
+    if (this.position >= 1) {
+      if (this.loop) {
+        this.position %= 1;
+      } else {
+        this.position = 1;
+        this.playing = false;
+        this.report();
+        return;
+      }
+    }
+
+    this.sinceReport += delta;
+    if (this.sinceReport >= TIMELINE_REPORT_INTERVAL) this.report();
+  }
+
+  report() {
+    this.sinceReport = 0;
+    if (this.onTime) this.onTime(this.age, this.playing);
+  }
+
+  // Planet data fields at an age (the current time by default)
+  sample(age = this.age) {
+    const keyframes = this.keyframes;
+    let index = 0;
+    while (index < keyframes.length - 2 && age >= keyframes[index + 1].age) {
+      index++;
+    }
+    const from = keyframes[index];
+    const to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+    const span = to.age - from.age;
+    const t = span > 0 ? Math.max(0, Math.min(1, (age - from.age) / span)) : 0;
+
+    const data = {};
+    for (const [field, dataField] of Object.entries(TIMELINE_FIELDS)) {
+      const a = from[field] ?? to[field];
+      const b = to[field] ?? from[field];
+      if (typeof a === "number") data[dataField] = a + (b - a) * t;
+    }
+    // The latest biome reached, or the first one before it is reached
+    const named = keyframes.filter((keyframe) => keyframe.biome);
+    const reached = named.filter((keyframe) => keyframe.age <= age);
+    const biome = (reached[reached.length - 1] || named[0] || {}).biome;
+    if (biome) data.biome = biome;
+    return data;
+  }
+
+  // Each keyframe interval spans an equal share of the run
+  ageAt(position) {
+    const last = this.keyframes.length - 1;
+    if (last === 0) return this.startAge;
+
+    const scaled = Math.max(0, Math.min(1, position)) * last;
+    const index = Math.min(Math.floor(scaled), last - 1);
+    const from = this.keyframes[index].age;
+    const to = this.keyframes[index + 1].age;
+    return from + (to - from) * (scaled - index);
+  }
+
+  positionOf(age) {
+    const last = this.keyframes.length - 1;
+    if (last === 0 || age <= this.startAge) return 0;
+    if (age >= this.endAge) return 1;
+
+    let index = 0;
+    while (age >= this.keyframes[index + 1].age) index++;
+    const from = this.keyframes[index].age;
+    const to = this.keyframes[index + 1].age;
+    return (index + (age - from) / (to - from)) / last;
+  }
+
+  static sortKeyframes(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      throw PlanetTimeline.failure("keyframes must be a non-empty array");
+    }
+    keyframes.forEach((keyframe, i) => {
+      if (keyframe === null || typeof keyframe !== "object") {
+        throw PlanetTimeline.failure(`keyframe ${i} must be an object`);
+      }
+      if (!Number.isFinite(keyframe.age)) {
+        throw PlanetTimeline.failure(`keyframe ${i} needs a finite age`);
+      }
+    });
+    return [...keyframes].sort((a, b) => a.age - b.age);
+  }
+
+  static failure(message) {
+    const error = new Error(message);
+    error.code = "INVALID_TIMELINE";
+    return error;
+  }
+}
+
+globalThis.PlanetTimeline = PlanetTimeline;
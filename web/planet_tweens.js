@@ -0,0 +1,81 @@
+// Planet Tweens
+// Frame-driven tweens behind the viewers' live updates
+// (`update(partialPlanetData, { duration })`). Tweens are keyed by what
+// they animate; starting one under a running key replaces it, and since a
+// tween reads its start values when it starts, the new one carries on from
+// wherever the old one had got to (a dragged slider retargets smoothly).
+// The viewer calls step() from its animation tick. THREE-independent.
+
+// Default length of a live update, ms
+const TWEEN_DEFAULT_DURATION = 600;
+
+class PlanetTweens {
+  constructor() {
+    this.active = new Map();
+  }
+
+  // `apply(t)` gets the eased progress (0-1) every frame; `done(finished)`
+  // runs once, with `finished` false when the tween was replaced or
+  // stopped. A zero duration applies the end state right away.
+  start(key, { duration = TWEEN_DEFAULT_DURATION, apply, done }) {
+    this.stop(key);
+    const tween = { duration: duration / 1000, elapsed: 0, apply, done };
+    if (tween.duration <= 0) {
+      PlanetTweens.end(tween, true);
+      return;
+    }
+    this.active.set(key, tween);
+  }
+
+  // Advances every tween by `delta` seconds
+  step(delta) {
+    for (const [key, tween] of this.active) {
+      tween.elapsed += delta;
+      const progress = Math.min(1, tween.elapsed / tween.duration);
+      if (progress < 1) {
+        tween.apply(PlanetTweens.ease(progress));
+      } else {
+        this.active.delete(key);
+        PlanetTweens.end(tween, true);
+      }
+    }
+  }
+
+  // Stops the tween under `key`, or every tween, where it is
+  stop(key) {
+    const keys = key === undefined ? [...this.active.keys()] : [key];
+    for (const name of keys) {
+      const tween = this.active.get(name);
+      if (!tween) continue;
+      this.active.delete(name);
+      if (tween.done) tween.done(false);
+    }
+  }
+
+  get running() {
+    return this.active.size > 0;
+  }
+
+  static end(tween, finished) {
+    tween.apply(1);
+    if (tween.done) tween.done(finished);
+  }
+
+  // Smoothstep: no jolt at either end
+  static ease(t) {
+    return t * t * (3 - 2 * t);
+  }
+
+  static lerp(from, to, t) {
+    return from + (to - from) * t;
+  }
+
+  // Names of the entries that differ between two layer states (plain data)
+  static changed(previous, next) {
+    return Object.keys(next).filter(
+      (name) => JSON.stringify(previous[name]) !== JSON.stringify(next[name])
+    );
+  }
+}
+
+globalThis.PlanetTweens = PlanetTweens;
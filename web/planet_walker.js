@@ -0,0 +1,259 @@
+// Planet Walker
+// Surface exploration for the full 3D viewer: a first-person camera that
+// walks on the displaced terrain of the planet. Its "up" is always the
+// local surface normal (the direction out of the planet's centre), so the
+// horizon curves with the sphere wherever you stand, and "forward" is
+// carried along the surface as you walk. Jumps and falls follow the
+// planet's surface gravity: the same legs jump higher and hang longer on
+// a 0.3 g world than on a 3 g super-Earth. The walker lives in the
+// planet's frame, so it turns with the planet. Mouse-look uses pointer
+// lock (a click on the element takes it; Esc gives it back); without it,
+// dragging looks around. WASD or the arrow keys walk, Shift runs and Space
+// jumps. Distances are scene units (100 per Earth radius, with the terrain
+// relief exaggerated the same way). THREE is passed in.
+
+// Eye above the ground, walking and running speed (per second)
+const WALK_EYE_HEIGHT = 0.3;
+const WALK_SPEED = 4;
+const WALK_RUN_SPEED = 12;
+
+// Take-off speed of a jump, and the fall acceleration at 1 g (per s²)
+const WALK_JUMP_SPEED = 6;
+const WALK_GRAVITY = 12;
+
+// A walker this close above the ground keeps to it (walking downhill)
+// instead of stepping off into a fall
+const WALK_GROUND_SNAP = 0.2;
+
+// Look speed, radians per pixel, and how far up or down the view tilts
+const WALK_LOOK_SPEED = 0.0025;
+const WALK_MAX_PITCH = (85 * Math.PI) / 180;
+
+// Longest step simulated at once, s (a background tab comes back calmly)
+const WALK_MAX_STEP = 0.1;
+
+// Keys (KeyboardEvent.code, so WASD works on any layout) and the walking
+// direction they add: [right, forward]
+const WALK_KEYS = {
+  KeyW: [0, 1],
+  ArrowUp: [0, 1],
+  KeyS: [0, -1],
+  ArrowDown: [0, -1],
+  KeyA: [-1, 0],
+  ArrowLeft: [-1, 0],
+  KeyD: [1, 0],
+  ArrowRight: [1, 0],
+};
+
+class PlanetWalker {
+  // `planet()` is the object the walker stands on (its frame turns and
+  // moves the walker), `ground(direction)` the distance from its centre
+  // to the surface along a unit direction in that frame, and `gravity()`
+  // the surface gravity in g. `element` takes the pointer lock.
+  constructor(THREE, { camera, element, planet, ground, gravity }) {
+    this.THREE = THREE;
+    this.camera = camera;
+    this.element = element;
+    this.planet = planet;
+    this.ground = ground;
+    this.gravity = gravity;
+
+    // Feet position and the facing direction (tangent to the surface) in
+    // the planet's frame; radial speed (up positive) while in the air
+    this.position = new THREE.Vector3();
+    this.forward = new THREE.Vector3();
+    this.pitch = 0;
+    this.verticalSpeed = 0;
+    this.grounded = true;
+    this.active = false;
+
+    this.keys = new Set();
+    this.drag = null;
+    this.listeners = null;
+  }
+
+  get locked() {
+    return document.pointerLockElement === this.element;
+  }
+
+  // Lands on the ground under the camera, facing north
+  start() {
+    if (this.active) return;
+    const planet = this.planet();
+    planet.updateMatrixWorld();
+    const up = planet.worldToLocal(this.camera.position.clone()).normalize();
+    this.position.copy(up).multiplyScalar(this.ground(up));
+    this.forward.set(0, 1, 0).projectOnPlane(up);
+    if (this.forward.lengthSq() < 1e-6) {
+      this.forward.set(1, 0, 0).projectOnPlane(up);
+    }
+    this.forward.normalize();
+    this.pitch = 0;
+    this.verticalSpeed = 0;
+    this.grounded = true;
+    this.active = true;
+    this.addListeners();
+    this.pose();
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.removeListeners();
+    this.keys.clear();
+    this.drag = null;
+    if (this.locked) document.exitPointerLock();
+  }
+
+  // Walks, jumps and falls for `delta` seconds and places the camera
+  step(delta) {
+    if (!this.active) return;
+    const THREE = this.THREE;
+    const dt = Math.min(delta, WALK_MAX_STEP);
+
+    // Where the keys point, on the surface
+    const up = this.position.clone().normalize();
+    const right = new THREE.Vector3().crossVectors(this.forward, up);
+    const move = new THREE.Vector3();
+    for (const code of this.keys) {
+      const direction = WALK_KEYS[code];
+      if (!direction) continue;
+      move.addScaledVector(right, direction[0]);
+      move.addScaledVector(this.forward, direction[1]);
+    }
+    if (move.lengthSq() > 0) {
+      const running =
+        this.keys.has("ShiftLeft") || this.keys.has("ShiftRight");
+      move.setLength((running ? WALK_RUN_SPEED : WALK_SPEED) * dt);
+    }
+
+    // Step along the sphere and carry "forward" over to the new spot
+    let radius = this.position.length();
+    const nextUp = this.position.clone().add(move).normalize();
+    this.forward
+      .applyQuaternion(new THREE.Quaternion().setFromUnitVectors(up, nextUp))
+      .projectOnPlane(nextUp)
+      .normalize();
+
+    // Jump, fall and land on the terrain
+    if (this.grounded && this.keys.has("Space")) {
+      this.verticalSpeed = WALK_JUMP_SPEED;
+      this.grounded = false;
+    }
+    if (!this.grounded) {
+      this.verticalSpeed -= WALK_GRAVITY * this.gravity() * dt;
+      radius += this.verticalSpeed * dt;
+    }
+    const ground = this.ground(nextUp);
+    const snap = this.grounded && radius < ground + WALK_GROUND_SNAP;
+    if (radius <= ground || snap) {
+      radius = ground;
+      this.verticalSpeed = 0;
+      this.grounded = true;
+    } else {
+      this.grounded = false;
+    }
+    this.position.copy(nextUp).multiplyScalar(radius);
+
+    this.pose();
+  }
+
+  // Eye above the feet, looking along `forward` tilted by the pitch
+  pose() {
+    const THREE = this.THREE;
+    const up = this.position.clone().normalize();
+    const right = new THREE.Vector3().crossVectors(this.forward, up);
+    const back = this.forward.clone().negate();
+    const facing = new THREE.Quaternion().setFromRotationMatrix(
+      new THREE.Matrix4().makeBasis(right, up, back)
+    );
+    facing.multiply(
+      new THREE.Quaternion().setFromAxisAngle(
+        new THREE.Vector3(1, 0, 0),
+        this.pitch
+      )
+    );
+
+    const planet = this.planet();
+    planet.updateMatrixWorld();
+    const eye = this.position.clone().addScaledVector(up, WALK_EYE_HEIGHT);
+    this.camera.position.copy(planet.localToWorld(eye));
+    this.camera.quaternion
+      .copy(planet.getWorldQuaternion(new THREE.Quaternion()))
+      .multiply(facing);
+  }
+
+  look(dx, dy) {
+    const up = this.position.clone().normalize();
+    this.forward.applyAxisAngle(up, -dx * WALK_LOOK_SPEED).normalize();
+    this.pitch = Math.max(
+      -WALK_MAX_PITCH,
+      Math.min(WALK_MAX_PITCH, this.pitch - dy * WALK_LOOK_SPEED)
+    );
+  }
+
+  addListeners() {
+    const element = this.element;
+    this.listeners = {
+      element: {
+        pointerdown: (event) => {
+          if (event.pointerType === "mouse" && element.requestPointerLock) {
+            if (!this.locked) element.requestPointerLock();
+            return;
+          }
+          this.drag = { x: event.clientX, y: event.clientY };
+        },
+        pointermove: (event) => {
+          if (this.locked) {
+            this.look(event.movementX, event.movementY);
+          } else if (this.drag) {
+            this.look(event.clientX - this.drag.x, event.clientY - this.drag.y);
+            this.drag = { x: event.clientX, y: event.clientY };
+          }
+        },
+        pointerup: () => {
+          this.drag = null;
+        },
+        pointercancel: () => {
+          this.drag = null;
+        },
+      },
+      document: {
+        keydown: (event) => {
+          if (event.target.closest?.("input, textarea, select")) return;
+          // Space and the arrows would scroll the page
+          if (event.code === "Space" || WALK_KEYS[event.code]) {
+            event.preventDefault();
+          }
+          this.keys.add(event.code);
+        },
+        keyup: (event) => this.keys.delete(event.code),
+      },
+      window: {
+        blur: () => this.keys.clear(),
+      },
+    };
+    this.eachListener((target, type, listener) =>
+      target.addEventListener(type, listener)
+    );
+  }
+
+  removeListeners() {
+    if (!this.listeners) return;
+    this.eachListener((target, type, listener) =>
+      target.removeEventListener(type, listener)
+    );
+    this.listeners = null;
+  }
+
+  eachListener(callback) {
+    const targets = { element: this.element, document, window };
+    for (const [name, listeners] of Object.entries(this.listeners)) {
+      for (const [type, listener] of Object.entries(listeners)) {
+        callback(targets[name], type, listener);
+      }
+    }
+  }
+}
+
+globalThis.PlanetWalker = PlanetWalker;